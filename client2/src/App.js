@@ -4,18 +4,27 @@ import {
   Routes,
   Route
 } from 'react-router-dom';
+import { AuthProvider, RequireAuth } from './AuthContext';
 import Home from './Home';
 import Room from './Room';
+import Playback from './Playback';
+import Login from './Login';
+import Register from './Register';
 
 function App() {
   return (
     <Router>
-      <Routes>
-        <Route path="/" element={<Home />} />
-        <Route path="/room/:roomId" element={<Room />} />
-      </Routes>
+      <AuthProvider>
+        <Routes>
+          <Route path="/" element={<Home />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/register" element={<Register />} />
+          <Route path="/room/:roomId" element={<RequireAuth><Room /></RequireAuth>} />
+          <Route path="/room/:roomId/playback" element={<RequireAuth><Playback /></RequireAuth>} />
+        </Routes>
+      </AuthProvider>
     </Router>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,8 +1,16 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// No API server in tests: the session check fails, as it does for a visitor who is not signed in
+jest.mock('axios', () => ({
+  create: () => ({
+    get: () => Promise.reject(new Error('offline')),
+    post: jest.fn()
+  })
+}));
+
+test('shows the home page to a visitor who is not signed in', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/welcome to white virtual board/i)).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: /log in/i })).toHaveAttribute('href', '/login');
 });
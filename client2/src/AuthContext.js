@@ -1,10 +1,14 @@
 // AuthContext.js
 import React, { createContext, useContext, useEffect, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import { SERVER_URL } from './config';
 
 const AuthContext = createContext();
 
+// Session cookies are set by the API server, which lives on a different origin
+const api = axios.create({ baseURL: SERVER_URL, withCredentials: true });
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -13,7 +17,7 @@ export function AuthProvider({ children }) {
   useEffect(() => {
     const checkAuth = async () => {
       try {
-        const response = await axios.get('/api/auth/me', { withCredentials: true });
+        const response = await api.get('/api/auth/me', { withCredentials: true });
         setUser(response.data);
       } catch (error) {
         setUser(null);
@@ -25,14 +29,14 @@ export function AuthProvider({ children }) {
   }, []);
 
   const login = async (credentials) => {
-    const response = await axios.post('/api/auth/login', credentials, { withCredentials: true });
+    const response = await api.post('/api/auth/login', credentials, { withCredentials: true });
     setUser(response.data.user);
     return response.data;
   };
 
   const register = async (userData) => {
-    await axios.post('/api/auth/register', userData);
-    const response = await axios.post('/api/auth/login', {
+    await api.post('/api/auth/register', userData);
+    const response = await api.post('/api/auth/login', {
       email: userData.email,
       password: userData.password
     }, { withCredentials: true });
@@ -41,7 +45,7 @@ export function AuthProvider({ children }) {
   };
 
   const logout = async () => {
-    await axios.post('/api/auth/logout', {}, { withCredentials: true });
+    await api.post('/api/auth/logout', {}, { withCredentials: true });
     setUser(null);
     navigate('/');
   };
@@ -53,4 +57,14 @@ export function AuthProvider({ children }) {
   );
 }
 
-export const useAuth = () => useContext(AuthContext);
\ No newline at end of file
+export const useAuth = () => useContext(AuthContext);
+
+export function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  return children;
+}
@@ -1,9 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
 
-function Chat({ socket, roomId }) {
+function Chat({ socket, queue, roomId }) {
   const [messages, setMessages] = useState([]);
+  const [outbox, setOutbox] = useState([]); // sent but not yet echoed back by the server
   const [input, setInput] = useState('');
-  const [username, setUsername] = useState('');
+  const { user } = useAuth();
   const messagesEndRef = useRef(null);
 
   // Auto-scroll to bottom when new messages arrive
@@ -13,7 +15,7 @@ function Chat({ socket, roomId }) {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, outbox]);
 
   useEffect(() => {
     const handleChatMessage = (msgData) => {
@@ -25,11 +27,20 @@ function Chat({ socket, roomId }) {
         );
         return exists ? prev : [...prev, msgData];
       });
+      setOutbox(prev => prev.filter(msg => msg.opId !== msgData.opId));
+    };
+
+    // Stored history for the room, sent on join and again after a reconnect
+    const handleChatHistory = (history) => {
+      setMessages(history || []);
+      setOutbox(prev => prev.filter(msg => !(history || []).some(h => h.opId === msg.opId)));
     };
 
     socket.on('chatMessage', handleChatMessage);
+    socket.on('chatHistory', handleChatHistory);
     return () => {
       socket.off('chatMessage', handleChatMessage);
+      socket.off('chatHistory', handleChatHistory);
     };
   }, [socket]);
 
@@ -37,14 +48,13 @@ function Chat({ socket, roomId }) {
     if (!input.trim()) return;
     const msgData = {
       roomId,
-      username: username || 'Anonymous',
       message: input,
       time: new Date().toLocaleTimeString(),
-      timestamp: Date.now(),  // Unique identifier
-      senderId: socket.id     // Add sender ID to prevent duplicates
+      timestamp: Date.now()  // Unique identifier
     };
     
-    socket.emit('chatMessage', msgData);
+    const opId = queue.emit('chatMessage', msgData);
+    setOutbox(prev => [...prev, { ...msgData, opId, username: user?.name }]);
     setInput('');
   };
 
@@ -52,13 +62,7 @@ function Chat({ socket, roomId }) {
     <div style={styles.chatContainer}>
       <div style={styles.participants}>
         <h3>Chat</h3>
-        <label style={{ fontSize: '14px' }}>Your Name:</label>
-        <input
-          style={styles.nameInput}
-          value={username}
-          onChange={(e) => setUsername(e.target.value)}
-          placeholder="Enter your name"
-        />
+        <div style={styles.signedInAs}>Chatting as <strong>{user?.name}</strong></div>
       </div>
       <div style={styles.messages}>
         {messages.map((msg, idx) => (
@@ -67,6 +71,12 @@ function Chat({ socket, roomId }) {
             <div style={styles.time}>{msg.time}</div>
           </div>
         ))}
+        {outbox.map(msg => (
+          <div key={msg.opId} style={{ ...styles.message, ...styles.pending }}>
+            <strong>{msg.username}:</strong> {msg.message}
+            <div style={styles.time}>Sending...</div>
+          </div>
+        ))}
         <div ref={messagesEndRef} />
       </div>
       <div style={styles.inputContainer}>
@@ -97,10 +107,8 @@ const styles = {
     padding: '10px',
     flexShrink: 0 // Prevent shrinking
   },
-  nameInput: {
-    width: '100%',
-    padding: '6px',
-    marginTop: '5px'
+  signedInAs: {
+    fontSize: '14px'
   },
   messages: {
     flex: 1,
@@ -113,6 +121,9 @@ const styles = {
   message: {
     marginBottom: '10px'
   },
+  pending: {
+    opacity: 0.6
+  },
   time: {
     fontSize: '10px',
     color: '#999'
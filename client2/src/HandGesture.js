@@ -3,13 +3,18 @@ import { Hands } from '@mediapipe/hands';
 import * as drawingUtils from '@mediapipe/drawing_utils';
 import * as cam from '@mediapipe/camera_utils';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createId } from './clientId';
 
 function HandGesture({ 
   onGestureDetected, 
   socket, 
+  queue,
   roomId, 
   localId, 
-  activePage,
+  activePageId,
+  activeLayerId,
+  getViewport,
+  includeBackground,
   color,
   lineWidth 
 }) {
@@ -110,33 +115,55 @@ function HandGesture({
   
     const canvasX = canvas.width - (rawX * canvas.width);
     const canvasY = rawY * canvas.height;
+    // The camera frame stands for the part of the page the whiteboard is showing, fitted without stretching
+    const toWorld = (x, y) => {
+      const viewport = getViewport?.();
+      if (!viewport) return { x, y };
+      const scale = Math.min(viewport.width / canvas.width, viewport.height / canvas.height);
+      return {
+        x: viewport.x + (viewport.width - canvas.width * scale) / 2 + x * scale,
+        y: viewport.y + (viewport.height - canvas.height * scale) / 2 + y * scale
+      };
+    };
+    const point = toWorld(canvasX, canvasY);
     const drawCtx = canvas.getContext('2d');
     const MIN_DISTANCE = 2;
+
+    const finishStroke = () => {
+      if (prevCoords.current && prevCoords.current.strokeId) {
+        queue?.emit('endStroke', {
+          roomId,
+          strokeId: prevCoords.current.strokeId,
+          pageId: activePageId
+        });
+      }
+      prevCoords.current = null;
+    };
   
     switch (gesture) {
       case 'draw':
         animationFrameRef.current = requestAnimationFrame(() => {
           if (!prevCoords.current) {
-            prevCoords.current = { x: canvasX, y: canvasY };
+            // Generate a unique stroke ID, kept for the whole stroke so the server logs it as one
+            const strokeId = createId();
+            prevCoords.current = { x: canvasX, y: canvasY, strokeId };
             drawCtx.beginPath();
             drawCtx.moveTo(canvasX, canvasY);
             drawCtx.strokeStyle = color;
             drawCtx.lineWidth = lineWidth;
             
-            // Generate a unique stroke ID
-            const strokeId = `${localId}-gesture-${Date.now()}`;
-            
-            socket?.emit('draw', {
+            queue?.emit('draw', {
               roomId,
               senderId: localId,
               strokeId: strokeId,
-              x: canvasX,
-              y: canvasY,
-              prevX: canvasX,
-              prevY: canvasY,
+              x: point.x,
+              y: point.y,
+              prevX: point.x,
+              prevY: point.y,
               color,
               lineWidth,
-              page: activePage,
+              pageId: activePageId,
+              layerId: activeLayerId,
               compositeOperation: 'source-over',
               isNewStroke: true,
               handGesture: true
@@ -152,17 +179,19 @@ function HandGesture({
           drawCtx.lineTo(canvasX, canvasY);
           drawCtx.stroke();
           
-          socket?.emit('draw', {
+          const prevPoint = toWorld(prevCoords.current.x, prevCoords.current.y);
+          queue?.emit('draw', {
             roomId,
             senderId: localId,
-            strokeId: prevCoords.current.strokeId || `${localId}-gesture-${Date.now()}`,
-            prevX: prevCoords.current.x,
-            prevY: prevCoords.current.y,
-            x: canvasX,
-            y: canvasY,
+            strokeId: prevCoords.current.strokeId,
+            prevX: prevPoint.x,
+            prevY: prevPoint.y,
+            x: point.x,
+            y: point.y,
             color,
             lineWidth,
-            page: activePage,
+            pageId: activePageId,
+            layerId: activeLayerId,
             compositeOperation: 'source-over',
             isNewStroke: false,
             handGesture: true
@@ -171,27 +200,18 @@ function HandGesture({
           prevCoords.current = { 
             x: canvasX, 
             y: canvasY, 
-            strokeId: prevCoords.current.strokeId || `${localId}-gesture-${Date.now()}`
+            strokeId: prevCoords.current.strokeId
           };
         });
         break;
       case 'stop':
         drawCtx.closePath();
-        
-        if (prevCoords.current && prevCoords.current.strokeId) {
-          socket?.emit('endStroke', {
-            roomId,
-            strokeId: prevCoords.current.strokeId,
-            page: activePage
-          });
-        }
-        
-        prevCoords.current = null;
+        finishStroke();
         break;
       default:
-        prevCoords.current = null;
+        finishStroke();
     }
-  }, [socket, roomId, localId, activePage, color, lineWidth]);
+  }, [queue, roomId, localId, activePageId, activeLayerId, getViewport, color, lineWidth]);
 
   const processAISubmission = useCallback(async () => {
     const now = Date.now();
@@ -222,7 +242,9 @@ function HandGesture({
 
       socket?.emit('processWithAI', {
         roomId,
+        pageId: activePageId,
         image: enhancedImage,
+        includeBackground,
         prompt: "Analyze this handwritten math problem carefully. " +
                 "Even if some parts are unclear, try to make educated guesses. " +
                 "Provide a step-by-step solution in clear, simple language."
@@ -237,7 +259,7 @@ function HandGesture({
           : 'AI processing failed. Please try again.'
       });
     }
-  }, [socket, roomId]);
+  }, [socket, roomId, activePageId, includeBackground]);
 
   useEffect(() => {
     const initHandTracking = async () => {
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { SERVER_URL } from './config';
+import { pageLabel } from './pageOrder';
+import PagePreview from './PagePreview';
+
+function HistoryPanel({ roomId, onClose, readOnly = false }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newName, setNewName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  const request = useCallback(async (path = '', options = {}) => {
+    const response = await fetch(
+      `${SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/snapshots${path}`,
+      {
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+      }
+    );
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Request failed');
+    return body;
+  }, [roomId]);
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      setSnapshots(await request());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadSnapshots();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    await request('', { method: 'POST', body: JSON.stringify({ name: newName }) });
+    setNewName('');
+  });
+
+  const handleRename = (snapshotId) => runAction(async () => {
+    await request(`/${snapshotId}`, { method: 'PATCH', body: JSON.stringify({ name: editName }) });
+    setEditingId(null);
+  });
+
+  const handlePreview = (snapshotId) => runAction(async () => {
+    setPreview(await request(`/${snapshotId}`));
+  });
+
+  const handleRestore = (snapshot, page) => {
+    const target = page ? 'this page' : 'every page in the room';
+    if (!window.confirm(`Restore ${target} to "${snapshot.name}"? The current board is saved to history first.`)) {
+      return;
+    }
+    runAction(async () => {
+      await request(`/${snapshot.id}/restore`, {
+        method: 'POST',
+        body: JSON.stringify(page ? { pageId: page.id } : {})
+      });
+    });
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        Version History
+        <button style={styles.closeButton} onClick={onClose} aria-label="Close history">×</button>
+      </div>
+
+      {!readOnly && (
+        <div style={styles.createRow}>
+          <input
+            style={styles.input}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+            placeholder="Snapshot name"
+          />
+          <button style={styles.primaryButton} onClick={handleCreate}>Save</button>
+        </div>
+      )}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      <div style={styles.list}>
+        {loading && <p>Loading history...</p>}
+        {!loading && snapshots.length === 0 && <p>No snapshots yet.</p>}
+        {snapshots.map(snapshot => (
+          <div key={snapshot.id} style={styles.item}>
+            {editingId === snapshot.id ? (
+              <div style={styles.createRow}>
+                <input
+                  style={styles.input}
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleRename(snapshot.id)}
+                  autoFocus
+                />
+                <button style={styles.smallButton} onClick={() => handleRename(snapshot.id)}>OK</button>
+              </div>
+            ) : (
+              <strong
+                style={styles.name}
+                title={readOnly ? undefined : 'Click to rename'}
+                onClick={() => {
+                  if (readOnly) return;
+                  setEditingId(snapshot.id);
+                  setEditName(snapshot.name);
+                }}
+              >
+                {snapshot.name}
+              </strong>
+            )}
+            <div style={styles.meta}>
+              {new Date(snapshot.createdAt).toLocaleString()} · {snapshot.pageCount} page(s)
+              {snapshot.auto && ' · auto'}
+            </div>
+            <div style={styles.actions}>
+              <button style={styles.smallButton} onClick={() => handlePreview(snapshot.id)}>Preview</button>
+              {!readOnly && (
+                <button style={styles.smallButton} onClick={() => handleRestore(snapshot)}>Restore all</button>
+              )}
+            </div>
+
+            {preview?.id === snapshot.id && (
+              <div style={styles.previewGrid}>
+                {preview.pages.map((page, index) => (
+                  <div key={page.id} style={styles.previewItem}>
+                    <PagePreview page={page} />
+                    {!readOnly && (
+                      <button style={styles.smallButton} onClick={() => handleRestore(preview, page)}>
+                        Restore {pageLabel(page, index)}
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    position: 'absolute',
+    top: '60px',
+    right: '10px',
+    bottom: '10px',
+    width: '300px',
+    display: 'flex',
+    flexDirection: 'column',
+    backgroundColor: '#ffffff',
+    border: '1px solid #4F81E1',
+    borderRadius: '8px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    zIndex: 900,
+    overflow: 'hidden'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#4F81E1',
+    color: 'white',
+    padding: '10px',
+    fontWeight: 'bold'
+  },
+  closeButton: {
+    background: 'none',
+    border: 'none',
+    color: 'inherit',
+    cursor: 'pointer',
+    fontSize: '18px'
+  },
+  createRow: {
+    display: 'flex',
+    gap: '5px',
+    padding: '10px'
+  },
+  input: {
+    flex: 1,
+    padding: '6px'
+  },
+  primaryButton: {
+    padding: '6px 12px',
+    backgroundColor: '#28a745',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  error: {
+    color: '#dc3545',
+    padding: '0 10px',
+    fontSize: '14px'
+  },
+  list: {
+    flex: 1,
+    overflowY: 'auto',
+    padding: '0 10px 10px'
+  },
+  item: {
+    borderBottom: '1px solid #eee',
+    padding: '8px 0'
+  },
+  name: {
+    cursor: 'text'
+  },
+  meta: {
+    fontSize: '12px',
+    color: '#6c757d',
+    margin: '4px 0'
+  },
+  actions: {
+    display: 'flex',
+    gap: '5px'
+  },
+  smallButton: {
+    padding: '4px 8px',
+    backgroundColor: '#fff',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  },
+  previewGrid: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginTop: '8px'
+  },
+  previewItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  }
+};
+
+export default HistoryPanel;
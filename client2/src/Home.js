@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from './AuthContext';
 
 function Home() {
   const [roomId, setRoomId] = useState('');
   const navigate = useNavigate();
+  const { user, logout } = useAuth();
 
   const handleJoinRoom = () => {
     if (roomId.trim() !== '') {
@@ -20,6 +22,16 @@ function Home() {
     <div style={styles.container}>
       <h1>Welcome to White Virtual Board</h1>
       <p>Join or create collaboration rooms to start working with your team..</p>
+      {user ? (
+        <p>
+          Signed in as <strong>{user.name}</strong>{' '}
+          <button onClick={logout} style={styles.linkButton}>Log out</button>
+        </p>
+      ) : (
+        <p>
+          <Link to="/login">Log in</Link> or <Link to="/register">create an account</Link> to collaborate.
+        </p>
+      )}
       <div style={styles.joinContainer}>
         <input
           type="text"
@@ -53,6 +65,10 @@ const styles = {
     padding: '10px 20px', fontSize: '16px', cursor: 'pointer',
     backgroundColor: '#4F81E1', color: '#fff', border: 'none', borderRadius: '4px'
   },
+  linkButton: {
+    background: 'none', border: 'none', color: '#4F81E1',
+    cursor: 'pointer', fontSize: 'inherit', textDecoration: 'underline'
+  },
   createButton: {
     padding: '10px 20px', fontSize: '16px', cursor: 'pointer',
     backgroundColor: '#000', color: '#fff', border: 'none', borderRadius: '4px'
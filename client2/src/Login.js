@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+
+function Login() {
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await login({ email, password });
+      navigate(location.state?.from || '/', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Login failed. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h1>Log in to White Virtual Board</h1>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          style={styles.input}
+          required
+        />
+        {error && <p style={styles.error}>{error}</p>}
+        <button type="submit" style={styles.submitButton} disabled={submitting}>
+          {submitting ? 'Logging in...' : 'Log In'}
+        </button>
+      </form>
+      <p>
+        No account yet? <Link to="/register" state={location.state}>Create one</Link>
+      </p>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex', flexDirection: 'column', alignItems: 'center',
+    marginTop: '50px'
+  },
+  form: {
+    display: 'flex', flexDirection: 'column', gap: '10px',
+    width: '300px', margin: '20px'
+  },
+  input: {
+    padding: '10px', fontSize: '16px'
+  },
+  error: {
+    color: '#dc3545', margin: 0
+  },
+  submitButton: {
+    padding: '10px 20px', fontSize: '16px', cursor: 'pointer',
+    backgroundColor: '#4F81E1', color: '#fff', border: 'none', borderRadius: '4px'
+  }
+};
+
+export default Login;
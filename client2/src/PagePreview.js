@@ -0,0 +1,41 @@
+import React, { useEffect, useRef } from 'react';
+import { applyView, fitView, getPageBounds, viewBounds, HOME_BOUNDS } from './strokes';
+import { drawLayers, getPageLayers } from './layers';
+import { drawBackground, getPageBackground } from './backgrounds';
+
+// A small rendering of a whole page: its home area, widened to fit everything drawn on it.
+// It redraws whenever the page changes, so it stays live alongside the board.
+function PagePreview({ page, scale = 0.25 }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const view = fitView(getPageBounds(page.strokes), canvas.width, canvas.height);
+    applyView(ctx, view);
+    drawBackground(ctx, getPageBackground(page), viewBounds(view, canvas.width, canvas.height));
+    drawLayers(ctx, getPageLayers(page), page.strokes);
+  }, [page]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={HOME_BOUNDS.maxX * scale}
+      height={HOME_BOUNDS.maxY * scale}
+      style={styles.canvas}
+    />
+  );
+}
+
+const styles = {
+  canvas: {
+    display: 'block',
+    border: '1px solid #ddd',
+    backgroundColor: '#ffffff'
+  }
+};
+
+export default PagePreview;
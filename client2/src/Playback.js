@@ -0,0 +1,450 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import DOMPurify from 'dompurify';
+import { SERVER_URL } from './config';
+import { applyView, fitView, getPageBounds, viewBounds } from './strokes';
+import { applyPageOperation, pageLabel } from './pageOrder';
+import { applyLayerOperation, drawLayers, getPageLayers, strokeLayerId } from './layers';
+import { applyStrokeOrder, replaceStrokes } from './selection';
+import { drawBackground, getPageBackground } from './backgrounds';
+
+// Idle stretches longer than this are shortened so long sessions stay scrubbable
+const MAX_IDLE_GAP_MS = 3000;
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+export const createEmptyState = () => ({ pages: [], live: {}, chat: [] });
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Recordings made before pages were addressed by id refer to them by index
+const findPage = (state, payload) => (
+  payload.pageId !== undefined ?
+    state.pages.find(p => p.id === payload.pageId) :
+    state.pages[payload.page]
+);
+
+// Mirrors how Whiteboard and Chat apply the same socket events during a live session
+export const applyEvent = (state, { t, type, payload }) => {
+  const page = findPage(state, payload);
+
+  switch (type) {
+    case 'state':
+      state.pages = clone(payload.pages);
+      if (payload.chat) state.chat = [...payload.chat];
+      state.live = {};
+      break;
+    case 'draw': {
+      let stroke = state.live[payload.strokeId];
+      if (payload.isNewStroke || !stroke) {
+        stroke = {
+          pageId: findPage(state, payload)?.id,
+          layerId: payload.layerId,
+          color: payload.color,
+          lineWidth: payload.lineWidth,
+          compositeOperation: payload.compositeOperation,
+          points: payload.isNewStroke ? [] : [{ x: payload.prevX, y: payload.prevY }]
+        };
+        state.live[payload.strokeId] = stroke;
+      }
+      stroke.points.push({
+        x: payload.x,
+        y: payload.y,
+        ...(payload.pressure !== undefined && { p: payload.pressure }),
+        ...(payload.tilt !== undefined && { t: payload.tilt })
+      });
+      break;
+    }
+    case 'endStroke':
+      delete state.live[payload.strokeId];
+      if (page && payload.stroke && !page.strokes.some(s => s.strokeId === payload.strokeId)) {
+        page.strokes.push(payload.stroke);
+      }
+      break;
+    case 'addShape':
+    case 'addText':
+    case 'addFill':
+      if (page && !page.strokes.some(s => s.strokeId === payload.stroke.strokeId)) {
+        page.strokes.push(payload.stroke);
+      }
+      break;
+    case 'updateText':
+      // Replaced rather than changed in place: the stroke object also lives in the timeline
+      if (page) {
+        page.strokes = page.strokes.map(s => s.strokeId === payload.strokeId ? { ...s, ...payload.changes } : s);
+      }
+      break;
+    case 'addStrokes':
+      if (page) {
+        payload.strokes.forEach(stroke => {
+          if (!page.strokes.some(s => s.strokeId === stroke.strokeId)) page.strokes.push(stroke);
+        });
+      }
+      break;
+    case 'strokesUpdated':
+      if (page) {
+        const changes = new Map(payload.updates.map(update => [update.strokeId, update.changes]));
+        page.strokes = page.strokes.map(s => changes.has(s.strokeId) ? { ...s, ...changes.get(s.strokeId) } : s);
+      }
+      break;
+    case 'strokesReordered':
+      if (page) page.strokes = applyStrokeOrder(page.strokes, payload.order);
+      break;
+    case 'clearCanvas': {
+      // Recordings made before layers existed clear the whole page
+      const isCleared = (stroke) => payload.layerId === undefined || strokeLayerId(stroke) === payload.layerId;
+      if (page) page.strokes = page.strokes.filter(stroke => !isCleared(stroke));
+      Object.keys(state.live).forEach(strokeId => {
+        const stroke = state.live[strokeId];
+        if (page && stroke.pageId === page.id && isCleared(stroke)) delete state.live[strokeId];
+      });
+      break;
+    }
+    case 'strokesRemoved':
+      if (page) page.strokes = page.strokes.filter(s => !payload.strokeIds.includes(s.strokeId));
+      break;
+    case 'strokesRestored':
+      if (page) {
+        payload.strokes.forEach((stroke, i) => {
+          page.strokes.splice(payload.indices ? payload.indices[i] : payload.index + i, 0, stroke);
+        });
+      }
+      break;
+    case 'strokesReplaced':
+      if (page) page.strokes = replaceStrokes(page.strokes, payload.strokeIds, payload.strokes, payload.indices);
+      break;
+    case 'addPage':
+    case 'duplicatePage':
+    case 'restorePage':
+    case 'removePage':
+    case 'movePage':
+    case 'repositionPages':
+    case 'renamePage':
+    case 'setPageBackground':
+      state.pages = applyPageOperation(state.pages, type, clone(payload));
+      break;
+    case 'addLayer':
+    case 'updateLayer':
+    case 'moveLayer':
+      state.pages = applyLayerOperation(state.pages, type, clone(payload));
+      break;
+    case 'chatMessage':
+      state.chat.push(payload);
+      break;
+    case 'aiResponse':
+      state.chat.push({ username: 'AI', message: payload.response, isAI: true, timestamp: t });
+      break;
+    default:
+      break;
+  }
+};
+
+// Adds a playback offset to every event, with idle gaps capped at MAX_IDLE_GAP_MS
+export const buildTimeline = (events) => {
+  let offset = 0;
+  return events.map((event, index) => {
+    if (index > 0) {
+      offset += Math.min(event.t - events[index - 1].t, MAX_IDLE_GAP_MS);
+    }
+    return { ...event, offset };
+  });
+};
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+function Playback() {
+  const { roomId } = useParams();
+  const navigate = useNavigate();
+  const [timeline, setTimeline] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [activePage, setActivePage] = useState(0);
+  const canvasRef = useRef(null);
+  const cursor = useRef({ timeline: null, index: 0, state: createEmptyState() });
+
+  const duration = timeline.length ? timeline[timeline.length - 1].offset : 0;
+
+  useEffect(() => {
+    const loadRecording = async () => {
+      try {
+        const response = await fetch(
+          `${SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/recording`,
+          { credentials: 'include' }
+        );
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Failed to load recording');
+        setTimeline(buildTimeline(body));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRecording();
+  }, [roomId]);
+
+  // Moving forward applies only the new events; seeking backwards replays from the start
+  const board = useMemo(() => {
+    let { index, state } = cursor.current;
+    if (cursor.current.timeline !== timeline || (index > 0 && timeline[index - 1].offset > position)) {
+      index = 0;
+      state = createEmptyState();
+    }
+    while (index < timeline.length && timeline[index].offset <= position) {
+      applyEvent(state, timeline[index]);
+      index++;
+    }
+    cursor.current = { timeline, index, state };
+    return {
+      pages: state.pages,
+      live: Object.values(state.live),
+      chat: [...state.chat],
+      time: index > 0 ? timeline[index - 1].t : null
+    };
+  }, [timeline, position]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+
+    const tick = (now) => {
+      const elapsed = (now - last) * speed;
+      last = now;
+      setPosition(prev => {
+        const next = Math.min(prev + elapsed, duration);
+        if (next >= duration) setPlaying(false);
+        return next;
+      });
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const page = board.pages[activePage];
+    if (!page) return;
+    const live = board.live.filter(stroke => stroke.pageId === page.id);
+    // Pages are unbounded, so the fixed-size canvas shows the home area widened to fit the strokes
+    const view = fitView(getPageBounds([...page.strokes, ...live]), canvas.width, canvas.height);
+    applyView(ctx, view);
+    drawBackground(ctx, getPageBackground(page), viewBounds(view, canvas.width, canvas.height));
+    drawLayers(ctx, getPageLayers(page), [...page.strokes, ...live]);
+  }, [board, activePage]);
+
+  const togglePlaying = () => {
+    if (!playing && position >= duration) setPosition(0);
+    setPlaying(prev => !prev);
+  };
+
+  if (loading) {
+    return (
+      <div style={styles.centered}>
+        <p>Loading recording for room {roomId}...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <h1 style={styles.title}>Playback - Room: {roomId}</h1>
+        <button style={styles.backButton} onClick={() => navigate(`/room/${roomId}`)}>
+          ↩ Back to Room
+        </button>
+      </header>
+
+      {error && <p style={styles.error}>{error}</p>}
+      {!error && timeline.length === 0 && <p style={styles.error}>Nothing has been recorded in this room yet.</p>}
+
+      <div style={styles.mainContent}>
+        <div style={styles.boardSection}>
+          <div style={styles.pageTabs}>
+            {board.pages.map((page, index) => (
+              <button
+                key={page.id}
+                style={index === activePage ? styles.activeTab : styles.pageTab}
+                onClick={() => setActivePage(index)}
+              >
+                {pageLabel(page, index)}
+              </button>
+            ))}
+          </div>
+          <canvas ref={canvasRef} width={640} height={480} style={styles.canvas} />
+        </div>
+
+        <div style={styles.chatSection}>
+          <h3>Chat</h3>
+          {board.chat.map((msg, index) => (
+            <div key={`${msg.timestamp}-${index}`} style={styles.message}>
+              <strong>{msg.username || 'Anonymous'}:</strong>{' '}
+              {msg.isAI ?
+                <span dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(msg.message) }} /> :
+                msg.message}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.controls}>
+        <button style={styles.playButton} onClick={togglePlaying} disabled={!duration}>
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          value={position}
+          onChange={(e) => setPosition(Number(e.target.value))}
+          style={styles.scrubber}
+          aria-label="Playback position"
+        />
+        <span style={styles.time}>
+          {formatDuration(position)} / {formatDuration(duration)}
+          {board.time && ` · ${new Date(board.time).toLocaleString()}`}
+        </span>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Playback speed">
+          {SPEEDS.map(value => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    height: '100vh',
+    backgroundColor: '#f8f9fa'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '1rem 2rem',
+    backgroundColor: '#ffffff',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+  },
+  title: {
+    fontSize: '1.5rem',
+    margin: 0,
+    color: '#2c3e50'
+  },
+  backButton: {
+    backgroundColor: '#4F81E1',
+    color: 'white',
+    border: 'none',
+    padding: '0.5rem 1rem',
+    borderRadius: '5px',
+    cursor: 'pointer'
+  },
+  error: {
+    textAlign: 'center',
+    color: '#6c757d'
+  },
+  mainContent: {
+    flex: 1,
+    display: 'grid',
+    gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 1fr)',
+    gap: '1rem',
+    padding: '1rem',
+    minHeight: 0
+  },
+  boardSection: {
+    display: 'flex',
+    flexDirection: 'column',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+    overflow: 'hidden'
+  },
+  pageTabs: {
+    display: 'flex',
+    gap: '5px',
+    padding: '10px',
+    backgroundColor: '#f5f5f5',
+    borderBottom: '1px solid #ddd',
+    overflowX: 'auto'
+  },
+  pageTab: {
+    padding: '8px 20px',
+    backgroundColor: '#fff',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  activeTab: {
+    padding: '8px 20px',
+    backgroundColor: '#4F81E1',
+    color: 'white',
+    border: '1px solid #3a6db7',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  canvas: {
+    background: '#ffffff',
+    width: '100%',
+    aspectRatio: '4/3',
+    minHeight: 0
+  },
+  chatSection: {
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+    padding: '0 1rem',
+    overflowY: 'auto'
+  },
+  message: {
+    marginBottom: '10px'
+  },
+  controls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '1rem',
+    padding: '1rem 2rem',
+    backgroundColor: '#ffffff',
+    borderTop: '1px solid #ddd'
+  },
+  playButton: {
+    padding: '8px 16px',
+    backgroundColor: '#28a745',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  scrubber: {
+    flex: 1
+  },
+  time: {
+    fontSize: '0.9rem',
+    color: '#6c757d',
+    whiteSpace: 'nowrap'
+  },
+  centered: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    height: '100vh'
+  }
+};
+
+export default Playback;
@@ -0,0 +1,48 @@
+import { applyEvent, buildTimeline, createEmptyState } from './Playback';
+
+// Recordings hold the same payloads the server broadcasts during a session
+const play = (events) => {
+  const state = createEmptyState();
+  events.forEach(event => applyEvent(state, event));
+  return state;
+};
+const strokeIds = page => page.strokes.map(stroke => stroke.strokeId);
+
+test('a recording replays from its state event through live and finished strokes', () => {
+  const state = play([
+    { t: 0, type: 'state', payload: { pages: [{ id: 'p1', position: 'h', strokes: [] }], chat: [] } },
+    { t: 1, type: 'draw', payload: { pageId: 'p1', strokeId: 's1', isNewStroke: true, x: 0, y: 0, color: '#000' } },
+    { t: 2, type: 'draw', payload: { pageId: 'p1', strokeId: 's1', prevX: 0, prevY: 0, x: 5, y: 5, pressure: 0.5 } }
+  ]);
+  expect(state.live.s1.points).toEqual([{ x: 0, y: 0 }, { x: 5, y: 5, p: 0.5 }]);
+
+  applyEvent(state, { t: 3, type: 'endStroke', payload: { pageId: 'p1', strokeId: 's1', stroke: { strokeId: 's1' } } });
+  expect(state.live).toEqual({});
+  expect(strokeIds(state.pages[0])).toEqual(['s1']);
+});
+
+test('page operations and removals replay like they applied live', () => {
+  const state = play([
+    { t: 0, type: 'state', payload: { pages: [{ id: 'p1', position: 'h', strokes: [{ strokeId: 'a' }] }] } },
+    { t: 1, type: 'addPage', payload: { page: { id: 'p2', position: 'p', title: '' } } },
+    { t: 2, type: 'strokesRemoved', payload: { pageId: 'p1', strokeIds: ['a'] } },
+    { t: 3, type: 'restorePage', payload: { page: { id: 'p1', position: 'h', strokes: [{ strokeId: 'b' }] } } },
+    { t: 4, type: 'chatMessage', payload: { username: 'Ada', message: 'hi' } }
+  ]);
+  expect(state.pages.map(page => page.id)).toEqual(['p1', 'p2']);
+  expect(strokeIds(state.pages[0])).toEqual(['b']);
+  expect(state.chat).toHaveLength(1);
+});
+
+test('recordings from before page IDs find pages by index', () => {
+  const state = play([
+    { t: 0, type: 'state', payload: { pages: [{ id: 1, strokes: [] }] } },
+    { t: 1, type: 'addShape', payload: { page: 0, stroke: { strokeId: 'r', type: 'rectangle' } } }
+  ]);
+  expect(strokeIds(state.pages[0])).toEqual(['r']);
+});
+
+test('long idle gaps are shortened on the timeline', () => {
+  const timeline = buildTimeline([{ t: 1000 }, { t: 1500 }, { t: 60000 }]);
+  expect(timeline.map(event => event.offset)).toEqual([0, 500, 3500]);
+});
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+
+function Register() {
+  const { register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await register({ name, email, password });
+      navigate(location.state?.from || '/', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Registration failed. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h1>Create an account</h1>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <input
+          placeholder="Display name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={40}
+          style={styles.input}
+          required
+        />
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password (at least 8 characters)"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={8}
+          style={styles.input}
+          required
+        />
+        {error && <p style={styles.error}>{error}</p>}
+        <button type="submit" style={styles.submitButton} disabled={submitting}>
+          {submitting ? 'Creating account...' : 'Register'}
+        </button>
+      </form>
+      <p>
+        Already registered? <Link to="/login" state={location.state}>Log in</Link>
+      </p>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex', flexDirection: 'column', alignItems: 'center',
+    marginTop: '50px'
+  },
+  form: {
+    display: 'flex', flexDirection: 'column', gap: '10px',
+    width: '300px', margin: '20px'
+  },
+  input: {
+    padding: '10px', fontSize: '16px'
+  },
+  error: {
+    color: '#dc3545', margin: 0
+  },
+  submitButton: {
+    padding: '10px 20px', fontSize: '16px', cursor: 'pointer',
+    backgroundColor: '#000', color: '#fff', border: 'none', borderRadius: '4px'
+  }
+};
+
+export default Register;
@@ -1,39 +1,64 @@
 // Room.js
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useRef } from 'react';
 import io from 'socket.io-client';
 import { useParams, useNavigate } from 'react-router-dom';
 import Whiteboard from './Whiteboard';
 import Chat from './Chat';
 import HandGesture from './HandGesture';
-
-const SERVER_URL = 'https://collabboard22.onrender.com';
+import RoomSettings from './RoomSettings';
+import { useAuth } from './AuthContext';
+import { SERVER_URL } from './config';
+import { getClientId, instanceId, renewClientId } from './clientId';
+import { createOperationQueue } from './operationQueue';
 
 function Room() {
 
   const { roomId } = useParams();
 const navigate = useNavigate();
-const handleActivePageChange = (newPageIndex) => {
-  setActivePage(newPageIndex);
-};
   const [socket, setSocket] = useState(null);
-  const [localId, setLocalId] = useState(null);
+  const [queue, setQueue] = useState(null);
+  const [isOnline, setIsOnline] = useState(false);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const hasJoined = useRef(false);
+  const [localId, setLocalId] = useState(getClientId);
   const [handGestureMode, setHandGestureMode] = useState(false);
   const [gestureStatus, setGestureStatus] = useState('');
+  const [aiIncludesBackground, setAiIncludesBackground] = useState(true);
   const [loading, setLoading] = useState(true);
   const [connectionError, setConnectionError] = useState(false);
-  const [activePage, setActivePage] = useState(0);
+  const [activePageId, setActivePageId] = useState(null);
+  const [activeLayerId, setActiveLayerId] = useState(null);
+  const viewport = useRef(null); // visible world rect of the whiteboard; a ref so panning does not re-render the room
+  const { user } = useAuth();
+  const [joinState, setJoinState] = useState('joining'); // joining | joined | passwordRequired | invalidPassword
+  const [roomPassword, setRoomPassword] = useState('');
+  const [role, setRole] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [isProtected, setIsProtected] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [presence, setPresence] = useState([]); // everyone connected, including this socket
+  const [followingId, setFollowingId] = useState(null); // clientId whose page and viewport this tab mirrors
+  const lastPresenterId = useRef(null);
+  const readOnly = role === 'viewer';
 
 
   useEffect(() => {
     const newSocket = io(SERVER_URL, {
       transports: ['websocket'],
       upgrade: false,
-      reconnectionAttempts: 3,
-      timeout: 5000
+      reconnectionDelayMax: 10000, // keep retrying; work done meanwhile waits in the queue
+      timeout: 5000,
+      withCredentials: true, // the session cookie authenticates the handshake
+      auth: { clientId: localId, instanceId }
     });
 
+    const newQueue = createOperationQueue(newSocket, localId);
+    const unsubscribeQueue = newQueue.subscribe(setQueuedCount);
+    hasJoined.current = false;
+
+    // Only the first connection can fail outright; later drops just take the board offline
     const connectionTimer = setTimeout(() => {
-      if (!newSocket.connected) {
+      if (!newSocket.connected && !hasJoined.current) {
         setConnectionError(true);
         setLoading(false);
       }
@@ -41,39 +66,127 @@ const handleActivePageChange = (newPageIndex) => {
 
     newSocket.on('connect', () => {
       clearTimeout(connectionTimer);
-      setLocalId(newSocket.id);
       setLoading(false);
       setConnectionError(false);
+      newSocket.emit('joinRoom', roomId);
+    });
+
+    newSocket.on('roomStatus', (status) => {
+      setRole(status.role);
+      setIsProtected(status.isProtected);
+      setJoinState('joined');
+      setIsOnline(true);
+
+      const rejoined = hasJoined.current;
+      hasJoined.current = true;
+      newQueue.flush().then(() => {
+        // Catch up on what others did while this client was offline
+        if (rejoined && newSocket.connected) newSocket.emit('requestInitialState', roomId);
+      });
+    });
+
+    newSocket.on('disconnect', () => {
+      newQueue.pause();
+      setIsOnline(false);
+    });
+
+    newSocket.on('joinError', ({ reason }) => setJoinState(reason));
+    newSocket.on('roomSettings', (settings) => setIsProtected(settings.isProtected));
+    newSocket.on('roomMembers', setMembers);
+
+    newSocket.on('presenceList', setPresence);
+    // A reconnecting client rejoins with the same clientId and keeps its place in the roster
+    newSocket.on('presenceJoined', (entry) => {
+      setPresence(prev => prev.some(p => p.clientId === entry.clientId) ?
+        prev.map(p => p.clientId === entry.clientId ? entry : p) :
+        [...prev, entry]);
+    });
+    newSocket.on('presenceUpdated', (entry) => {
+      setPresence(prev => prev.map(p => p.clientId === entry.clientId ? entry : p));
+    });
+    newSocket.on('presenceLeft', ({ clientId }) => {
+      setPresence(prev => prev.filter(p => p.clientId !== clientId));
     });
 
-    newSocket.on('connect_error', () => {
+    newSocket.on('connect_error', (error) => {
+      // This is a duplicated tab; the tab it was copied from keeps the ID
+      if (error.message === 'clientIdInUse') {
+        setLocalId(renewClientId());
+        return;
+      }
+      if (hasJoined.current) return;
       setConnectionError(true);
       setLoading(false);
     });
 
-    newSocket.emit('joinRoom', roomId);
     setSocket(newSocket);
+    setQueue(newQueue);
 
     return () => {
       clearTimeout(connectionTimer);
+      unsubscribeQueue();
+      newSocket.emit('leaveRoom', roomId);
       newSocket.disconnect();
     };
-  }, [roomId]);
+  }, [roomId, localId]);
+
+  // A new presenter pulls everyone else along; when they stop, their followers are let go
+  const presenterId = presence.find(entry => entry.presenting)?.clientId || null;
+  useEffect(() => {
+    const previous = lastPresenterId.current;
+    lastPresenterId.current = presenterId;
+    if (presenterId && presenterId !== localId) setFollowingId(presenterId);
+    else setFollowingId(current => (current === previous ? null : current));
+  }, [presenterId, localId]);
+
+  const followed = presence.find(entry => entry.clientId === followingId) || null;
+  useEffect(() => {
+    if (followingId && !followed) setFollowingId(null);
+  }, [followingId, followed]);
+
+  const isPresenting = presenterId === localId;
+  const togglePresenting = () => {
+    socket?.emit('setPresenting', { roomId, presenting: !isPresenting });
+  };
 
   const leaveRoom = useCallback(() => {
     navigate('/');
   }, [navigate]);
 
+  // Role changes by the owner arrive with the member list
+  useEffect(() => {
+    const self = members.find(member => member.userId === user?.id);
+    if (self) setRole(self.role);
+  }, [members, user]);
+
+  const submitRoomPassword = (e) => {
+    e.preventDefault();
+    setJoinState('joining');
+    socket.emit('joinRoom', { roomId, password: roomPassword });
+  };
+
+  const handleViewportChange = useCallback((rect) => {
+    viewport.current = rect;
+  }, []);
+
+  const getViewport = useCallback(() => viewport.current, []);
+
   const toggleHandGestureMode = useCallback(() => {
     setHandGestureMode(prev => !prev);
   }, []);
 
   const handleGesture = useCallback((gesture) => {
     setGestureStatus(gesture);
-    if (gesture === 'clear' && socket) {
-      socket.emit('clearCanvas', { roomId, senderId: localId });
+    if (gesture === 'clear' && queue) {
+      queue.emit('clearCanvas', {
+        roomId,
+        senderId: localId,
+        pageId: activePageId,
+        layerId: activeLayerId,
+        handGesture: true
+      });
     }
-  }, [socket, roomId, localId]);
+  }, [queue, roomId, localId, activePageId, activeLayerId]);
 
 
 
@@ -89,7 +202,28 @@ const handleActivePageChange = (newPageIndex) => {
     );
   }
 
-  if (loading) {
+  if (joinState === 'passwordRequired' || joinState === 'invalidPassword') {
+    return (
+      <div style={styles.errorContainer}>
+        <h2>Room {roomId} is password protected</h2>
+        <form onSubmit={submitRoomPassword} style={styles.passwordForm}>
+          <input
+            type="password"
+            value={roomPassword}
+            onChange={(e) => setRoomPassword(e.target.value)}
+            placeholder="Room password"
+            style={styles.passwordInput}
+            autoFocus
+          />
+          <button type="submit" style={styles.retryButton}>Join</button>
+        </form>
+        {joinState === 'invalidPassword' && <p style={styles.passwordError}>Incorrect password.</p>}
+        <button style={styles.leaveButton} onClick={leaveRoom}>🚪 Back to Home</button>
+      </div>
+    );
+  }
+
+  if (loading || joinState !== 'joined') {
     return (
       <div style={styles.loadingContainer}>
         <div style={styles.spinner}></div>
@@ -102,15 +236,73 @@ const handleActivePageChange = (newPageIndex) => {
   return (
     <div style={styles.container}>
       <header style={styles.header}>
-        <h1 style={styles.title}>CollabAI - Room: {roomId}</h1>
+        <h1 style={styles.title}>
+          CollabAI - Room: {roomId} {isProtected && '🔒'}
+          <span style={styles.roleBadge}>{role}</span>
+          <span
+            style={{ ...styles.connectionStatus, color: isOnline ? '#28a745' : '#fd7e14' }}
+            role="status"
+          >
+            {isOnline ?
+              (queuedCount > 0 ? `● Syncing ${queuedCount} change(s)...` : '● Online') :
+              `● Offline${queuedCount > 0 ? ` · ${queuedCount} change(s) queued` : ''}`}
+          </span>
+        </h1>
+        <ul style={styles.roster} aria-label="Participants">
+          {presence.map(entry => {
+            const isLocal = entry.clientId === localId;
+            return (
+              <li
+                key={entry.clientId}
+                style={{
+                  ...styles.rosterItem,
+                  ...(!isLocal && styles.followableRosterItem),
+                  ...(entry.clientId === followingId && { border: `1px solid ${entry.color}` }),
+                  ...(!entry.connected && { opacity: 0.5 })
+                }}
+                title={entry.connected ?
+                  (isLocal ? entry.name : `Follow ${entry.name}`) :
+                  `${entry.name} (reconnecting...)`}
+                onClick={isLocal ? undefined : () => setFollowingId(entry.clientId)}
+              >
+                <span style={{ ...styles.rosterDot, backgroundColor: entry.color }} />
+                {entry.presenting && '📢 '}{entry.name}{isLocal && ' (you)'}
+              </li>
+            );
+          })}
+        </ul>
         <div style={styles.buttonGroup}>
+          {role === 'owner' && (
+            <button
+              onClick={() => setShowSettings(prev => !prev)}
+              style={styles.leaveButton}
+              aria-label="Room settings"
+            >
+              ⚙️ Settings
+            </button>
+          )}
+          <button
+            onClick={togglePresenting}
+            style={isPresenting ? styles.activeGestureButton : styles.leaveButton}
+            aria-label={isPresenting ? 'Stop presenting' : 'Present: everyone follows your page and view'}
+          >
+            {isPresenting ? '⏹ Stop Presenting' : '📢 Present'}
+          </button>
           <button 
             onClick={toggleHandGestureMode} 
             style={handGestureMode ? styles.activeGestureButton : styles.handGestureButton}
             aria-label={handGestureMode ? 'Disable hand gestures' : 'Enable hand gestures'}
+            disabled={readOnly}
           >
             {handGestureMode ? '✋ Disable Gestures' : '👆 Hand Gestures'}
           </button>
+          <button
+            onClick={() => navigate(`/room/${roomId}/playback`)}
+            style={styles.leaveButton}
+            aria-label="Replay this room's session"
+          >
+            ⏯ Playback
+          </button>
           <button 
             onClick={leaveRoom} 
             style={styles.leaveButton}
@@ -120,19 +312,53 @@ const handleActivePageChange = (newPageIndex) => {
           </button>
         </div>
       </header>
-      
+
+      {showSettings && role === 'owner' && (
+        <RoomSettings
+          socket={socket}
+          roomId={roomId}
+          members={members}
+          isProtected={isProtected}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
 
       <div style={styles.mainContent}>
         <div style={styles.whiteboardSection}>
-          <Whiteboard socket={socket} roomId={roomId} localId={localId} onActivePageChange={handleActivePageChange}/>
+          {followed && (
+            <div style={{ ...styles.followBanner, borderBottom: `2px solid ${followed.color}` }} role="status">
+              Following {followed.name}{followed.presenting && ' (presenting)'}
+              <button style={styles.stopFollowingButton} onClick={() => setFollowingId(null)}>
+                Stop following
+              </button>
+            </div>
+          )}
+          <Whiteboard
+            socket={socket}
+            queue={queue}
+            isOnline={isOnline}
+            roomId={roomId}
+            localId={localId}
+            readOnly={readOnly}
+            canLockLayers={role === 'owner'}
+            presence={presence}
+            following={followed}
+            onActivePageChange={setActivePageId}
+            onActiveLayerChange={setActiveLayerId}
+            onViewportChange={handleViewportChange}
+          />
         </div>
         
-        {handGestureMode && (
+        {handGestureMode && !readOnly && (
           <div style={styles.gestureSection}>
             <HandGesture 
               socket={socket} 
+              queue={queue}
               roomId={roomId} 
-              activePage={activePage}
+              activePageId={activePageId}
+              activeLayerId={activeLayerId}
+              getViewport={getViewport}
+              includeBackground={aiIncludesBackground}
               onGestureDetected={handleGesture} 
               localId={localId} 
               color="#FF0000" // Default color
@@ -141,11 +367,19 @@ const handleActivePageChange = (newPageIndex) => {
             <div style={styles.gestureStatus}>
               Active Gesture: <strong>{gestureStatus || 'None'}</strong>
             </div>
+            <label style={styles.gestureOption}>
+              <input
+                type="checkbox"
+                checked={aiIncludesBackground}
+                onChange={(e) => setAiIncludesBackground(e.target.checked)}
+              />
+              Tell the AI about the page background
+            </label>
           </div>
         )}
 
         <div style={styles.chatSection}>
-          <Chat socket={socket} roomId={roomId} />
+          <Chat socket={socket} queue={queue} roomId={roomId} />
         </div>
       </div>
     </div>
@@ -270,6 +504,12 @@ const styles = {
     textAlign: 'center',
     fontSize: '0.9rem'
   },
+  gestureOption: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.4rem',
+    fontSize: '0.9rem'
+  },
   loadingContainer: {
     display: 'flex',
     flexDirection: 'column',
@@ -295,6 +535,83 @@ const styles = {
     gap: '1rem',
     textAlign: 'center'
   },
+  roster: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.5rem',
+    listStyle: 'none',
+    margin: '0 1rem',
+    padding: 0,
+    flex: 1
+  },
+  rosterItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.3rem',
+    padding: '2px 8px',
+    fontSize: '0.85rem',
+    borderRadius: '10px',
+    backgroundColor: '#f1f3f5',
+    maxWidth: '10rem',
+    overflow: 'hidden',
+    whiteSpace: 'nowrap',
+    textOverflow: 'ellipsis'
+  },
+  followableRosterItem: {
+    cursor: 'pointer',
+    border: '1px solid transparent'
+  },
+  followBanner: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '0.75rem',
+    padding: '4px 8px',
+    fontSize: '0.85rem',
+    backgroundColor: '#fff8e1'
+  },
+  stopFollowingButton: {
+    padding: '2px 8px',
+    fontSize: '0.8rem',
+    backgroundColor: 'white',
+    border: '1px solid #ced4da',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  rosterDot: {
+    width: '10px',
+    height: '10px',
+    borderRadius: '50%',
+    flexShrink: 0
+  },
+  connectionStatus: {
+    marginLeft: '0.75rem',
+    fontSize: '0.8rem',
+    fontWeight: 'normal',
+    verticalAlign: 'middle'
+  },
+  roleBadge: {
+    marginLeft: '0.75rem',
+    padding: '2px 8px',
+    fontSize: '0.8rem',
+    verticalAlign: 'middle',
+    borderRadius: '10px',
+    backgroundColor: '#e9ecef',
+    color: '#495057',
+    textTransform: 'capitalize'
+  },
+  passwordForm: {
+    display: 'flex',
+    gap: '0.5rem'
+  },
+  passwordInput: {
+    padding: '0.5rem',
+    fontSize: '1rem'
+  },
+  passwordError: {
+    color: '#dc3545',
+    margin: 0
+  },
   retryButton: {
     padding: '0.5rem 1rem',
     backgroundColor: '#4F81E1',
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+
+// Owner-only panel: join password and per-member roles
+function RoomSettings({ socket, roomId, members, isProtected, onClose }) {
+  const [password, setPassword] = useState('');
+
+  const savePassword = (e) => {
+    e.preventDefault();
+    socket.emit('setRoomPassword', { roomId, password });
+    setPassword('');
+  };
+
+  const clearPassword = () => {
+    socket.emit('setRoomPassword', { roomId, password: '' });
+  };
+
+  const changeRole = (userId, role) => {
+    socket.emit('setMemberRole', { roomId, userId, role });
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        Room Settings
+        <button style={styles.closeButton} onClick={onClose} aria-label="Close settings">×</button>
+      </div>
+
+      <section style={styles.section}>
+        <h4 style={styles.sectionTitle}>Join password</h4>
+        <p style={styles.hint}>
+          {isProtected ?
+            'New participants need the password. Existing members can always rejoin.' :
+            'Anyone with the room ID can join.'}
+        </p>
+        <form onSubmit={savePassword} style={styles.row}>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={isProtected ? 'New password' : 'Set a password'}
+            style={styles.input}
+          />
+          <button type="submit" style={styles.primaryButton} disabled={!password}>Save</button>
+        </form>
+        {isProtected && (
+          <button style={styles.secondaryButton} onClick={clearPassword}>Remove password</button>
+        )}
+      </section>
+
+      <section style={styles.section}>
+        <h4 style={styles.sectionTitle}>Members</h4>
+        {members.map(member => (
+          <div key={member.userId} style={styles.memberRow}>
+            <span>{member.name}</span>
+            {member.role === 'owner' ? (
+              <span style={styles.ownerLabel}>Owner</span>
+            ) : (
+              <select
+                value={member.role}
+                onChange={(e) => changeRole(member.userId, e.target.value)}
+                aria-label={`Role for ${member.name}`}
+              >
+                <option value="editor">Editor</option>
+                <option value="viewer">Viewer</option>
+              </select>
+            )}
+          </div>
+        ))}
+      </section>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    position: 'fixed',
+    top: '80px',
+    right: '20px',
+    width: '300px',
+    maxHeight: 'calc(100vh - 100px)',
+    overflowY: 'auto',
+    backgroundColor: '#ffffff',
+    border: '1px solid #4F81E1',
+    borderRadius: '8px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+    zIndex: 1100
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#4F81E1',
+    color: 'white',
+    padding: '10px',
+    fontWeight: 'bold'
+  },
+  closeButton: {
+    background: 'none',
+    border: 'none',
+    color: 'inherit',
+    cursor: 'pointer',
+    fontSize: '18px'
+  },
+  section: {
+    padding: '10px',
+    borderBottom: '1px solid #eee'
+  },
+  sectionTitle: {
+    margin: '0 0 5px'
+  },
+  hint: {
+    fontSize: '12px',
+    color: '#6c757d',
+    margin: '0 0 8px'
+  },
+  row: {
+    display: 'flex',
+    gap: '5px',
+    marginBottom: '5px'
+  },
+  input: {
+    flex: 1,
+    padding: '6px'
+  },
+  primaryButton: {
+    padding: '6px 12px',
+    backgroundColor: '#28a745',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  secondaryButton: {
+    padding: '4px 8px',
+    backgroundColor: '#fff',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  },
+  memberRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '4px 0'
+  },
+  ownerLabel: {
+    fontSize: '12px',
+    color: '#6c757d'
+  }
+};
+
+export default RoomSettings;
@@ -1,30 +1,215 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
 import { jsPDF } from 'jspdf';
 import DOMPurify from 'dompurify';
+import {
+  drawStroke,
+  applyView,
+  getStrokesBounds,
+  getPageBounds,
+  fitView,
+  viewBounds,
+  zoomView,
+  DEFAULT_VIEW,
+  HOME_BOUNDS,
+  SHAPE_TYPES,
+  FILLABLE_SHAPES,
+  DASH_STYLES,
+  TEXT_ALIGNMENTS,
+  TEXT_LINE_HEIGHT,
+  textFont,
+  multiplyTransforms,
+  transformPoint,
+  IDENTITY_TRANSFORM
+} from './strokes';
+import { hitTest, lassoSelect, moveToEdge, applyStrokeOrder, replaceStrokes } from './selection';
+import { recognizeShape } from './shapeRecognition';
+import { HIGHLIGHTER_OPACITY, drawInkTail, isHighlighter } from './ink';
+import { traceFill, pickColor } from './floodFill';
+import HistoryPanel from './HistoryPanel';
+import PagePreview from './PagePreview';
+import { applyPageOperation, positionAfter, pageLabel } from './pageOrder';
+import { getPageLayers, strokeLayerId, layerLabel, applyLayerOperation, drawLayers, drawHighlights } from './layers';
+import { BACKGROUND_TYPES, SPACING_OPTIONS, drawBackground, getPageBackground } from './backgrounds';
+import { TRAIL_FLUSH_MS, addTrailPoints, pruneTrails, drawTrails } from './ephemeralInk';
+import { createId } from './clientId';
 
-function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
+// Drop client-only bookkeeping so the local copy matches what the server logs
+const toLoggedStroke = ({ pageId, ...stroke }) => stroke;
+
+const CURSOR_THROTTLE_MS = 50;
+const VIEWPORT_THROTTLE_MS = 100;
+const ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_SPEED = 0.0015;
+const FIT_PADDING = 40;
+const PDF_RENDER_SIZE = 1600; // longer side of a page rendered for PDF export, in pixels
+const MIN_SHAPE_SIZE = 2;
+const FONT_SIZES = [12, 16, 20, 24, 32, 48, 64, 96];
+const HIT_TOLERANCE_PX = 6;
+const PASTE_OFFSET = 20;
+const ROTATE_SNAP = Math.PI / 12;
+const MIN_SCALE_FACTOR = 0.05;
+const SCALE_HANDLES = ['nw', 'ne', 'sw', 'se'];
+
+// The change a selection drag makes so far, as a matrix applied on top of each stroke's own
+const gestureMatrix = (gesture, point, shiftKey) => {
+  const { mode, start, bounds } = gesture;
+  if (mode === 'move') return [1, 0, 0, 1, point.x - start.x, point.y - start.y];
+
+  if (mode === 'rotate') {
+    const cx = (bounds.minX + bounds.maxX) / 2;
+    const cy = (bounds.minY + bounds.maxY) / 2;
+    let angle = Math.atan2(point.y - cy, point.x - cx) - Math.atan2(start.y - cy, start.x - cx);
+    if (shiftKey) angle = Math.round(angle / ROTATE_SNAP) * ROTATE_SNAP;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+  }
+
+  // Scaling pulls the dragged corner and keeps the opposite one in place; Shift keeps the proportions
+  const { handle } = gesture;
+  const anchor = {
+    x: handle.includes('w') ? bounds.maxX : bounds.minX,
+    y: handle.includes('n') ? bounds.maxY : bounds.minY
+  };
+  const limit = (factor) => (Math.abs(factor) < MIN_SCALE_FACTOR ? Math.sign(factor || 1) * MIN_SCALE_FACTOR : factor);
+  let sx = limit((point.x - anchor.x) / ((start.x - anchor.x) || 1));
+  let sy = limit((point.y - anchor.y) / ((start.y - anchor.y) || 1));
+  if (shiftKey) {
+    const uniform = Math.max(Math.abs(sx), Math.abs(sy));
+    sx = Math.sign(sx) * uniform;
+    sy = Math.sign(sy) * uniform;
+  }
+  return [sx, 0, 0, sy, anchor.x * (1 - sx), anchor.y * (1 - sy)];
+};
+
+const TOOLS = [
+  { id: 'select', label: '⬚', title: 'Select: click or lasso strokes, drag to move, use the handles to scale and rotate' },
+  { id: 'pen', label: '✏️', title: 'Pen' },
+  { id: 'highlighter', label: '🖍️', title: 'Highlighter: translucent ink that lets what is under it show through' },
+  { id: 'laser', label: '🔴', title: 'Laser pointer: a glowing trail everyone sees for a moment, never saved' },
+  { id: 'disappearingInk', label: '✨', title: 'Disappearing ink: strokes everyone sees fade away after a few seconds' },
+  { id: 'rectangle', label: '▭', title: 'Rectangle' },
+  { id: 'ellipse', label: '◯', title: 'Ellipse' },
+  { id: 'line', label: '╱', title: 'Line' },
+  { id: 'arrow', label: '→', title: 'Arrow' },
+  { id: 'polygon', label: '⬠', title: 'Polygon: click each corner, double-click or Enter to finish, Esc to cancel' },
+  { id: 'text', label: 'T', title: 'Text: click to add a text box, or click existing text to edit it' },
+  { id: 'fill', label: '🪣', title: 'Fill: click inside a closed area to colour it in' },
+  { id: 'eyedropper', label: '💧', title: 'Eyedropper: click the board to take a colour from it' }
+];
+
+const HIGHLIGHTER_WIDTH_SCALE = 6; // a highlighter is this many times wider than the pen
+
+const TRAIL_TOOLS = { laser: 'laser', disappearingInk: 'ink' }; // tool -> kind of ephemeral trail
+
+// The preview layer sits over the board and only ever shows the shape being drawn
+const renderShapePreview = (canvas, shape, view) => {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!shape) return;
+  applyView(ctx, view, window.devicePixelRatio || 1);
+  drawStroke(ctx, shape);
+};
+
+// The extra clicks of a double-click leave repeated vertices behind
+const withoutRepeats = (points) => points.filter((point, index) =>
+  index === 0 || point.x !== points[index - 1].x || point.y !== points[index - 1].y
+);
+
+const isCompleteShape = ({ type, points }) => {
+  if (type === 'polygon') return points.length >= 3;
+  const [start, end] = points;
+  return Math.hypot(end.x - start.x, end.y - start.y) >= MIN_SHAPE_SIZE;
+};
+
+function Whiteboard({
+  socket,
+  queue,
+  isOnline = true,
+  roomId,
+  localId,
+  onActivePageChange,
+  onViewportChange,
+  onActiveLayerChange,
+  readOnly: isViewer = false,
+  canLockLayers = false,
+  presence = [],
+  following = null
+}) {
   const [pages, setPages] = useState([{ 
-    id: Date.now(), 
-    imageData: ''
+    id: `${localId}-initial`, 
+    position: 'i',
+    title: '',
+    strokes: []
   }]);
-  const [activePage, setActivePage] = useState(0);
-  const canvasRefs = useRef([]);
-  const contextRefs = useRef([]);
+  // The placeholder page above only fills the board until the server's page list arrives;
+  // anything drawn on it would land on a page nobody else has, so edits wait for the list
+  const [pagesLoaded, setPagesLoaded] = useState(false);
+  const readOnly = isViewer || !pagesLoaded;
+  const [selectedPageId, setSelectedPageId] = useState(null);
+  const [views, setViews] = useState({}); // pageId -> { x, y, scale }, local to this tab
+  const [activeLayers, setActiveLayers] = useState({}); // pageId -> layerId being drawn on, local to this tab
+  const layerCanvases = useRef(new Map()); // layerId -> canvas of each visible layer on the active page
+  const [viewportSize, setViewportSize] = useState({ width: 0, height: 0 });
+  const [isSpaceHeld, setIsSpaceHeld] = useState(false);
+  const viewportRef = useRef(null);
+  const canvasRef = useRef(null);
+  const activePageIdRef = useRef(null);
+  const activePageRef = useRef(null);
+  const panOrigin = useRef(null); // last pointer position while panning
+  const inputPointer = useRef(null); // pointerId of whatever is drawing, dragging or panning
+  const touches = useRef(new Map()); // pointerId -> viewport position of each finger down
+  const pinch = useRef(null); // midpoint and spread of the two fingers last time they moved
+  const [penOnly, setPenOnly] = useState(false); // palm rejection: fingers only pan and zoom
+  const [autoShape, setAutoShape] = useState(false);
+  const autoShapeRef = useRef(false);
+  const [shapedSketch, setShapedSketch] = useState(null); // last sketch auto-shape replaced, until reverted
+  const lastActiveIndex = useRef(0);
   const [color, setColor] = useState('#000000');
   const [lineWidth, setLineWidth] = useState(2);
-  // const [aiResponse, setAiResponse] = useState('');
-  // const [isLoadingAI, setIsLoadingAI] = useState(false);
   const [isErasing, setIsErasing] = useState(false);
+  // One of the TOOLS ids: 'select', 'pen', 'highlighter', 'laser', 'disappearingInk', a shape type,
+  // 'text', 'fill' or 'eyedropper'
+  const [tool, setTool] = useState('pen');
+  const [fillEnabled, setFillEnabled] = useState(false);
+  const [fillColor, setFillColor] = useState('#ffffff');
+  const [fillTolerance, setFillTolerance] = useState(20);
+  const [fillNotice, setFillNotice] = useState('');
+  const toolBeforePicking = useRef('pen'); // the eyedropper hands back to it after one pick
+  const [dash, setDash] = useState('solid');
+  const [textStyle, setTextStyle] = useState({ fontSize: 24, bold: false, italic: false, align: 'left' });
+  const [editingText, setEditingText] = useState(null); // text box open for typing, with its pageId
+  const [selectedIds, setSelectedIds] = useState([]); // strokeIds on the active page
+  const lasso = useRef(null);
+  const clipboard = useRef({ strokes: [], pastes: 0 });
+  const previewCanvasRef = useRef(null);
+  const highlightCanvasRef = useRef(null);
+  const trailCanvasRef = useRef(null);
+  const trails = useRef(new Map()); // trailId -> laser or disappearing ink still fading, local or remote
+  const trailFrame = useRef(null); // pending animation frame while any trail is fading
+  const ownTrail = useRef(null); // trail being drawn here, with the points not sent yet
+  const viewRef = useRef(DEFAULT_VIEW);
+  const shapeDraft = useRef(null); // shape being dragged out or clicked together, not sent yet
   const [eraserSize, setEraserSize] = useState(20);
   const isDrawing = useRef(false);
   const prevCoords = useRef(null);
-  const [currentStrokeId, setCurrentStrokeId] = useState(null);
-  const [receivedStrokes, setReceivedStrokes] = useState({});
+  const currentStroke = useRef(null);
+  const liveStrokes = useRef(new Map()); // strokeId -> stroke still being drawn, local or remote
+  const lastCursorSent = useRef(0);
+  const lastViewportSent = useRef(0);
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+  const [showHistory, setShowHistory] = useState(false);
+  const [showLayers, setShowLayers] = useState(false);
+  const [showPageStrip, setShowPageStrip] = useState(false);
+  const draggedPageId = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
   
   const [position, setPosition] = useState({ x: window.innerWidth - 320, y: 60 });
   const [dimensions, setDimensions] = useState({ width: 300, height: 200 });
   const [aiResponse, setAiResponse] = useState('');
+  const [aiError, setAiError] = useState('');
   const [isLoadingAI, setIsLoadingAI] = useState(false);
   const aiRef = useRef(null);
   const handleMouseDown = (e) => {
@@ -53,119 +238,480 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
       document.removeEventListener('mouseup', handleMouseUp);
     };
   }, [isDragging, position]);
+  // The active page is tracked by id, so page operations from others never switch it.
+  // If it is removed, whichever page moves into its slot becomes active.
+  const foundIndex = pages.findIndex(page => page.id === selectedPageId);
+  const activePage = foundIndex >= 0 ? foundIndex : Math.min(lastActiveIndex.current, pages.length - 1);
+  lastActiveIndex.current = activePage;
+  const activePageId = pages[activePage]?.id;
+  activePageIdRef.current = activePageId;
+  activePageRef.current = pages[activePage];
+  autoShapeRef.current = autoShape;
+  const view = views[activePageId] || DEFAULT_VIEW;
+  viewRef.current = view;
+  const pageLayers = getPageLayers(pages[activePage]);
+  // Without a choice of its own, a tab draws on the topmost layer it is allowed to
+  const activeLayer = pageLayers.find(layer => layer.id === activeLayers[activePageId]) ||
+    [...pageLayers].reverse().find(layer => !layer.locked) ||
+    pageLayers[pageLayers.length - 1];
+  const canDraw = !readOnly && activeLayer.visible && !activeLayer.locked;
+  const background = getPageBackground(pages[activePage]);
+  const isEditableStroke = (stroke) => {
+    const layer = pageLayers.find(l => l.id === strokeLayerId(stroke));
+    return Boolean(layer?.visible && !layer.locked);
+  };
+  const editingTextId = editingText?.strokeId;
+  // Moved or scaled text is edited where it shows, at its size; rotation is not shown while typing
+  const editorAnchor = editingText ?
+    transformPoint(editingText.transform || IDENTITY_TRANSFORM, editingText.points[0]) :
+    null;
+  const editorScale = editingText?.transform ?
+    Math.sqrt(Math.abs(editingText.transform[0] * editingText.transform[3] - editingText.transform[1] * editingText.transform[2])) :
+    1;
+
   useEffect(() => {
-    const handleAddPage = (newPage) => {
-      setPages(prev => {
-        const updatedPages = [...prev, newPage];
-        setActivePage(updatedPages.length - 1);
-        return updatedPages;
-      });
-    };
+    if (activePageId !== undefined) onActivePageChange?.(activePageId);
+  }, [activePageId, onActivePageChange]);
 
-    const handleRemovePage = (pageId) => {
-      setPages(prev => {
-        const updatedPages = prev.filter(page => page.id !== pageId);
-        setActivePage(prevActive => Math.min(prevActive, updatedPages.length - 1));
-        return updatedPages;
-      });
-    };
+  useEffect(() => {
+    onActiveLayerChange?.(activeLayer.id);
+  }, [activeLayer.id, onActiveLayerChange]);
 
-    const changePage = (newPageIndex) => {
-      setActivePage(newPageIndex);
-      onActivePageChange?.(newPageIndex); // Call the parent handler
-    };
+  useEffect(() => {
+    const pageOperations = [
+      'addPage', 'duplicatePage', 'restorePage', 'removePage', 'movePage', 'repositionPages', 'renamePage',
+      'setPageBackground'
+    ];
+    const layerOperations = ['addLayer', 'updateLayer', 'moveLayer'];
+    const handlers = [
+      ...pageOperations.map(type => [
+        type,
+        (operation) => setPages(prev => applyPageOperation(prev, type, operation))
+      ]),
+      ...layerOperations.map(type => [
+        type,
+        (operation) => setPages(prev => applyLayerOperation(prev, type, operation))
+      ])
+    ];
 
     const handleAIResponse = (data) => {
       setAiResponse(data.response);
+      setAiError('');
       setIsLoadingAI(false);
     };
 
-    socket?.on('addPage', handleAddPage);
-    socket?.on('removePage', handleRemovePage);
+    // Sent only to whoever asked, e.g. when the server has no AI provider set up
+    const handleAIError = (data) => {
+      setAiError(data?.message || 'AI processing failed');
+      setIsLoadingAI(false);
+    };
+
+    handlers.forEach(([type, handler]) => socket?.on(type, handler));
     socket?.on('aiResponse', handleAIResponse);
+    socket?.on('aiError', handleAIError);
 
     return () => {
-      socket?.off('addPage', handleAddPage);
-      socket?.off('removePage', handleRemovePage);
+      handlers.forEach(([type, handler]) => socket?.off(type, handler));
       socket?.off('aiResponse', handleAIResponse);
+      socket?.off('aiError', handleAIError);
     };
   }, [socket]);
 
   useEffect(() => {
-    pages.forEach((page, index) => {
-      const canvas = canvasRefs.current[index];
-      if (canvas) {
-        if (!canvas.dataset.initialized) {
-          canvas.width = 640;
-          canvas.height = 480;
-          canvas.dataset.initialized = 'true';
-        }
-  
-        const ctx = canvas.getContext('2d');
-        ctx.lineCap = 'round';
-        ctx.strokeStyle = color;
-        ctx.lineWidth = lineWidth;
-        contextRefs.current[index] = ctx;
-  
-        if (page.imageData) {
-          const img = new Image();
-          img.onload = () => {
-            ctx.clearRect(0, 0, 640, 480);
-            ctx.drawImage(img, 0, 0);
-          };
-          img.src = page.imageData;
-        }
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setViewportSize({ width, height });
+    });
+    observer.observe(viewport);
+    return () => observer.disconnect();
+  }, []);
+
+  // Highlighter strokes, finished or still being drawn, make up the highlight pass (see
+  // drawHighlights), shown on an overlay that multiplies over every layer below it. It is redrawn
+  // whole whenever a highlighter or eraser stroke grows, since drawing highlights piece by piece
+  // would darken every join.
+  const renderHighlights = useCallback(() => {
+    const canvas = highlightCanvasRef.current;
+    const page = activePageRef.current;
+    if (!canvas || !page) return;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    applyView(ctx, viewRef.current, window.devicePixelRatio || 1);
+    const live = Array.from(liveStrokes.current.values()).filter(stroke => stroke.pageId === page.id);
+    drawHighlights(ctx, getPageLayers(page), [...page.strokes, ...live]);
+  }, []);
+
+  // Only the active page is rendered. The bottom canvas takes the pointer input and shows the
+  // page background, and each visible layer is drawn on a canvas of its own above it, so erasing
+  // on one layer leaves the others and the background intact. Backing stores follow the device
+  // pixel ratio so strokes stay sharp at any zoom, and layer contexts are left in world
+  // coordinates for drawInkTail.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const page = pages.find(p => p.id === activePageId);
+    if (!canvas || !page) return;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    const width = Math.round(viewportSize.width * pixelRatio);
+    const height = Math.round(viewportSize.height * pixelRatio);
+    const surfaces = [canvas, previewCanvasRef.current, highlightCanvasRef.current, trailCanvasRef.current];
+    [...surfaces, ...layerCanvases.current.values()].forEach(surface => {
+      if (surface && (surface.width !== width || surface.height !== height)) {
+        surface.width = width;
+        surface.height = height;
       }
     });
-  }, [pages, color, lineWidth]);
+    renderShapePreview(previewCanvasRef.current, shapeDraft.current, view);
+
+    const backgroundCtx = canvas.getContext('2d');
+    backgroundCtx.setTransform(1, 0, 0, 1, 0, 0);
+    backgroundCtx.clearRect(0, 0, width, height);
+    applyView(backgroundCtx, view, pixelRatio);
+    drawBackground(backgroundCtx, getPageBackground(page), viewBounds(view, viewportSize.width, viewportSize.height));
+
+    getPageLayers(page).forEach(layer => {
+      const layerCanvas = layerCanvases.current.get(layer.id);
+      if (!layerCanvas) return; // hidden
+      const ctx = layerCanvas.getContext('2d');
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+      applyView(ctx, view, pixelRatio);
+      page.strokes.forEach(stroke => {
+        // Highlights are drawn by renderHighlights, and the text box being typed into by its editor
+        if (strokeLayerId(stroke) !== layer.id || stroke.strokeId === editingTextId || isHighlighter(stroke)) return;
+        drawStroke(ctx, stroke);
+      });
+      liveStrokes.current.forEach(stroke => {
+        if (stroke.pageId === page.id && strokeLayerId(stroke) === layer.id && !isHighlighter(stroke)) {
+          drawStroke(ctx, stroke);
+        }
+      });
+    });
+    renderHighlights();
+  }, [pages, activePageId, view, viewportSize, editingTextId, renderHighlights]);
 
   useEffect(() => {
-    const saveCurrentState = () => {
-      const canvas = canvasRefs.current[activePage];
-      if (canvas) {
-        const imageData = canvas.toDataURL();
-        setPages(prev => prev.map((page, idx) => 
-          idx === activePage ? { ...page, imageData } : page
-        ));
-        socket?.emit('updatePageState', { 
-          roomId, 
-          pageId: pages[activePage].id,
-          imageData 
-        });
+    if (!viewportSize.width) return;
+    onViewportChange?.({
+      x: view.x,
+      y: view.y,
+      width: viewportSize.width / view.scale,
+      height: viewportSize.height / view.scale
+    });
+  }, [view, viewportSize, onViewportChange]);
+
+  // Shared for anyone following this tab. Throttled like the cursor, but the last move of a pan
+  // is always sent, so followers end up exactly where it stopped.
+  useEffect(() => {
+    if (!viewportSize.width) return undefined;
+    const sendViewport = () => {
+      lastViewportSent.current = Date.now();
+      socket?.emit('presenceUpdate', {
+        roomId,
+        viewport: { x: view.x, y: view.y, width: viewportSize.width / view.scale, height: viewportSize.height / view.scale }
+      });
+    };
+    const wait = VIEWPORT_THROTTLE_MS - (Date.now() - lastViewportSent.current);
+    if (wait <= 0) {
+      sendViewport();
+      return undefined;
+    }
+    const timer = setTimeout(sendViewport, wait);
+    return () => clearTimeout(timer);
+  }, [socket, roomId, view, viewportSize]);
+
+  // Following someone: show their page, fitting all of what they see into this viewport.
+  // Their entry changes with every cursor move, so only its page and viewport are watched.
+  const followedPageId = following?.pageId;
+  const { x: followedX, y: followedY, width: followedWidth, height: followedHeight } = following?.viewport || {};
+  useEffect(() => {
+    if (!followedPageId) return;
+    setSelectedPageId(followedPageId);
+    if (followedWidth === undefined || !viewportSize.width) return;
+    const bounds = { minX: followedX, minY: followedY, maxX: followedX + followedWidth, maxY: followedY + followedHeight };
+    setViews(prev => ({ ...prev, [followedPageId]: fitView(bounds, viewportSize.width, viewportSize.height) }));
+  }, [followedPageId, followedX, followedY, followedWidth, followedHeight, viewportSize]);
+
+  // Laser and disappearing ink are redrawn every frame, but only while something is fading
+  const renderTrails = useCallback(() => {
+    const canvas = trailCanvasRef.current;
+    const now = Date.now();
+    const fading = pruneTrails(trails.current, now);
+    if (canvas) {
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      applyView(ctx, viewRef.current, window.devicePixelRatio || 1);
+      drawTrails(ctx, trails.current, activePageIdRef.current, now, viewRef.current.scale);
+    }
+    trailFrame.current = fading ? requestAnimationFrame(renderTrails) : null;
+  }, []);
+
+  const showTrailPoints = useCallback((piece) => {
+    addTrailPoints(trails.current, piece, Date.now());
+    if (trailFrame.current === null) trailFrame.current = requestAnimationFrame(renderTrails);
+  }, [renderTrails]);
+
+  useEffect(() => () => cancelAnimationFrame(trailFrame.current), []);
+
+  useEffect(() => {
+    socket?.on('ephemeralDrawn', showTrailPoints);
+    return () => socket?.off('ephemeralDrawn', showTrailPoints);
+  }, [socket, showTrailPoints]);
+
+  const setActiveView = useCallback((update) => {
+    const pageId = activePageIdRef.current;
+    setViews(prev => ({ ...prev, [pageId]: update(prev[pageId] || DEFAULT_VIEW) }));
+  }, []);
+
+  // Attached by hand because React's wheel listener is passive and could not stop the page scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      // Shift+wheel pans; trackpad pinches arrive as wheel events with ctrlKey set
+      if (e.shiftKey && !e.ctrlKey) {
+        setActiveView(current => ({
+          ...current,
+          x: current.x + (e.deltaX || e.deltaY) / current.scale,
+          y: e.deltaX ? current.y + e.deltaY / current.scale : current.y
+        }));
+        return;
       }
+      const rect = canvas.getBoundingClientRect();
+      const factor = Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED * (e.ctrlKey ? 5 : 1));
+      setActiveView(current => zoomView(current, factor, e.clientX - rect.left, e.clientY - rect.top));
     };
-    return () => saveCurrentState();
-  }, [activePage, socket, roomId]);
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [setActiveView]);
 
   useEffect(() => {
-    const handleFullUpdate = (serverPages) => {
-      setPages(serverPages);
-      setActivePage(serverPages.length - 1);
+    const isTyping = (e) => ['INPUT', 'TEXTAREA'].includes(e.target.tagName);
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isTyping(e)) return;
+      e.preventDefault();
+      setIsSpaceHeld(true);
     };
-  
-    socket?.on('fullPageUpdate', handleFullUpdate);
-    return () => socket?.off('fullPageUpdate', handleFullUpdate);
-  }, [socket]);
-  
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') setIsSpaceHeld(false);
+    };
+    const handleBlur = () => setIsSpaceHeld(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, []);
+
+  const zoomBy = (factor) => {
+    setActiveView(current => zoomView(current, factor, viewportSize.width / 2, viewportSize.height / 2));
+  };
+
+  const zoomToFit = () => {
+    const page = pages[activePage];
+    const bounds = getStrokesBounds(page.strokes) || HOME_BOUNDS;
+    const fitted = fitView(bounds, viewportSize.width, viewportSize.height, FIT_PADDING);
+    // A factor of 1 only brings the scale back within the zoom limits, around the centre
+    setActiveView(() => zoomView(fitted, 1, viewportSize.width / 2, viewportSize.height / 2));
+  };
+
+  const addStrokeToPage = useCallback((pageId, stroke) => {
+    setPages(prev => prev.map(page => {
+      if (page.id !== pageId || page.strokes.some(s => s.strokeId === stroke.strokeId)) {
+        return page;
+      }
+      return { ...page, strokes: [...page.strokes, stroke] };
+    }));
+  }, []);
+
   useEffect(() => {
+    // Late joiners get every page's stroke log and replay it through the render effect
+    // Also sent after a reconnect, once queued operations have synced
+    const handleInitialState = (serverPages) => {
+      if (serverPages.length) setPages(serverPages);
+      setPagesLoaded(true);
+    };
+
+    socket?.on('initialState', handleInitialState);
     socket?.emit('requestInitialState', roomId);
-    socket?.on('initialState', (serverPages) => {
-      setPages(serverPages);
-    });
+    return () => socket?.off('initialState', handleInitialState);
   }, [socket, roomId]);
 
+  // Re-announced after every (re)join, since the server starts each connection with no page
+  useEffect(() => {
+    if (activePageId === undefined) return;
+    const announcePage = () => socket?.emit('presenceUpdate', { roomId, pageId: activePageId });
+    announcePage();
+    socket?.on('roomStatus', announcePage);
+    return () => socket?.off('roomStatus', announcePage);
+  }, [socket, roomId, activePageId]);
+
+  const trackCursor = (e) => {
+    const now = Date.now();
+    if (now - lastCursorSent.current < CURSOR_THROTTLE_MS) return;
+    lastCursorSent.current = now;
+    socket?.emit('presenceUpdate', { roomId, pageId: activePageId, cursor: getCanvasCoordinates(e) });
+  };
+
+  // Mouse, pen and touch all arrive as pointer events. One pointer at a time draws; a second
+  // finger turns the gesture into a pinch that pans and zooms.
+  const trackTouch = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    touches.current.set(e.pointerId, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const measurePinch = () => {
+    const [a, b] = [...touches.current.values()];
+    return {
+      mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      spread: Math.hypot(a.x - b.x, a.y - b.y) || 1
+    };
+  };
+
+  // Whatever the pointer was doing ends here; a shape or lasso still being dragged is kept as is
+  const finishInput = () => {
+    inputPointer.current = null;
+    panOrigin.current = null;
+    endDrawing();
+    endTrail();
+    if (shapeDraft.current?.type !== 'polygon') finishShape();
+    finishLasso();
+  };
+
+  const handleCanvasPointerDown = (e) => {
+    if (e.pointerType === 'touch') {
+      trackTouch(e);
+      if (touches.current.size === 2) {
+        finishInput();
+        pinch.current = measurePinch();
+        return;
+      }
+      if (touches.current.size > 2) return;
+    }
+    if (inputPointer.current !== null) return;
+    // Middle button, space+drag and, in pen-only mode, a finger pan; everything else draws
+    const pans = e.button === 1 || (e.button === 0 && isSpaceHeld) || (penOnly && e.pointerType === 'touch');
+    if (!pans && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    inputPointer.current = e.pointerId;
+    if (pans) {
+      e.preventDefault();
+      panOrigin.current = { x: e.clientX, y: e.clientY };
+      return;
+    }
+    if (tool === 'pen' || tool === 'highlighter') startDrawing(e);
+    else if (TRAIL_TOOLS[tool]) startTrail(e);
+    else if (tool === 'fill') fillAt(e);
+    else if (tool === 'eyedropper') pickColorAt(e);
+    else if (tool === 'select') startSelect(e);
+    else if (tool === 'text') startText(e);
+    else startShape(e);
+  };
+
+  const handleCanvasPointerMove = (e) => {
+    if (touches.current.has(e.pointerId)) {
+      trackTouch(e);
+      if (pinch.current) {
+        const previous = pinch.current;
+        const next = measurePinch();
+        pinch.current = next;
+        // Pan with the midpoint, then zoom around where it is now
+        setActiveView(current => zoomView({
+          ...current,
+          x: current.x - (next.mid.x - previous.mid.x) / current.scale,
+          y: current.y - (next.mid.y - previous.mid.y) / current.scale
+        }, next.spread / previous.spread, next.mid.x, next.mid.y));
+        return;
+      }
+    }
+    if (inputPointer.current !== null && e.pointerId !== inputPointer.current) return;
+    if (panOrigin.current) {
+      const dx = e.clientX - panOrigin.current.x;
+      const dy = e.clientY - panOrigin.current.y;
+      panOrigin.current = { x: e.clientX, y: e.clientY };
+      setActiveView(current => ({
+        ...current,
+        x: current.x - dx / current.scale,
+        y: current.y - dy / current.scale
+      }));
+      return;
+    }
+    trackCursor(e);
+    draw(e);
+    extendTrail(e);
+    moveShape(e);
+    moveLasso(e);
+  };
+
+  // Also handles pointercancel, e.g. when the browser takes over a touch
+  const handleCanvasPointerUp = (e) => {
+    if (touches.current.delete(e.pointerId) && pinch.current) {
+      // The finger left behind after a pinch does not start drawing
+      if (touches.current.size < 2) pinch.current = null;
+      return;
+    }
+    if (e.pointerId === inputPointer.current) finishInput();
+  };
+
+  const handleCanvasPointerLeave = () => {
+    lastCursorSent.current = 0;
+    socket?.emit('presenceUpdate', { roomId, cursor: null });
+  };
+
+  // Remote cursors arrive in world coordinates; place them through this tab's own view
+  const remoteCursors = presence.filter(entry =>
+    entry.clientId !== localId && entry.cursor && entry.pageId === activePageId
+  );
+  const cursorPosition = (cursor) => {
+    const left = (cursor.x - view.x) * view.scale;
+    const top = (cursor.y - view.y) * view.scale;
+    if (left < 0 || top < 0 || left > viewportSize.width || top > viewportSize.height) return null;
+    return { left, top };
+  };
+
+  const layerContext = (layerId) => layerCanvases.current.get(layerId)?.getContext('2d');
+
+  // World position of a pointer event, with pressure and tilt when it comes from a stylus
+  const getInputPoint = (e) => {
+    const point = getCanvasCoordinates(e);
+    if (e.pointerType !== 'pen') return point;
+    return {
+      ...point,
+      p: Math.round(e.pressure * 1000) / 1000,
+      t: Math.round(Math.min(Math.hypot(e.tiltX || 0, e.tiltY || 0), 90))
+    };
+  };
+
   const startDrawing = (e) => {
+    if (!canDraw) return;
     isDrawing.current = true;
-    const coords = getCanvasCoordinates(e);
-    const ctx = contextRefs.current[activePage];
-    const strokeId = `${localId}-${Date.now()}`;
-    setCurrentStrokeId(strokeId);
-
-    ctx.beginPath();
-    ctx.moveTo(coords.x, coords.y);
+    setShapedSketch(null);
+    const coords = getInputPoint(e);
+    const strokeId = createId();
+    const stroke = {
+      strokeId,
+      senderId: localId,
+      pageId: activePageId,
+      layerId: activeLayer.id,
+      color: isErasing ? '#FFFFFF' : color,
+      lineWidth: isErasing ? eraserSize : lineWidth * (tool === 'highlighter' ? HIGHLIGHTER_WIDTH_SCALE : 1),
+      compositeOperation: isErasing ? 'destination-out' : tool === 'highlighter' ? 'multiply' : 'source-over',
+      points: [coords]
+    };
+    currentStroke.current = stroke;
+    liveStrokes.current.set(strokeId, stroke);
     prevCoords.current = coords;
 
-    socket?.emit('draw', {
+    queue?.emit('draw', {
       roomId,
       senderId: localId,
       strokeId: strokeId,
@@ -173,35 +719,47 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
       y: coords.y,
       prevX: coords.x,
       prevY: coords.y,
-      color: isErasing ? '#FFFFFF' : color,
-      lineWidth: isErasing ? eraserSize : lineWidth,
-      page: activePage,
-      compositeOperation: isErasing ? 'destination-out' : 'source-over',
+      pressure: coords.p,
+      tilt: coords.t,
+      color: stroke.color,
+      lineWidth: stroke.lineWidth,
+      pageId: activePageId,
+      layerId: stroke.layerId,
+      compositeOperation: stroke.compositeOperation,
       isNewStroke: true,
       handGesture: false
     });
   };
 
   const draw = (e) => {
-    if (!isDrawing.current || !currentStrokeId) return;
-    const coords = getCanvasCoordinates(e);
-    const ctx = contextRefs.current[activePage];
-    
-    ctx.lineTo(coords.x, coords.y);
-    ctx.stroke();
+    const stroke = currentStroke.current;
+    if (!isDrawing.current || !stroke) return;
+    // Pens report far more often than frames are drawn; the in-between samples keep curves smooth
+    const samples = e.nativeEvent.getCoalescedEvents?.() || [];
+    (samples.length ? samples : [e]).forEach(sample => drawTo(stroke, getInputPoint(sample)));
+  };
 
-    socket?.emit('draw', {
+  const drawTo = (stroke, coords) => {
+    stroke.points.push(coords);
+    const ctx = layerContext(stroke.layerId);
+    if (!isHighlighter(stroke) && ctx) drawInkTail(ctx, stroke);
+    if (isHighlighter(stroke) || stroke.compositeOperation === 'destination-out') renderHighlights();
+
+    queue?.emit('draw', {
       roomId,
       senderId: localId,
-      strokeId: currentStrokeId,
+      strokeId: stroke.strokeId,
       x: coords.x,
       y: coords.y,
       prevX: prevCoords.current.x,
       prevY: prevCoords.current.y,
-      color: isErasing ? '#FFFFFF' : color,
-      lineWidth: isErasing ? eraserSize : lineWidth,
-      page: activePage,
-      compositeOperation: isErasing ? 'destination-out' : 'source-over',
+      pressure: coords.p,
+      tilt: coords.t,
+      color: stroke.color,
+      lineWidth: stroke.lineWidth,
+      pageId: stroke.pageId,
+      layerId: stroke.layerId,
+      compositeOperation: stroke.compositeOperation,
       isNewStroke: false,
       handGesture: false
     });
@@ -210,149 +768,535 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
   };
 
   const endDrawing = () => {
-    if (isDrawing.current && currentStrokeId) {
-      socket?.emit('endStroke', {
+    const stroke = currentStroke.current;
+    if (isDrawing.current && stroke) {
+      queue?.emit('endStroke', {
         roomId,
-        strokeId: currentStrokeId,
-        page: activePage
+        strokeId: stroke.strokeId,
+        pageId: stroke.pageId
       });
+      liveStrokes.current.delete(stroke.strokeId);
+      addStrokeToPage(stroke.pageId, toLoggedStroke(stroke));
     }
     
     isDrawing.current = false;
-    const ctx = contextRefs.current[activePage];
-    ctx.closePath();
-    setCurrentStrokeId(null);
+    currentStroke.current = null;
     prevCoords.current = null;
+  };
 
-    const canvas = canvasRefs.current[activePage];
-    if (canvas) {
-      const imageData = canvas.toDataURL();
-      setPages(prev => prev.map((page, idx) => 
-        idx === activePage ? { ...page, imageData } : page
+  // Trails skip the queue and the stroke log: they go out over the socket a few points at a time
+  const startTrail = (e) => {
+    if (readOnly) return; // layers do not matter; trails are drawn over all of them
+    ownTrail.current = {
+      trailId: createId(),
+      kind: TRAIL_TOOLS[tool],
+      pageId: activePageId,
+      color,
+      lineWidth,
+      pending: [],
+      lastSent: 0
+    };
+    extendTrail(e);
+  };
+
+  const sendTrail = (trail) => {
+    if (!trail.pending.length) return;
+    const { trailId, kind, pageId } = trail;
+    socket?.emit('ephemeralDraw', {
+      roomId, trailId, kind, pageId, color: trail.color, lineWidth: trail.lineWidth, points: trail.pending
+    });
+    trail.pending = [];
+    trail.lastSent = Date.now();
+  };
+
+  const extendTrail = (e) => {
+    const trail = ownTrail.current;
+    if (!trail) return;
+    const samples = e.nativeEvent.getCoalescedEvents?.() || [];
+    const points = (samples.length ? samples : [e]).map(getCanvasCoordinates);
+    showTrailPoints({ ...trail, points });
+    trail.pending.push(...points);
+    if (Date.now() - trail.lastSent >= TRAIL_FLUSH_MS) sendTrail(trail);
+  };
+
+  const endTrail = () => {
+    if (ownTrail.current) sendTrail(ownTrail.current);
+    ownTrail.current = null;
+  };
+
+  // What this tab shows, as pixels over white: every visible layer of the active page with its
+  // highlights, and the background only when asked for, so grid lines never stop a fill
+  const captureView = (withBackground) => {
+    const width = Math.round(viewportSize.width);
+    const height = Math.round(viewportSize.height);
+    const picture = document.createElement('canvas');
+    picture.width = width;
+    picture.height = height;
+    const ctx = picture.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    const layers = pageLayers.filter(layer => layer.visible).map(layer => layerCanvases.current.get(layer.id));
+    [withBackground && canvasRef.current, ...layers].forEach(surface => {
+      if (surface) ctx.drawImage(surface, 0, 0, width, height);
+    });
+    ctx.globalAlpha = HIGHLIGHTER_OPACITY;
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.drawImage(highlightCanvasRef.current, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  };
+
+  const viewportPixel = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max(Math.floor(e.clientX - rect.left), 0), Math.round(viewportSize.width) - 1),
+      y: Math.min(Math.max(Math.floor(e.clientY - rect.top), 0), Math.round(viewportSize.height) - 1)
+    };
+  };
+
+  // The region is found here, at this tab's zoom, and sent as outlines, so it lands the same everywhere
+  const fillAt = (e) => {
+    if (!canDraw) return;
+    const { x, y } = viewportPixel(e);
+    const outline = traceFill(captureView(false), x, y, fillTolerance, (corner) => ({
+      x: Math.round((view.x + corner.x / view.scale) * 100) / 100,
+      y: Math.round((view.y + corner.y / view.scale) * 100) / 100
+    }));
+    setFillNotice(outline ? '' : 'Only areas closed off within the view can be filled');
+    if (!outline) return;
+    const fill = {
+      strokeId: createId(),
+      senderId: localId,
+      layerId: activeLayer.id,
+      type: 'fill',
+      color,
+      lineWidth: 1,
+      compositeOperation: 'destination-over',
+      ...outline
+    };
+    addStrokeToPage(activePageId, fill);
+    queue?.emit('addFill', { roomId, pageId: activePageId, fill });
+  };
+
+  const pickColorAt = (e) => {
+    const { x, y } = viewportPixel(e);
+    setColor(pickColor(captureView(true), x, y));
+    setTool(toolBeforePicking.current);
+  };
+
+  const startShape = (e) => {
+    if (!canDraw) return;
+    const point = getCanvasCoordinates(e);
+    if (tool === 'polygon' && shapeDraft.current) {
+      // The last vertex follows the pointer; a click pins it where it is and adds the next
+      shapeDraft.current.points.push(point);
+    } else {
+      shapeDraft.current = {
+        strokeId: createId(),
+        senderId: localId,
+        pageId: activePageId,
+        layerId: activeLayer.id,
+        type: tool,
+        color,
+        lineWidth,
+        fill: fillEnabled && FILLABLE_SHAPES.includes(tool) ? fillColor : null,
+        dash,
+        points: [point, point]
+      };
+    }
+    renderShapePreview(previewCanvasRef.current, shapeDraft.current, view);
+  };
+
+  const moveShape = (e) => {
+    const draft = shapeDraft.current;
+    if (!draft) return;
+    draft.points[draft.points.length - 1] = getCanvasCoordinates(e);
+    renderShapePreview(previewCanvasRef.current, draft, view);
+  };
+
+  const cancelShape = useCallback(() => {
+    shapeDraft.current = null;
+    renderShapePreview(previewCanvasRef.current, null);
+  }, []);
+
+  // Shapes are sent whole, as one object, once they are finished
+  const finishShape = useCallback(() => {
+    const draft = shapeDraft.current;
+    cancelShape();
+    if (!draft) return;
+    const shape = {
+      ...draft,
+      // A polygon's last point is the one following the pointer
+      points: draft.type === 'polygon' ? withoutRepeats(draft.points.slice(0, -1)) : draft.points
+    };
+    if (!isCompleteShape(shape)) return;
+    addStrokeToPage(shape.pageId, toLoggedStroke(shape));
+    queue?.emit('addShape', { roomId, pageId: shape.pageId, shape: toLoggedStroke(shape) });
+  }, [queue, roomId, addStrokeToPage, cancelShape]);
+
+  // A half-drawn shape does not carry over to another page or tool
+  useEffect(() => cancelShape, [activePageId, tool, cancelShape]);
+
+  const updateStrokeFields = useCallback((pageId, strokeId, changes) => {
+    setPages(prev => prev.map(page => page.id !== pageId ? page : {
+      ...page,
+      strokes: page.strokes.map(stroke => stroke.strokeId === strokeId ? { ...stroke, ...changes } : stroke)
+    }));
+  }, []);
+
+  const updatePageStrokes = useCallback((pageId, update) => {
+    setPages(prev => prev.map(page => page.id === pageId ? { ...page, strokes: update(page.strokes) } : page));
+  }, []);
+
+  // Auto-shape swaps a finished sketch of ours for the clean shape it looks like, in the same
+  // colour, width and layer. It runs once the server has logged the sketch, so strokes from
+  // hand gestures are shaped too; the sketch is kept so the swap can be reverted.
+  const shapeSketch = useCallback((pageId, sketch) => {
+    if (!autoShapeRef.current || sketch.type || sketch.compositeOperation === 'destination-out' || isHighlighter(sketch)) return;
+    const recognized = recognizeShape(sketch.points);
+    if (!recognized) return;
+    const shape = {
+      strokeId: `${sketch.strokeId}-shape`,
+      senderId: localId,
+      layerId: sketch.layerId,
+      type: recognized.type,
+      color: sketch.color,
+      lineWidth: sketch.lineWidth,
+      compositeOperation: 'source-over',
+      fill: null,
+      dash: 'solid',
+      points: recognized.points
+    };
+    updatePageStrokes(pageId, strokes => replaceStrokes(strokes, [sketch.strokeId], [shape]));
+    queue?.emit('replaceStrokes', { roomId, pageId, strokeIds: [sketch.strokeId], strokes: [shape] });
+    setShapedSketch({ pageId, sketch, shape });
+  }, [queue, roomId, localId, updatePageStrokes]);
+
+  const revertShape = () => {
+    const { pageId, sketch, shape } = shapedSketch;
+    updatePageStrokes(pageId, strokes => replaceStrokes(strokes, [shape.strokeId], [sketch]));
+    queue?.emit('replaceStrokes', { roomId, pageId, strokeIds: [shape.strokeId], strokes: [sketch] });
+    setShapedSketch(null);
+  };
+
+  // Selection only ever covers strokes still on the active page, on layers that are shown and unlocked
+  const editableStrokes = pages[activePage].strokes.filter(isEditableStroke);
+  const selectedStrokes = editableStrokes.filter(stroke => selectedIds.includes(stroke.strokeId));
+  const selectionBounds = getStrokesBounds(selectedStrokes);
+  // The revert offer stays next to the shape until another stroke is started
+  const shapedStroke = shapedSketch?.pageId === activePageId &&
+    pages[activePage].strokes.find(stroke => stroke.strokeId === shapedSketch.shape.strokeId);
+  const shapedBounds = shapedStroke && getStrokesBounds([shapedStroke]);
+
+  const beginTransform = (mode, point, strokes, handle = null) => {
+    const pageId = activePageId;
+    const gesture = {
+      mode,
+      handle,
+      start: point,
+      bounds: getStrokesBounds(strokes),
+      originals: strokes.map(stroke => ({ strokeId: stroke.strokeId, transform: stroke.transform || null })),
+      matrix: IDENTITY_TRANSFORM
+    };
+    const transformsFor = (matrix) => gesture.originals.map(({ strokeId, transform }) => ({
+      strokeId,
+      transform: multiplyTransforms(matrix, transform || IDENTITY_TRANSFORM)
+    }));
+
+    // Applied locally while dragging; the room only gets the result, as one undoable change
+    const handleMove = (e) => {
+      gesture.matrix = gestureMatrix(gesture, getCanvasCoordinates(e), e.shiftKey);
+      const transforms = new Map(transformsFor(gesture.matrix).map(t => [t.strokeId, t.transform]));
+      updatePageStrokes(pageId, strokes => strokes.map(stroke =>
+        transforms.has(stroke.strokeId) ? { ...stroke, transform: transforms.get(stroke.strokeId) } : stroke
       ));
-      socket?.emit('updatePageState', { 
-        roomId, 
-        pageId: pages[activePage].id,
-        imageData 
-      });
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      if (gesture.matrix.every((value, i) => value === IDENTITY_TRANSFORM[i])) return;
+      queue?.emit('transformStrokes', { roomId, pageId, transforms: transformsFor(gesture.matrix) });
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  // Clicking a stroke selects it (Shift adds or removes it); dragging from empty space lassos
+  const startSelect = (e) => {
+    if (readOnly) return;
+    const point = getCanvasCoordinates(e);
+    const hit = hitTest(editableStrokes, point, HIT_TOLERANCE_PX / view.scale);
+    const inBounds = selectionBounds &&
+      point.x >= selectionBounds.minX && point.x <= selectionBounds.maxX &&
+      point.y >= selectionBounds.minY && point.y <= selectionBounds.maxY;
+
+    if (e.shiftKey && hit) {
+      setSelectedIds(prev => prev.includes(hit.strokeId) ?
+        prev.filter(id => id !== hit.strokeId) :
+        [...prev, hit.strokeId]);
+      return;
+    }
+    if (hit && !selectedIds.includes(hit.strokeId)) {
+      setSelectedIds([hit.strokeId]);
+      beginTransform('move', point, [hit]);
+      return;
+    }
+    if (hit || (inBounds && !e.shiftKey)) {
+      beginTransform('move', point, selectedStrokes);
+      return;
+    }
+    lasso.current = { points: [point], additive: e.shiftKey };
+  };
+
+  const moveLasso = (e) => {
+    if (!lasso.current) return;
+    lasso.current.points.push(getCanvasCoordinates(e));
+    renderShapePreview(previewCanvasRef.current, {
+      color: '#4F81E1',
+      lineWidth: 1 / view.scale,
+      dash: 'dashed',
+      points: lasso.current.points
+    }, view);
+  };
+
+  const finishLasso = () => {
+    const current = lasso.current;
+    if (!current) return;
+    lasso.current = null;
+    renderShapePreview(previewCanvasRef.current, null);
+    const picked = current.points.length > 2 ?
+      lassoSelect(editableStrokes, current.points).map(stroke => stroke.strokeId) :
+      [];
+    setSelectedIds(prev => current.additive ? [...new Set([...prev, ...picked])] : picked);
+  };
+
+  const deleteSelection = () => {
+    if (!selectedIds.length) return;
+    updatePageStrokes(activePageId, strokes => strokes.filter(stroke => !selectedIds.includes(stroke.strokeId)));
+    queue?.emit('deleteStrokes', { roomId, pageId: activePageId, strokeIds: selectedIds });
+    setSelectedIds([]);
+  };
+
+  // Pasted strokes get new IDs, land on the active layer and are nudged by `offset` so they
+  // don't hide the originals
+  const insertCopies = (strokes, offset) => {
+    if (!canDraw) return;
+    const nudge = [1, 0, 0, 1, offset, offset];
+    const copies = strokes.map(stroke => ({
+      ...stroke,
+      strokeId: createId(),
+      senderId: localId,
+      layerId: activeLayer.id,
+      transform: multiplyTransforms(nudge, stroke.transform || IDENTITY_TRANSFORM)
+    }));
+    updatePageStrokes(activePageId, existing => [...existing, ...copies]);
+    queue?.emit('addStrokes', { roomId, pageId: activePageId, strokes: copies });
+    setSelectedIds(copies.map(stroke => stroke.strokeId));
+  };
+
+  const copySelection = () => {
+    if (selectedStrokes.length) clipboard.current = { strokes: selectedStrokes, pastes: 0 };
+  };
+
+  const pasteClipboard = () => {
+    if (readOnly || !clipboard.current.strokes.length) return;
+    clipboard.current.pastes += 1;
+    insertCopies(clipboard.current.strokes, PASTE_OFFSET * clipboard.current.pastes);
+  };
+
+  const duplicateSelection = () => {
+    if (selectedStrokes.length) insertCopies(selectedStrokes, PASTE_OFFSET);
+  };
+
+  const reorderSelection = (to) => {
+    if (!selectedIds.length) return;
+    updatePageStrokes(activePageId, strokes => moveToEdge(strokes, selectedIds, to));
+    queue?.emit('reorderStrokes', { roomId, pageId: activePageId, strokeIds: selectedIds, to });
+  };
+
+  // Re-subscribed on every render so the shortcuts always act on the current selection
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (tool !== 'select' || readOnly || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      const withModifier = e.ctrlKey || e.metaKey;
+      if (key === 'delete' || key === 'backspace') deleteSelection();
+      else if (key === 'escape') setSelectedIds([]);
+      else if (withModifier && key === 'c') copySelection();
+      else if (withModifier && key === 'v') pasteClipboard();
+      else if (withModifier && key === 'd') duplicateSelection();
+      else if (withModifier && key === 'a') setSelectedIds(editableStrokes.map(stroke => stroke.strokeId));
+      else return;
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // A click on existing text opens it for editing; anywhere else starts a new, empty box
+  const startText = (e) => {
+    if (readOnly) return;
+    e.preventDefault(); // keep the mouse-down from taking focus away from the new editor
+    const point = getCanvasCoordinates(e);
+    const texts = editableStrokes.filter(stroke => stroke.type === 'text');
+    const hit = hitTest(texts, point, 0);
+    if (hit) {
+      setEditingText({ ...hit, pageId: activePageId, sent: true });
+      setTextStyle({ fontSize: hit.fontSize, bold: hit.bold, italic: hit.italic, align: hit.align });
+      setColor(hit.color);
+      return;
     }
+    if (!canDraw) return;
+    setEditingText({
+      strokeId: createId(),
+      senderId: localId,
+      pageId: activePageId,
+      layerId: activeLayer.id,
+      type: 'text',
+      text: '',
+      color,
+      ...textStyle,
+      points: [point],
+      sent: false
+    });
+  };
+
+  // Every change is sent as it happens so others watch the text being typed. A new box is
+  // only added to the page once it has some text, so clicking around leaves nothing behind.
+  const editText = (changes) => {
+    if (!editingText) return;
+    const { sent, pageId, ...text } = { ...editingText, ...changes };
+    if (sent) {
+      updateStrokeFields(pageId, text.strokeId, changes);
+      queue?.emit('updateText', { roomId, pageId, strokeId: text.strokeId, changes });
+    } else if (text.text) {
+      addStrokeToPage(pageId, text);
+      queue?.emit('addText', { roomId, pageId, text });
+    }
+    setEditingText({ ...text, pageId, sent: sent || Boolean(text.text) });
+  };
+
+  const changeTextStyle = (changes) => {
+    setTextStyle(prev => ({ ...prev, ...changes }));
+    editText(changes);
   };
 
+  const changeColor = (value) => {
+    setColor(value);
+    editText({ color: value });
+  };
+
+  useEffect(() => {
+    setEditingText(null);
+    setSelectedIds([]);
+  }, [activePageId, tool]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!shapeDraft.current || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      if (e.key === 'Escape') cancelShape();
+      else if (e.key === 'Enter') finishShape();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [cancelShape, finishShape]);
+
   useEffect(() => {
     const handleDraw = (data) => {
-      console.log("Received draw event:", data);
-  // Check if handGesture flag is set correctly
-  console.log("Is hand gesture:", data.handGesture);
       if (data.senderId === localId && !data.handGesture) return;
-  
-      const ctx = contextRefs.current[data.page];
-      if (!ctx) return;
-      
-      const originalSettings = {
-        strokeStyle: ctx.strokeStyle,
-        lineWidth: ctx.lineWidth,
-        composite: ctx.globalCompositeOperation
-      };
-      
-      ctx.strokeStyle = data.color;
-      ctx.lineWidth = data.lineWidth;
-      ctx.globalCompositeOperation = data.compositeOperation || 'source-over';
-      
-      if (data.isNewStroke) {
-        setReceivedStrokes(prev => ({
-          ...prev, 
-          [data.strokeId]: { 
-            x: data.x, 
-            y: data.y, 
-            page: data.page 
-          }
-        }));
-        
-        ctx.beginPath();
-        ctx.moveTo(data.x, data.y);
-      } else {
-        const stroke = receivedStrokes[data.strokeId];
-        if (stroke && stroke.page === data.page) {
-          ctx.beginPath();
-          ctx.moveTo(data.prevX, data.prevY);
-          ctx.lineTo(data.x, data.y);
-          ctx.stroke();
-          
-          setReceivedStrokes(prev => ({
-            ...prev,
-            [data.strokeId]: { 
-              ...prev[data.strokeId], 
-              x: data.x, 
-              y: data.y 
-            }
-          }));
-        }
-      }
-      
-      // After drawing, save the canvas state
-      if (data.handGesture && data.page === activePage) {
-        const canvas = canvasRefs.current[data.page];
-        if (canvas) {
-          const imageData = canvas.toDataURL();
-          setPages(prev => prev.map((page, idx) => 
-            idx === data.page ? { ...page, imageData } : page
-          ));
-          
-          // Also emit this update to the server
-          socket?.emit('updatePageState', { 
-            roomId, 
-            pageId: pages[data.page].id,
-            imageData 
-          });
-        }
+
+      let stroke = liveStrokes.current.get(data.strokeId);
+      if (data.isNewStroke || !stroke) {
+        stroke = {
+          strokeId: data.strokeId,
+          senderId: data.senderId,
+          pageId: data.pageId,
+          layerId: data.layerId,
+          color: data.color,
+          lineWidth: data.lineWidth,
+          compositeOperation: data.compositeOperation || 'source-over',
+          // Joining mid-stroke: start from the segment's origin
+          points: data.isNewStroke ? [] : [{ x: data.prevX, y: data.prevY }]
+        };
+        liveStrokes.current.set(data.strokeId, stroke);
       }
-      
-      ctx.strokeStyle = originalSettings.strokeStyle;
-      ctx.lineWidth = originalSettings.lineWidth;
-      ctx.globalCompositeOperation = originalSettings.composite;
+
+      const point = {
+        x: data.x,
+        y: data.y,
+        ...(data.pressure !== undefined && { p: data.pressure }),
+        ...(data.tilt !== undefined && { t: data.tilt })
+      };
+      stroke.points.push(point);
+
+      // Strokes on other pages or hidden layers are drawn from liveStrokes once they are shown
+      const layerCanvas = layerCanvases.current.get(strokeLayerId(stroke));
+      if (!layerCanvas || stroke.pageId !== activePageIdRef.current) return;
+      if (!isHighlighter(stroke)) drawInkTail(layerCanvas.getContext('2d'), stroke);
+      if (isHighlighter(stroke) || stroke.compositeOperation === 'destination-out') renderHighlights();
     };
     
     const handleEndStroke = (data) => {
-      setReceivedStrokes(prev => {
-        const newStrokes = { ...prev };
-        delete newStrokes[data.strokeId];
-        return newStrokes;
-      });
+      liveStrokes.current.delete(data.strokeId);
+      if (!data.stroke) return;
+      addStrokeToPage(data.pageId, data.stroke);
+      if (data.stroke.senderId === localId) shapeSketch(data.pageId, data.stroke);
+    };
+
+    // Shapes, text boxes and fills arrive whole
+    const handleAddObject = (data) => addStrokeToPage(data.pageId, data.stroke);
+
+    const handleUpdateText = (data) => updateStrokeFields(data.pageId, data.strokeId, data.changes);
+
+    const handleAddStrokes = (data) => data.strokes.forEach(stroke => addStrokeToPage(data.pageId, stroke));
+
+    const handleStrokesUpdated = (data) => {
+      const changes = new Map(data.updates.map(update => [update.strokeId, update.changes]));
+      updatePageStrokes(data.pageId, strokes => strokes.map(stroke =>
+        changes.has(stroke.strokeId) ? { ...stroke, ...changes.get(stroke.strokeId) } : stroke
+      ));
+    };
+
+    const handleStrokesReordered = (data) => {
+      updatePageStrokes(data.pageId, strokes => applyStrokeOrder(strokes, data.order));
     };
     
     socket?.on('draw', handleDraw);
     socket?.on('endStroke', handleEndStroke);
+    socket?.on('addShape', handleAddObject);
+    socket?.on('addText', handleAddObject);
+    socket?.on('addFill', handleAddObject);
+    socket?.on('updateText', handleUpdateText);
+    socket?.on('addStrokes', handleAddStrokes);
+    socket?.on('strokesUpdated', handleStrokesUpdated);
+    socket?.on('strokesReordered', handleStrokesReordered);
     
     return () => {
       socket?.off('draw', handleDraw);
       socket?.off('endStroke', handleEndStroke);
+      socket?.off('addShape', handleAddObject);
+      socket?.off('addText', handleAddObject);
+      socket?.off('addFill', handleAddObject);
+      socket?.off('updateText', handleUpdateText);
+      socket?.off('addStrokes', handleAddStrokes);
+      socket?.off('strokesUpdated', handleStrokesUpdated);
+      socket?.off('strokesReordered', handleStrokesReordered);
     };
-  }, [socket, localId, pages, roomId, receivedStrokes]);
+  }, [socket, localId, addStrokeToPage, updateStrokeFields, updatePageStrokes, shapeSketch, renderHighlights]);
 
   useEffect(() => {
+    // Only the layer that was cleared loses its strokes
     const handleClearCanvas = (data) => {
-      if (data.senderId === localId && !data.handGesture) return;
-      
-      const ctx = contextRefs.current[activePage];
-      if (ctx) {
-        ctx.clearRect(0, 0, 640, 480);
-        
-        // Update the page state
-        const canvas = canvasRefs.current[activePage];
-        if (canvas) {
-          const imageData = canvas.toDataURL();
-          setPages(prev => prev.map((page, idx) => 
-            idx === activePage ? { ...page, imageData } : page
-          ));
-          
-          // Sync with server
-          socket?.emit('updatePageState', { 
-            roomId, 
-            pageId: pages[activePage].id,
-            imageData 
-          });
-        }
-      }
+      if (data.pageId === undefined) return;
+      const isCleared = (stroke) => strokeLayerId(stroke) === strokeLayerId(data);
+
+      liveStrokes.current.forEach((stroke, strokeId) => {
+        if (stroke.pageId === data.pageId && isCleared(stroke)) liveStrokes.current.delete(strokeId);
+      });
+      setPages(prev => prev.map(page => 
+        page.id === data.pageId ? { ...page, strokes: page.strokes.filter(stroke => !isCleared(stroke)) } : page
+      ));
     };
     
     socket?.on('clearCanvas', handleClearCanvas);
@@ -360,39 +1304,237 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
     return () => {
       socket?.off('clearCanvas', handleClearCanvas);
     };
-  }, [socket, localId, activePage, pages, roomId]);
+  }, [socket]);
+
+  useEffect(() => {
+    // Undo/redo is resolved on the server; every client applies the same change to its log
+    const handleStrokesRemoved = (data) => {
+      setPages(prev => prev.map(page => page.id === data.pageId ?
+        { ...page, strokes: page.strokes.filter(s => !data.strokeIds.includes(s.strokeId)) } :
+        page
+      ));
+    };
+
+    // Strokes come back either as one run at `index` or, after a deletion, each at its own index
+    const handleStrokesRestored = (data) => {
+      setPages(prev => prev.map(page => {
+        if (page.id !== data.pageId) return page;
+        const strokes = [...page.strokes];
+        data.strokes.forEach((stroke, i) => {
+          if (strokes.some(s => s.strokeId === stroke.strokeId)) return;
+          strokes.splice(data.indices ? data.indices[i] : data.index + i, 0, stroke);
+        });
+        return { ...page, strokes };
+      }));
+    };
+
+    // Auto-shape swaps, and undoing or redoing them
+    const handleStrokesReplaced = (data) => {
+      setPages(prev => prev.map(page => page.id === data.pageId ?
+        { ...page, strokes: replaceStrokes(page.strokes, data.strokeIds, data.strokes, data.indices) } :
+        page
+      ));
+    };
+
+    socket?.on('strokesRemoved', handleStrokesRemoved);
+    socket?.on('strokesRestored', handleStrokesRestored);
+    socket?.on('strokesReplaced', handleStrokesReplaced);
+    socket?.on('historyState', setHistoryState);
+
+    return () => {
+      socket?.off('strokesRemoved', handleStrokesRemoved);
+      socket?.off('strokesRestored', handleStrokesRestored);
+      socket?.off('strokesReplaced', handleStrokesReplaced);
+      socket?.off('historyState', setHistoryState);
+    };
+  }, [socket]);
+
+  // Undo and redo act on the server's history, so they are not queued while offline
+  const handleUndo = useCallback(() => {
+    if (isOnline) socket?.emit('undo', { roomId });
+  }, [socket, roomId, isOnline]);
+
+  const handleRedo = useCallback(() => {
+    if (isOnline) socket?.emit('redo', { roomId });
+  }, [socket, roomId, isOnline]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (readOnly || !(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo, readOnly]);
+
+  // Page operations apply locally right away, so they also work offline, and are sent with
+  // the position computed here; the server's echo of the same operation is a no-op
+  const applyLocalPageOperation = (type, operation) => {
+    setPages(prev => applyPageOperation(prev, type, operation));
+    queue?.emit(type, { roomId, ...operation });
+  };
 
   const addPage = () => {
-    const canvas = canvasRefs.current[activePage];
-    const imageData = canvas.toDataURL();
-    const currentPageId = pages[activePage].id;
-    socket?.emit('addPage', { roomId, imageData, pageId: currentPageId });
+    const page = {
+      id: createId(),
+      position: positionAfter(pages, activePageId),
+      title: '',
+      strokes: []
+    };
+    setPages(prev => applyPageOperation(prev, 'addPage', { page }));
+    setSelectedPageId(page.id);
+    queue?.emit('addPage', { roomId, pageId: page.id, position: page.position, afterId: activePageId });
+  };
+
+  // The copy goes right after the original and becomes the active page. It remembers what it was
+  // copied from until the server's copy arrives, which may have more or fewer strokes.
+  const duplicatePage = (pageId) => {
+    const source = pages.find(page => page.id === pageId);
+    if (!source) return;
+    const page = {
+      ...source,
+      id: createId(),
+      position: positionAfter(pages, pageId),
+      title: source.title ? `${source.title} (copy)`.substring(0, 40) : '',
+      copiedFrom: source
+    };
+    setPages(prev => applyPageOperation(prev, 'duplicatePage', { page }));
+    setSelectedPageId(page.id);
+    queue?.emit('duplicatePage', { roomId, pageId: page.id, sourceId: pageId, position: page.position });
+  };
+
+  // Backgrounds are shared with the room, like page titles
+  const changeBackground = (changes) => {
+    applyLocalPageOperation('setPageBackground', { pageId: activePageId, background: { ...background, ...changes } });
   };
 
   const removePage = (pageId) => {
     if (pages.length === 1) return;
-    socket?.emit('removePage', { roomId, pageId });
+    if (!window.confirm('Remove this page for everyone? It can be restored from History.')) return;
+    applyLocalPageOperation('removePage', { pageId });
+  };
+
+  const movePage = (pageId, offset) => {
+    const index = pages.findIndex(page => page.id === pageId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= pages.length) return;
+    // Moving left lands after the page before the target; moving right, after the target
+    const afterId = offset < 0 ? (pages[target - 1]?.id ?? null) : pages[target].id;
+    applyLocalPageOperation('movePage', { pageId, position: positionAfter(pages, afterId, pageId), afterId });
+  };
+
+  // A page dropped onto another takes its place, pushing that one right or left
+  const dropPage = (targetId) => {
+    const pageId = draggedPageId.current;
+    draggedPageId.current = null;
+    const from = pages.findIndex(page => page.id === pageId);
+    const to = pages.findIndex(page => page.id === targetId);
+    if (from !== -1 && to !== -1 && from !== to) movePage(pageId, to - from);
+  };
+
+  // Page tabs and thumbnails can both be dragged onto each other
+  const pageDragProps = (page) => (readOnly ? {} : {
+    draggable: true,
+    onDragStart: (e) => {
+      draggedPageId.current = page.id;
+      e.dataTransfer.effectAllowed = 'move';
+    },
+    onDragOver: (e) => draggedPageId.current && e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      dropPage(page.id);
+    },
+    onDragEnd: () => {
+      draggedPageId.current = null;
+    }
+  });
+
+  const renamePage = (page, index) => {
+    const title = window.prompt('Page name', pageLabel(page, index));
+    if (title === null) return;
+    applyLocalPageOperation('renamePage', { pageId: page.id, title: title.trim().substring(0, 40) });
+  };
+
+  // Layers are shared with the room: adding, renaming, moving and hiding them applies locally
+  // right away and goes out like a page operation
+  const applyLocalLayerOperation = (type, operation) => {
+    setPages(prev => applyLayerOperation(prev, type, operation));
+    queue?.emit(type, { roomId, ...operation });
+  };
+
+  const selectLayer = (layerId) => {
+    setActiveLayers(prev => ({ ...prev, [activePageId]: layerId }));
+  };
+
+  const addLayer = () => {
+    const layer = {
+      id: createId(),
+      name: `Layer ${pageLayers.length + 1}`,
+      visible: true,
+      locked: false
+    };
+    setPages(prev => applyLayerOperation(prev, 'addLayer', { pageId: activePageId, layer }));
+    selectLayer(layer.id);
+    queue?.emit('addLayer', { roomId, pageId: activePageId, layerId: layer.id, name: layer.name });
+  };
+
+  const updateLayer = (layerId, changes) => {
+    applyLocalLayerOperation('updateLayer', { pageId: activePageId, layerId, changes });
+  };
+
+  const renameLayer = (layer, index) => {
+    const name = window.prompt('Layer name', layerLabel(layer, index));
+    if (name === null) return;
+    updateLayer(layer.id, { name: name.trim().substring(0, 40) });
   };
 
+  // `offset` is +1 to move a layer up (towards the front) and -1 to move it down
+  const moveLayer = (layerId, offset) => {
+    const index = pageLayers.findIndex(layer => layer.id === layerId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= pageLayers.length) return;
+    applyLocalLayerOperation('moveLayer', { pageId: activePageId, layerId, index: target });
+  };
+
+  // Only the active page has canvases, so each page is rendered offscreen around what is shown
   const generatePDF = () => {
     const pdf = new jsPDF();
     
     pages.forEach((page, index) => {
       if (index > 0) pdf.addPage();
       
-      const originalCanvas = canvasRefs.current[index];
+      const layers = getPageLayers(page);
+      const shown = page.strokes.filter(stroke =>
+        layers.some(layer => layer.visible && layer.id === strokeLayerId(stroke))
+      );
+      const bounds = getPageBounds(shown);
+      // The longer side gets the full size, so a page reaching far in one direction still fits a canvas
+      const aspect = (bounds.maxX - bounds.minX) / (bounds.maxY - bounds.minY);
       const tempCanvas = document.createElement('canvas');
-      tempCanvas.width = originalCanvas.width;
-      tempCanvas.height = originalCanvas.height;
+      tempCanvas.width = Math.max(Math.round(PDF_RENDER_SIZE * Math.min(aspect, 1)), 1);
+      tempCanvas.height = Math.max(Math.round(PDF_RENDER_SIZE * Math.min(1 / aspect, 1)), 1);
       
       const tempCtx = tempCanvas.getContext('2d');
       tempCtx.fillStyle = 'white';
       tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-      tempCtx.drawImage(originalCanvas, 0, 0);
+      applyView(tempCtx, fitView(bounds, tempCanvas.width, tempCanvas.height));
+      drawBackground(tempCtx, getPageBackground(page), bounds);
+      drawLayers(tempCtx, layers, shown);
       
       const imgData = tempCanvas.toDataURL('image/jpeg', 1.0);
-      const width = pdf.internal.pageSize.getWidth() - 20;
-      const height = (originalCanvas.height * width) / originalCanvas.width;
+      const maxWidth = pdf.internal.pageSize.getWidth() - 20;
+      const maxHeight = pdf.internal.pageSize.getHeight() - 20;
+      const fit = Math.min(maxWidth / tempCanvas.width, maxHeight / tempCanvas.height);
+      const width = tempCanvas.width * fit;
+      const height = tempCanvas.height * fit;
       
       pdf.addImage(imgData, 'JPEG', 10, 10, width, height);
     });
@@ -470,6 +1612,8 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
             }}></div>
             <p>Analyzing problem...</p>
           </div>
+        ) : aiError ? (
+          <p style={{ margin: 0, color: '#c62828' }}>{aiError}</p>
         ) : (
           <div dangerouslySetInnerHTML={{ 
             __html: DOMPurify.sanitize(aiResponse) || 'Draw a math problem and pinch to analyze' 
@@ -478,50 +1622,96 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
       </div>
     </div>
   );
+  // Screen position to world coordinates on the active page
   const getCanvasCoordinates = (e) => {
-    const canvas = canvasRefs.current[activePage];
-    const rect = canvas.getBoundingClientRect();
+    const rect = canvasRef.current.getBoundingClientRect();
     return {
-      x: (e.clientX - rect.left) * (canvas.width / rect.width),
-      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+      x: view.x + (e.clientX - rect.left) / view.scale,
+      y: view.y + (e.clientY - rect.top) / view.scale
     };
   };
 
   const handleEraserToggle = () => {
-    setIsErasing(prev => {
-      pages.forEach((_, index) => {
-        const ctx = contextRefs.current[index];
-        if (ctx) {
-          ctx.strokeStyle = !prev ? '#FFFFFF' : color;
-          ctx.lineWidth = !prev ? eraserSize : lineWidth;
-          ctx.globalCompositeOperation = !prev ? 'destination-out' : 'source-over';
-        }
-      });
-      return !prev;
-    });
+    setIsErasing(prev => !prev);
+    setTool('pen');
+  };
+
+  const handleToolSelect = (id) => {
+    if (id === 'eyedropper' && tool !== 'eyedropper') toolBeforePicking.current = tool;
+    setFillNotice('');
+    setTool(id);
+    setIsErasing(false);
   };
   const handleClear = () => {
-    const ctx = contextRefs.current[activePage];
-    ctx.clearRect(0, 0, 640, 480);
-    socket?.emit('clearCanvas', { roomId, senderId: localId });
+    if (!canDraw) return;
+    const layerId = activeLayer.id;
+    setPages(prev => prev.map(page => 
+      page.id === activePageId ?
+        { ...page, strokes: page.strokes.filter(stroke => strokeLayerId(stroke) !== layerId) } :
+        page
+    ));
+    queue?.emit('clearCanvas', { roomId, senderId: localId, pageId: activePageId, layerId });
   };
 
   return (
     <div style={styles.whiteboardContainer}>
       <div style={styles.pageControls}>
-        <button onClick={addPage} style={styles.addButton}>
-          ➕ Add Page
-        </button>
+        {!readOnly && (
+          <>
+            <button onClick={addPage} style={styles.addButton} title="Add a page after this one">
+              ➕ Add Page
+            </button>
+            <button onClick={() => duplicatePage(activePageId)} style={styles.addButton}>
+              ⧉ Duplicate
+            </button>
+          </>
+        )}
         {aiPanel}
         <div style={styles.pageTabs}>
           {pages.map((page, index) => (
             <div 
               key={page.id}
-              style={index === activePage ? styles.activeTab : styles.pageTab}
-              onClick={() => setActivePage(index)}
+              {...pageDragProps(page)}
+              style={index === activePage ? { ...styles.pageTab, ...styles.activeTab } : styles.pageTab}
+              onClick={() => setSelectedPageId(page.id)}
+              onDoubleClick={() => !readOnly && renamePage(page, index)}
+              title={readOnly ? undefined : 'Double-click to rename'}
             >
-              Page {index + 1}
-              {pages.length > 1 && (
+              {index === activePage && !readOnly && index > 0 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    movePage(page.id, -1);
+                  }}
+                  style={styles.closeButton}
+                  aria-label="Move page left"
+                >
+                  ‹
+                </button>
+              )}
+              {pageLabel(page, index)}
+              {presence
+                .filter(entry => entry.clientId !== localId && entry.pageId === page.id)
+                .map(entry => (
+                  <span
+                    key={entry.clientId}
+                    title={entry.name}
+                    style={{ ...styles.pagePresenceDot, backgroundColor: entry.color }}
+                  />
+                ))}
+              {index === activePage && !readOnly && index < pages.length - 1 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    movePage(page.id, 1);
+                  }}
+                  style={styles.closeButton}
+                  aria-label="Move page right"
+                >
+                  ›
+                </button>
+              )}
+              {pages.length > 1 && !readOnly && (
                 <button 
                   onClick={(e) => {
                     e.stopPropagation();
@@ -536,83 +1726,476 @@ function Whiteboard({ socket, roomId, localId, onActivePageChange }) {
           ))}
         </div>
         
+        <select
+          value={background.type}
+          onChange={(e) => changeBackground({ type: e.target.value })}
+          disabled={readOnly}
+          aria-label="Page background"
+          title="Page background"
+        >
+          {BACKGROUND_TYPES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        {background.type !== 'blank' && (
+          <select
+            value={background.spacing}
+            onChange={(e) => changeBackground({ spacing: Number(e.target.value) })}
+            disabled={readOnly}
+            aria-label="Background scale"
+            title={background.type === 'axes' ? 'Size of one unit' : 'Line spacing'}
+          >
+            {SPACING_OPTIONS.map(spacing => (
+              <option key={spacing} value={spacing}>{spacing}px</option>
+            ))}
+          </select>
+        )}
+        <button onClick={() => setShowPageStrip(prev => !prev)} style={styles.pdfButton}>
+          🖼 Pages
+        </button>
+        <button onClick={() => setShowLayers(prev => !prev)} style={styles.pdfButton}>
+          🗂 Layers
+        </button>
+        <button onClick={() => setShowHistory(prev => !prev)} style={styles.pdfButton}>
+          🕘 History
+        </button>
         <button onClick={generatePDF} style={styles.pdfButton}>
           📄 Save as PDF
         </button>
       </div>
 
-      {pages.map((page, index) => (
+      {showHistory && (
+        <HistoryPanel roomId={roomId} readOnly={readOnly} onClose={() => setShowHistory(false)} />
+      )}
+
+      <div ref={viewportRef} style={styles.viewport}>
         <canvas
-          key={page.id}
-          ref={el => (canvasRefs.current[index] = el)}
-          style={{ 
-            ...styles.canvas, 
-            visibility: index === activePage ? 'visible' : 'hidden',
-            position: index === activePage ? 'relative' : 'absolute'
+          ref={canvasRef}
+          style={{
+            ...styles.canvas,
+            cursor: panOrigin.current || isSpaceHeld ? 'grab' : (canDraw || tool === 'select' || (TRAIL_TOOLS[tool] && !readOnly) ? styles.canvas.cursor : 'not-allowed')
           }}
-          onMouseDown={startDrawing}
-          onMouseMove={draw}
-          onMouseUp={endDrawing}
-          onMouseLeave={endDrawing}
+          onPointerDown={handleCanvasPointerDown}
+          onPointerMove={handleCanvasPointerMove}
+          onPointerUp={handleCanvasPointerUp}
+          onPointerCancel={handleCanvasPointerUp}
+          onPointerLeave={handleCanvasPointerLeave}
+          onDoubleClick={() => shapeDraft.current?.type === 'polygon' && finishShape()}
         />
-      ))}
+        {pageLayers.filter(layer => layer.visible).map(layer => (
+          <canvas
+            key={layer.id}
+            ref={(element) => {
+              if (element) layerCanvases.current.set(layer.id, element);
+              else layerCanvases.current.delete(layer.id);
+            }}
+            style={styles.previewCanvas}
+          />
+        ))}
+        <canvas ref={highlightCanvasRef} style={styles.highlightCanvas} />
+        <canvas ref={previewCanvasRef} style={styles.previewCanvas} />
+        <canvas ref={trailCanvasRef} style={styles.previewCanvas} />
 
-      <div style={styles.tools}>
-        <button 
-          onClick={handleEraserToggle}
-          style={isErasing ? styles.activeEraserButton : styles.eraserButton}
-        >
-          {isErasing ? '✏️ Disable Eraser' : '🧹 Eraser'}
-        </button>
-        
-        {isErasing && (
-          <input
-            type="range"
-            min="10"
-            max="50"
-            value={eraserSize}
-            onChange={(e) => setEraserSize(Number(e.target.value))}
+        {showPageStrip && (
+          <div style={styles.pageStrip}>
+            {pages.map((page, index) => (
+              <div
+                key={page.id}
+                {...pageDragProps(page)}
+                style={index === activePage ? { ...styles.pageThumbnail, ...styles.activePageThumbnail } : styles.pageThumbnail}
+                onClick={() => setSelectedPageId(page.id)}
+                onDoubleClick={() => !readOnly && renamePage(page, index)}
+                title={readOnly ? pageLabel(page, index) : 'Drag to reorder, double-click to rename'}
+              >
+                <PagePreview page={page} scale={0.2} />
+                <div style={styles.pageThumbnailLabel}>
+                  <span>{index + 1}. {pageLabel(page, index)}</span>
+                  {!readOnly && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        duplicatePage(page.id);
+                      }}
+                      style={styles.layerButton}
+                      title="Duplicate page"
+                    >
+                      ⧉
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {showLayers && (
+          <div style={styles.layersPanel}>
+            {/* Listed top to bottom, the way they stack */}
+            {[...pageLayers].reverse().map(layer => {
+              const index = pageLayers.indexOf(layer);
+              return (
+                <div
+                  key={layer.id}
+                  style={layer.id === activeLayer.id ? { ...styles.layerRow, ...styles.activeLayerRow } : styles.layerRow}
+                  onClick={() => selectLayer(layer.id)}
+                  onDoubleClick={() => !readOnly && renameLayer(layer, index)}
+                  title={readOnly ? undefined : 'Click to draw on this layer, double-click to rename'}
+                >
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      updateLayer(layer.id, { visible: !layer.visible });
+                    }}
+                    style={styles.layerButton}
+                    disabled={readOnly}
+                    aria-pressed={layer.visible}
+                    title={layer.visible ? 'Hide layer' : 'Show layer'}
+                  >
+                    {layer.visible ? '👁' : '◌'}
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      updateLayer(layer.id, { locked: !layer.locked });
+                    }}
+                    style={styles.layerButton}
+                    disabled={readOnly || !canLockLayers}
+                    aria-pressed={layer.locked}
+                    title={canLockLayers ? (layer.locked ? 'Unlock layer' : 'Lock layer') : 'Only the room owner can lock layers'}
+                  >
+                    {layer.locked ? '🔒' : '🔓'}
+                  </button>
+                  <span style={styles.layerName}>{layerLabel(layer, index)}</span>
+                  {!readOnly && (
+                    <>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          moveLayer(layer.id, 1);
+                        }}
+                        style={styles.layerButton}
+                        disabled={index === pageLayers.length - 1}
+                        aria-label="Move layer up"
+                      >
+                        ▲
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          moveLayer(layer.id, -1);
+                        }}
+                        style={styles.layerButton}
+                        disabled={index === 0}
+                        aria-label="Move layer down"
+                      >
+                        ▼
+                      </button>
+                    </>
+                  )}
+                </div>
+              );
+            })}
+            {!readOnly && (
+              <button onClick={addLayer} style={styles.addLayerButton}>
+                ➕ Add Layer
+              </button>
+            )}
+          </div>
+        )}
+
+        {editingText && editingText.pageId === activePageId && (
+          <textarea
+            key={editingText.strokeId}
+            autoFocus
+            value={editingText.text}
+            onChange={(e) => editText({ text: e.target.value })}
+            onKeyDown={(e) => e.key === 'Escape' && setEditingText(null)}
+            rows={editingText.text.split('\n').length}
+            cols={Math.max(...editingText.text.split('\n').map(line => line.length), 1) + 1}
+            placeholder="Type here"
+            style={{
+              ...styles.textEditor,
+              left: (editorAnchor.x - view.x) * view.scale,
+              top: (editorAnchor.y - view.y) * view.scale,
+              font: textFont({ ...editingText, fontSize: editingText.fontSize * editorScale * view.scale }),
+              lineHeight: TEXT_LINE_HEIGHT,
+              color: editingText.color,
+              textAlign: editingText.align,
+              transform: { left: 'none', center: 'translateX(-50%)', right: 'translateX(-100%)' }[editingText.align]
+            }}
           />
         )}
+
+        {selectionBounds && tool === 'select' && (
+          <div
+            style={{
+              ...styles.selectionBox,
+              left: (selectionBounds.minX - view.x) * view.scale,
+              top: (selectionBounds.minY - view.y) * view.scale,
+              width: (selectionBounds.maxX - selectionBounds.minX) * view.scale,
+              height: (selectionBounds.maxY - selectionBounds.minY) * view.scale
+            }}
+          >
+            {SCALE_HANDLES.map(handle => (
+              <div
+                key={handle}
+                style={{
+                  ...styles.selectionHandle,
+                  [handle.includes('n') ? 'top' : 'bottom']: -5,
+                  [handle.includes('w') ? 'left' : 'right']: -5,
+                  cursor: `${handle}-resize`
+                }}
+                onPointerDown={(e) => {
+                  e.stopPropagation();
+                  beginTransform('scale', getCanvasCoordinates(e), selectedStrokes, handle);
+                }}
+              />
+            ))}
+            <div
+              style={styles.rotateHandle}
+              title="Drag to rotate; hold Shift to snap"
+              onPointerDown={(e) => {
+                e.stopPropagation();
+                beginTransform('rotate', getCanvasCoordinates(e), selectedStrokes);
+              }}
+            />
+          </div>
+        )}
+
+        {shapedBounds && (
+          <button
+            onClick={revertShape}
+            style={{
+              ...styles.revertShapeButton,
+              left: (shapedBounds.maxX - view.x) * view.scale,
+              top: (shapedBounds.maxY - view.y) * view.scale
+            }}
+            title="Put the original sketch back"
+          >
+            ↩️ Keep sketch
+          </button>
+        )}
+
+        {remoteCursors.map(entry => {
+          const position = cursorPosition(entry.cursor);
+          if (!position) return null;
+          return (
+            <div key={entry.clientId} style={{ ...styles.remoteCursor, ...position }}>
+              <span style={{ ...styles.remoteCursorDot, backgroundColor: entry.color }} />
+              <span style={{ ...styles.remoteCursorLabel, backgroundColor: entry.color }}>{entry.name}</span>
+            </div>
+          );
+        })}
+
+        <div style={styles.zoomControls}>
+          <button onClick={() => zoomBy(1 / ZOOM_STEP)} style={styles.zoomButton} aria-label="Zoom out">−</button>
+          <button
+            onClick={() => setActiveView(() => DEFAULT_VIEW)}
+            style={styles.zoomButton}
+            title="Back to 100% at the page origin"
+          >
+            {Math.round(view.scale * 100)}%
+          </button>
+          <button onClick={() => zoomBy(ZOOM_STEP)} style={styles.zoomButton} aria-label="Zoom in">+</button>
+          <button
+            onClick={zoomToFit}
+            style={styles.zoomButton}
+            title="Zoom to fit. Scroll to zoom; hold space and drag, or drag with the middle button, to pan"
+          >
+            ⤢ Fit
+          </button>
+        </div>
+      </div>
+
+      {!readOnly && (
+        <div style={styles.tools}>
+          <button
+            onClick={handleUndo}
+            style={styles.historyButton}
+            disabled={!isOnline || !historyState.canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={handleRedo}
+            style={styles.historyButton}
+            disabled={!isOnline || !historyState.canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </button>
+
+          <div style={styles.toolGroup}>
+            {TOOLS.map(({ id, label, title }) => (
+              <button
+                key={id}
+                onClick={() => handleToolSelect(id)}
+                style={tool === id && !isErasing ? { ...styles.toolButton, ...styles.activeToolButton } : styles.toolButton}
+                title={title}
+                aria-pressed={tool === id && !isErasing}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <button
+            onClick={() => setPenOnly(prev => !prev)}
+            style={penOnly ? { ...styles.toolButton, ...styles.activeToolButton } : styles.toolButton}
+            aria-pressed={penOnly}
+            title="Pen only: ignore fingers and resting palms for drawing; fingers still pan and pinch to zoom"
+          >
+            🖊️ Pen only
+          </button>
+
+          <button
+            onClick={() => setAutoShape(prev => !prev)}
+            style={autoShape ? { ...styles.toolButton, ...styles.activeToolButton } : styles.toolButton}
+            aria-pressed={autoShape}
+            title="Auto-shape: turn rough lines, arrows, triangles, rectangles and ellipses into clean shapes"
+          >
+            🔷 Auto-shape
+          </button>
+
+          <button 
+            onClick={handleEraserToggle}
+            style={isErasing ? styles.activeEraserButton : styles.eraserButton}
+          >
+            {isErasing ? '✏️ Disable Eraser' : '🧹 Eraser'}
+          </button>
         
-        <button onClick={handleClear} style={styles.clearButton}>
-          Clear
-        </button>
+          {isErasing && (
+            <input
+              type="range"
+              min="10"
+              max="50"
+              value={eraserSize}
+              onChange={(e) => setEraserSize(Number(e.target.value))}
+            />
+          )}
         
-        <input 
-          type="color" 
-          value={color} 
-          onChange={(e) => setColor(e.target.value)}
-          disabled={isErasing}
-        />
+          <button onClick={handleClear} style={styles.clearButton}>
+            Clear
+          </button>
         
-        <input
-          type="range"
-          min="1"
-          max="10"
-          value={lineWidth}
-          onChange={(e) => setLineWidth(Number(e.target.value))}
-          disabled={isErasing}
-        />
-      </div>
+          <input 
+            type="color" 
+            value={color} 
+            onChange={(e) => changeColor(e.target.value)}
+            disabled={isErasing}
+          />
+        
+          <input
+            type="range"
+            min="1"
+            max="10"
+            value={lineWidth}
+            onChange={(e) => setLineWidth(Number(e.target.value))}
+            disabled={isErasing}
+          />
 
-      <div style={styles.aiContainer}>
-        {/* <div style={styles.aiHeader}>AI Answers</div> */}
-        {/* <div style={styles.aiContent}>
-          {isLoadingAI ? (
-            <div style={styles.loadingContainer}>
-              <div style={styles.spinner}></div>
-              <p>Analyzing problem...</p>
-            </div>
-          ) : (
-            <div 
-              dangerouslySetInnerHTML={{ 
-                __html: DOMPurify.sanitize(aiResponse) || 'Draw a math problem and pinch to analyze' 
-              }}
-            />
+          {tool === 'text' && (
+            <>
+              <select
+                value={textStyle.fontSize}
+                onChange={(e) => changeTextStyle({ fontSize: Number(e.target.value) })}
+                aria-label="Font size"
+              >
+                {FONT_SIZES.map(size => (
+                  <option key={size} value={size}>{size}px</option>
+                ))}
+              </select>
+              <button
+                onClick={() => changeTextStyle({ bold: !textStyle.bold })}
+                style={textStyle.bold ? { ...styles.toolButton, ...styles.activeToolButton } : styles.toolButton}
+                aria-pressed={textStyle.bold}
+                title="Bold"
+              >
+                <strong>B</strong>
+              </button>
+              <button
+                onClick={() => changeTextStyle({ italic: !textStyle.italic })}
+                style={textStyle.italic ? { ...styles.toolButton, ...styles.activeToolButton } : styles.toolButton}
+                aria-pressed={textStyle.italic}
+                title="Italic"
+              >
+                <em>I</em>
+              </button>
+              <select
+                value={textStyle.align}
+                onChange={(e) => changeTextStyle({ align: e.target.value })}
+                aria-label="Text alignment"
+              >
+                {TEXT_ALIGNMENTS.map(align => (
+                  <option key={align} value={align}>{align}</option>
+                ))}
+              </select>
+            </>
           )}
-        </div> */}
-      </div>
+
+          {tool === 'select' && (
+            <>
+              <button onClick={duplicateSelection} style={styles.toolButton} disabled={!selectedIds.length} title="Duplicate (Ctrl+D)">
+                ⧉
+              </button>
+              <button onClick={() => reorderSelection('front')} style={styles.toolButton} disabled={!selectedIds.length} title="Bring to front">
+                ⤒
+              </button>
+              <button onClick={() => reorderSelection('back')} style={styles.toolButton} disabled={!selectedIds.length} title="Send to back">
+                ⤓
+              </button>
+              <button onClick={deleteSelection} style={styles.toolButton} disabled={!selectedIds.length} title="Delete (Del)">
+                🗑
+              </button>
+            </>
+          )}
+
+          {tool === 'fill' && (
+            <>
+              <label style={styles.fillLabel} title="How far a colour may differ from the one clicked and still be filled">
+                Tolerance
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={fillTolerance}
+                  onChange={(e) => setFillTolerance(Number(e.target.value))}
+                />
+              </label>
+              {fillNotice && <span style={styles.fillNotice}>{fillNotice}</span>}
+            </>
+          )}
+
+          {SHAPE_TYPES.includes(tool) && (
+            <>
+              <select value={dash} onChange={(e) => setDash(e.target.value)} aria-label="Line style">
+                {DASH_STYLES.map(style => (
+                  <option key={style} value={style}>{style}</option>
+                ))}
+              </select>
+              {FILLABLE_SHAPES.includes(tool) && (
+                <label style={styles.fillLabel}>
+                  <input
+                    type="checkbox"
+                    checked={fillEnabled}
+                    onChange={(e) => setFillEnabled(e.target.checked)}
+                  />
+                  Fill
+                  <input
+                    type="color"
+                    value={fillColor}
+                    onChange={(e) => setFillColor(e.target.value)}
+                    disabled={!fillEnabled}
+                  />
+                </label>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div style={styles.aiContainer} />
     </div>
   );
 }
@@ -662,6 +2245,33 @@ const styles = {
     cursor: 'pointer',
     padding: '0 4px'
   },
+  pagePresenceDot: {
+    width: '8px',
+    height: '8px',
+    borderRadius: '50%',
+    border: '1px solid #fff'
+  },
+  remoteCursor: {
+    position: 'absolute',
+    pointerEvents: 'none',
+    zIndex: 10,
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '2px'
+  },
+  remoteCursorDot: {
+    width: '10px',
+    height: '10px',
+    borderRadius: '50%',
+    transform: 'translate(-50%, -50%)'
+  },
+  remoteCursorLabel: {
+    color: 'white',
+    fontSize: '11px',
+    padding: '1px 5px',
+    borderRadius: '3px',
+    whiteSpace: 'nowrap'
+  },
   addButton: {
     padding: '8px 16px',
     backgroundColor: '#28a745',
@@ -678,14 +2288,183 @@ const styles = {
     borderRadius: '4px',
     cursor: 'pointer'
   },
+  viewport: {
+    flex: 1,
+    minHeight: 0,
+    position: 'relative',
+    overflow: 'hidden'
+  },
   canvas: {
     background: '#ffffff', // Ensure white background
     cursor: 'crosshair',
+    display: 'block',
+    width: '100%',
+    height: '100%',
+    touchAction: 'none'
+  },
+  previewCanvas: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    pointerEvents: 'none'
+  },
+  highlightCanvas: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    pointerEvents: 'none',
+    opacity: HIGHLIGHTER_OPACITY,
+    mixBlendMode: 'multiply'
+  },
+  pageStrip: {
+    position: 'absolute',
+    top: '10px',
+    left: '10px',
+    bottom: '10px',
+    width: '150px',
+    padding: '6px',
+    overflowY: 'auto',
+    backgroundColor: 'rgba(255,255,255,0.95)',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  pageThumbnail: {
+    padding: '3px',
+    border: '2px solid transparent',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  activePageThumbnail: {
+    borderColor: '#4F81E1'
+  },
+  pageThumbnailLabel: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    fontSize: '12px',
+    marginTop: '2px'
+  },
+  layersPanel: {
+    position: 'absolute',
+    top: '10px',
+    right: '10px',
+    width: '220px',
+    padding: '6px',
+    backgroundColor: 'rgba(255,255,255,0.95)',
+    border: '1px solid #ddd',
+    borderRadius: '6px',
+    boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px'
+  },
+  layerRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '2px 4px',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    userSelect: 'none'
+  },
+  activeLayerRow: {
+    backgroundColor: '#e8effc'
+  },
+  layerButton: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    padding: '2px',
+    fontSize: '12px'
+  },
+  layerName: {
     flex: 1,
-    minHeight: 0,
-    aspectRatio: '4/3',
-    touchAction: 'none',
-    imageRendering: 'crisp-edges' // Keep lines sharp
+    fontSize: '13px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  addLayerButton: {
+    marginTop: '4px',
+    padding: '4px',
+    border: '1px dashed #aaa',
+    borderRadius: '4px',
+    background: 'none',
+    cursor: 'pointer'
+  },
+  selectionBox: {
+    position: 'absolute',
+    border: '1px dashed #4F81E1',
+    pointerEvents: 'none'
+  },
+  selectionHandle: {
+    position: 'absolute',
+    width: '8px',
+    height: '8px',
+    backgroundColor: 'white',
+    border: '1px solid #4F81E1',
+    pointerEvents: 'auto'
+  },
+  rotateHandle: {
+    position: 'absolute',
+    top: '-28px',
+    left: '50%',
+    width: '10px',
+    height: '10px',
+    marginLeft: '-6px',
+    borderRadius: '50%',
+    backgroundColor: 'white',
+    border: '1px solid #4F81E1',
+    cursor: 'grab',
+    pointerEvents: 'auto'
+  },
+  revertShapeButton: {
+    position: 'absolute',
+    zIndex: 5,
+    marginLeft: '4px',
+    marginTop: '4px',
+    padding: '2px 6px',
+    fontSize: '12px',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    border: '1px solid #4F81E1',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  textEditor: {
+    position: 'absolute',
+    zIndex: 5,
+    padding: 0,
+    margin: 0,
+    border: '1px dashed #4F81E1',
+    background: 'transparent',
+    outline: 'none',
+    resize: 'none',
+    overflow: 'hidden',
+    whiteSpace: 'pre'
+  },
+  zoomControls: {
+    position: 'absolute',
+    right: '10px',
+    bottom: '10px',
+    display: 'flex',
+    gap: '4px',
+    zIndex: 11
+  },
+  zoomButton: {
+    minWidth: '32px',
+    padding: '4px 8px',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    cursor: 'pointer'
   },
   tools: {
     padding: '10px',
@@ -695,6 +2474,39 @@ const styles = {
     gap: '10px',
     flexWrap: 'wrap'
   },
+  historyButton: {
+    padding: '8px 16px',
+    backgroundColor: '#fff',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  toolGroup: {
+    display: 'flex',
+    gap: '2px'
+  },
+  toolButton: {
+    minWidth: '36px',
+    padding: '6px 8px',
+    backgroundColor: '#fff',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  activeToolButton: {
+    backgroundColor: '#4F81E1',
+    borderColor: '#3a6db7',
+    color: 'white'
+  },
+  fillLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px'
+  },
+  fillNotice: {
+    fontSize: '12px',
+    color: '#dc3545'
+  },
   clearButton: {
     padding: '8px 16px',
     backgroundColor: '#dc3545',
@@ -720,32 +2532,6 @@ const styles = {
     backgroundColor: '#f8f9fa',
     height: '150px',
     minHeight: '150px'
-  },
-  aiHeader: {
-    backgroundColor: '#4F81E1',
-    color: 'white',
-    padding: '10px',
-    fontWeight: 'bold'
-  },
-  aiContent: {
-    padding: '15px',
-    overflowY: 'auto',
-    height: '100%'
-  },
-  loadingContainer: {
-    display: 'flex',
-    flexDirection: 'column',
-    alignItems: 'center',
-    justifyContent: 'center',
-    height: '100%'
-  },
-  spinner: {
-    width: '30px',
-    height: '30px',
-    border: '3px solid #f3f3f3',
-    borderTop: '3px solid #3498db',
-    borderRadius: '50%',
-    animation: 'spin 1s linear infinite'
   }
 };
 
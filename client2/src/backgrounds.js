@@ -0,0 +1,146 @@
+// Client twin of server/pageBackgrounds.js. A page's background is drawn under all of its layers,
+// on a canvas of its own, so the eraser and clear never reach it. `spacing` is the distance
+// between grid lines (or one staff's height) in world units, and one unit on Cartesian axes.
+
+export const BACKGROUND_TYPES = [
+  { id: 'blank', label: 'Blank' },
+  { id: 'dots', label: 'Dot grid' },
+  { id: 'grid', label: 'Square grid' },
+  { id: 'lined', label: 'Ruled lines' },
+  { id: 'staff', label: 'Music staff' },
+  { id: 'axes', label: 'Cartesian axes' }
+];
+export const SPACING_OPTIONS = [20, 25, 30, 40, 50, 60, 80, 100]; // within the server's 10 to 200
+
+const DEFAULT_BACKGROUND = { type: 'blank', spacing: 40 };
+const MIN_GAP_PX = 8; // closer than this on screen, every other line is skipped
+const MAJOR_EVERY = 5;
+const STAFF_GAP = 1.5; // space between staves, in staff heights
+const LIGHT = '#e3e8ef';
+const MEDIUM = '#c4ccd8';
+const DARK = '#6b7685';
+
+export const getPageBackground = (page) => page?.background || DEFAULT_BACKGROUND;
+
+// Every multiple of `step` from just before `min` to just after `max`
+const multiples = (step, min, max) => {
+  const values = [];
+  for (let value = Math.floor(min / step) * step; value <= max; value += step) values.push(value);
+  return values;
+};
+
+// Zoomed far out, grid lines would merge into a wash, so they thin out by powers of two
+const visibleStep = (spacing, scale) => {
+  let step = spacing;
+  while (step * scale < MIN_GAP_PX) step *= 2;
+  return step;
+};
+
+const strokeLines = (ctx, lines, color, width) => {
+  if (!lines.length) return;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  lines.forEach(([x1, y1, x2, y2]) => {
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+  });
+  ctx.stroke();
+};
+
+const drawGrid = (ctx, spacing, bounds, pixel, major) => {
+  const { minX, minY, maxX, maxY } = bounds;
+  const step = visibleStep(spacing, 1 / pixel);
+  const isMajor = (value) => major && Math.round(value / spacing) % MAJOR_EVERY === 0;
+  const xs = multiples(step, minX, maxX);
+  const ys = multiples(step, minY, maxY);
+  const lines = [
+    ...xs.map(x => [x, minY, x, maxY, isMajor(x)]),
+    ...ys.map(y => [minX, y, maxX, y, isMajor(y)])
+  ];
+  strokeLines(ctx, lines.filter(line => !line[4]), LIGHT, pixel);
+  strokeLines(ctx, lines.filter(line => line[4]), MEDIUM, pixel);
+};
+
+const drawDots = (ctx, spacing, bounds, pixel) => {
+  const step = visibleStep(spacing, 1 / pixel);
+  const size = 2 * pixel;
+  ctx.fillStyle = MEDIUM;
+  multiples(step, bounds.minX, bounds.maxX).forEach(x => {
+    multiples(step, bounds.minY, bounds.maxY).forEach(y => ctx.fillRect(x - size / 2, y - size / 2, size, size));
+  });
+};
+
+const drawRuled = (ctx, spacing, bounds, pixel) => {
+  const ys = multiples(visibleStep(spacing, 1 / pixel), bounds.minY, bounds.maxY);
+  strokeLines(ctx, ys.map(y => [bounds.minX, y, bounds.maxX, y]), MEDIUM, pixel);
+};
+
+// Five lines per staff, `spacing` from top line to bottom line
+const drawStaves = (ctx, spacing, bounds, pixel) => {
+  if (spacing / 4 / pixel < MIN_GAP_PX / 2) return;
+  const period = spacing * (1 + STAFF_GAP);
+  const lines = multiples(period, bounds.minY - spacing, bounds.maxY).flatMap(top => (
+    [0, 1, 2, 3, 4].map(line => [bounds.minX, top + (line * spacing) / 4, bounds.maxX, top + (line * spacing) / 4])
+  ));
+  strokeLines(ctx, lines, DARK, pixel);
+};
+
+// The y axis points up, so labels count upwards from the origin
+const drawAxes = (ctx, spacing, bounds, pixel) => {
+  drawGrid(ctx, spacing, bounds, pixel, false);
+  const { minX, minY, maxX, maxY } = bounds;
+  strokeLines(ctx, [[minX, 0, maxX, 0], [0, minY, 0, maxY]], DARK, 1.5 * pixel);
+
+  const step = visibleStep(spacing, 1 / (pixel * 3)); // labels need more room than lines
+  const tick = 4 * pixel;
+  const label = (value) => String(Math.round((value / spacing) * 100) / 100);
+  const xs = multiples(step, minX, maxX).filter(x => Math.round(x / spacing) !== 0);
+  const ys = multiples(step, minY, maxY).filter(y => Math.round(y / spacing) !== 0);
+  strokeLines(ctx, [
+    ...xs.map(x => [x, -tick, x, tick]),
+    ...ys.map(y => [-tick, y, tick, y])
+  ], DARK, pixel);
+
+  ctx.fillStyle = DARK;
+  ctx.font = `${11 * pixel}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  xs.forEach(x => ctx.fillText(label(x), x, tick * 1.5));
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ys.forEach(y => ctx.fillText(label(-y), -tick * 1.5, y));
+  ctx.textBaseline = 'top';
+  ctx.fillText('0', -tick * 1.5, tick * 1.5);
+};
+
+// Draws the background over `bounds` (in world units) through ctx's current transform,
+// keeping lines one screen pixel wide at any zoom
+export const drawBackground = (ctx, background, bounds) => {
+  const { type, spacing } = background;
+  if (type === 'blank') return;
+  const { a, b } = ctx.getTransform();
+  const pixel = 1 / (Math.hypot(a, b) || 1);
+
+  ctx.save();
+  switch (type) {
+    case 'dots':
+      drawDots(ctx, spacing, bounds, pixel);
+      break;
+    case 'grid':
+      drawGrid(ctx, spacing, bounds, pixel, true);
+      break;
+    case 'lined':
+      drawRuled(ctx, spacing, bounds, pixel);
+      break;
+    case 'staff':
+      drawStaves(ctx, spacing, bounds, pixel);
+      break;
+    case 'axes':
+      drawAxes(ctx, spacing, bounds, pixel);
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+};
@@ -0,0 +1,41 @@
+// Identifies this browser tab to the server across reconnects and reloads, so strokes,
+// undo history and the roster entry stay attached to it. sessionStorage is per tab, but a
+// duplicated tab starts with a copy of it, client ID included. The instance ID is new on every
+// page load, so the server can tell such a copy from the tab that owns the ID and turn it away;
+// the copy then takes a new ID with renewClientId.
+const STORAGE_KEY = 'collabboard.clientId';
+
+// Also used for pages, layers and strokes: IDs built from a timestamp collide when two are made
+// in the same millisecond, e.g. strokes from two fingers at once, so the fallback counts too
+let fallbackCount = 0;
+
+export const createId = () => (
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${(fallbackCount++).toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
+export const getClientId = () => {
+  try {
+    let clientId = sessionStorage.getItem(STORAGE_KEY);
+    if (!clientId) {
+      clientId = createId();
+      sessionStorage.setItem(STORAGE_KEY, clientId);
+    }
+    return clientId;
+  } catch (error) {
+    // Storage can be unavailable (e.g. blocked cookies); fall back to an ID for this page load
+    return createId();
+  }
+};
+
+export const instanceId = createId();
+
+export const renewClientId = () => {
+  const clientId = createId();
+  try {
+    sessionStorage.setItem(STORAGE_KEY, clientId);
+  } catch (error) {
+    // Without storage the new ID lasts for this page load only
+  }
+  return clientId;
+};
@@ -0,0 +1 @@
+export const SERVER_URL = process.env.REACT_APP_SERVER_URL || 'https://collabboard22.onrender.com';
@@ -0,0 +1,57 @@
+// Client twin of server/ephemeralInk.js. Laser trails and disappearing ink live only in a Map of
+// trails on each client (trailId -> { kind, pageId, color, lineWidth, points }), outside page
+// state. Each point is stamped with the time it arrived here and fades on this client's clock.
+
+export const TRAIL_FLUSH_MS = 30; // how long points gather before they are sent
+const LASER_LIFETIME_MS = 800;
+const INK_HOLD_MS = 3000;
+const INK_FADE_MS = 1000;
+const LASER_COLOR = '#ff1744';
+const LASER_WIDTH = 4; // screen pixels, at any zoom
+const LASER_GLOW = 10;
+
+// The laser starts fading at once; ink holds for a few seconds first
+const opacity = (kind, age) => (
+  kind === 'laser' ?
+    1 - age / LASER_LIFETIME_MS :
+    1 - Math.max(age - INK_HOLD_MS, 0) / INK_FADE_MS
+);
+
+export const addTrailPoints = (trails, { trailId, kind, pageId, color, lineWidth, points }, now) => {
+  if (!trails.has(trailId)) trails.set(trailId, { kind, pageId, color, lineWidth, points: [] });
+  trails.get(trailId).points.push(...points.map(({ x, y }) => ({ x, y, time: now })));
+};
+
+// Drops faded points and empty trails; returns whether anything is left to draw
+export const pruneTrails = (trails, now) => {
+  trails.forEach((trail, trailId) => {
+    trail.points = trail.points.filter(point => opacity(trail.kind, now - point.time) > 0);
+    if (!trail.points.length) trails.delete(trailId);
+  });
+  return trails.size > 0;
+};
+
+// Each segment takes the opacity of its newer end, so a trail fades from its tail.
+// ctx is expected to carry the view transform already; `scale` is the view's zoom.
+export const drawTrails = (ctx, trails, pageId, now, scale) => {
+  ctx.save();
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  trails.forEach(trail => {
+    if (trail.pageId !== pageId) return;
+    const isLaser = trail.kind === 'laser';
+    ctx.strokeStyle = isLaser ? LASER_COLOR : trail.color;
+    ctx.lineWidth = isLaser ? LASER_WIDTH / scale : trail.lineWidth;
+    ctx.shadowColor = isLaser ? LASER_COLOR : 'transparent';
+    ctx.shadowBlur = isLaser ? LASER_GLOW : 0;
+    trail.points.forEach((point, i) => {
+      const previous = trail.points[i - 1] || point;
+      ctx.globalAlpha = Math.min(opacity(trail.kind, now - point.time), 1);
+      ctx.beginPath();
+      ctx.moveTo(previous.x, previous.y);
+      ctx.lineTo(point.x, point.y);
+      ctx.stroke();
+    });
+  });
+  ctx.restore();
+};
@@ -0,0 +1,35 @@
+import { addTrailPoints, pruneTrails } from './ephemeralInk';
+
+const piece = (trailId, kind, points = [{ x: 0, y: 0 }]) => ({
+  trailId, kind, pageId: 'p1', color: '#000000', lineWidth: 2, points
+});
+
+test('points arriving for a trail join it, stamped with their arrival time', () => {
+  const trails = new Map();
+  addTrailPoints(trails, piece('t1', 'ink'), 0);
+  addTrailPoints(trails, piece('t1', 'ink', [{ x: 1, y: 1 }]), 50);
+  expect(trails.get('t1').points).toEqual([{ x: 0, y: 0, time: 0 }, { x: 1, y: 1, time: 50 }]);
+});
+
+test('the laser fades at once and disappearing ink holds a few seconds first', () => {
+  const trails = new Map();
+  addTrailPoints(trails, piece('laser', 'laser'), 0);
+  addTrailPoints(trails, piece('ink', 'ink'), 0);
+
+  expect(pruneTrails(trails, 500)).toBe(true);
+  expect([...trails.keys()]).toEqual(['laser', 'ink']);
+  pruneTrails(trails, 800);
+  expect([...trails.keys()]).toEqual(['ink']);
+  pruneTrails(trails, 3500);
+  expect([...trails.keys()]).toEqual(['ink']);
+  expect(pruneTrails(trails, 4000)).toBe(false);
+  expect(trails.size).toBe(0);
+});
+
+test('a trail fades from its tail', () => {
+  const trails = new Map();
+  addTrailPoints(trails, piece('t1', 'laser', [{ x: 0, y: 0 }]), 0);
+  addTrailPoints(trails, piece('t1', 'laser', [{ x: 1, y: 1 }]), 500);
+  pruneTrails(trails, 900);
+  expect(trails.get('t1').points).toEqual([{ x: 1, y: 1, time: 500 }]);
+});
@@ -0,0 +1,173 @@
+// Flood fill for the bucket tool. The region is found in a picture of what this tab shows, then
+// traced into outlines in world coordinates. Only the outlines go to the room, so every client
+// draws exactly the same fill whatever its zoom or screen.
+
+const SIMPLIFY_TOLERANCE = 0.75; // pixels an outline may move when it is straightened
+const MIN_RING_AREA = 9; // square pixels; smaller specks and holes are dropped
+const MAX_POINTS = 5000; // the server's limits
+const MAX_RINGS = 200;
+
+// Pixels connected to (x, y) whose colour is within `tolerance` (0 to 100) of its colour.
+// Returns null when the region runs off the picture, since it is not closed in this view.
+const fillMask = ({ data, width, height }, x, y, tolerance) => {
+  const seed = (y * width + x) * 4;
+  const limit = (tolerance / 100) * 255;
+  const matches = (pixel) => [0, 1, 2, 3].every(channel => (
+    Math.abs(data[pixel * 4 + channel] - data[seed + channel]) <= limit
+  ));
+  const mask = new Uint8Array(width * height);
+  const stack = [y * width + x];
+  mask[stack[0]] = 1;
+  while (stack.length) {
+    const pixel = stack.pop();
+    const px = pixel % width;
+    const py = (pixel - px) / width;
+    if (px === 0 || py === 0 || px === width - 1 || py === height - 1) return null;
+    [pixel - 1, pixel + 1, pixel - width, pixel + width].forEach(next => {
+      if (!mask[next] && matches(next)) {
+        mask[next] = 1;
+        stack.push(next);
+      }
+    });
+  }
+  return mask;
+};
+
+// Widens the region by a pixel all round, so its edge tucks under the lines around it
+const grow = (mask, width, height) => {
+  const grown = new Uint8Array(mask);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const pixel = y * width + x;
+      if (mask[pixel]) continue;
+      if (mask[pixel - 1] || mask[pixel + 1] || mask[pixel - width] || mask[pixel + width] ||
+          mask[pixel - width - 1] || mask[pixel - width + 1] || mask[pixel + width - 1] || mask[pixel + width + 1]) {
+        grown[pixel] = 1;
+      }
+    }
+  }
+  return grown;
+};
+
+// Every pixel side between the region and the outside becomes an edge between pixel corners,
+// directed so the region is on its right. Following edges end to end closes them into rings.
+const traceRings = (mask, width, height) => {
+  const stride = width + 1;
+  const edges = new Map(); // corner -> corners unused edges from it lead to
+  const addEdge = (fromX, fromY, toX, toY) => {
+    const from = fromY * stride + fromX;
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push(toY * stride + toX);
+  };
+  const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!filled(x, y)) continue;
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const rings = [];
+  edges.forEach((_, start) => {
+    while (edges.get(start).length) {
+      const ring = [];
+      let corner = start;
+      do {
+        ring.push({ x: corner % stride, y: Math.floor(corner / stride) });
+        corner = edges.get(corner).pop();
+      } while (corner !== start);
+      rings.push(ring);
+    }
+  });
+  return rings;
+};
+
+const distanceToLine = (p, a, b) => {
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (!length) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+};
+
+// Pixel outlines run in long straight steps; only the points where they turn matter
+const corners = (ring) => ring.filter((point, i) => {
+  const previous = ring[(i + ring.length - 1) % ring.length];
+  const next = ring[(i + 1) % ring.length];
+  return (point.x - previous.x) * (next.y - point.y) !== (point.y - previous.y) * (next.x - point.x);
+});
+
+// Ramer–Douglas–Peucker over an open run of points, ends kept
+const simplify = (points, tolerance) => {
+  if (points.length < 3) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  let furthest = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = distanceToLine(points[i], first, last);
+    if (d > furthest) {
+      furthest = d;
+      index = i;
+    }
+  }
+  if (furthest <= tolerance) return [first, last];
+  return [...simplify(points.slice(0, index + 1), tolerance).slice(0, -1), ...simplify(points.slice(index), tolerance)];
+};
+
+// A ring is split at its first point and at the point furthest from it, then each half simplified
+const simplifyRing = (ring, tolerance) => {
+  const far = ring.reduce((best, point, i) => (
+    Math.hypot(point.x - ring[0].x, point.y - ring[0].y) >
+      Math.hypot(ring[best].x - ring[0].x, ring[best].y - ring[0].y) ? i : best
+  ), 0);
+  return [
+    ...simplify(ring.slice(0, far + 1), tolerance).slice(0, -1),
+    ...simplify([...ring.slice(far), ring[0]], tolerance).slice(0, -1)
+  ];
+};
+
+const ringArea = (ring) => Math.abs(ring.reduce((sum, point, i) => {
+  const next = ring[(i + 1) % ring.length];
+  return sum + point.x * next.y - next.x * point.y;
+}, 0)) / 2;
+
+// Fills from pixel (x, y) of `image` and returns the outlines as { points, rings } in world
+// coordinates, where `toWorld` maps a pixel corner to the world. Null when the region is open to
+// the edge of the picture or too intricate to send.
+export const traceFill = (image, x, y, tolerance, toWorld) => {
+  const { width, height } = image;
+  const mask = fillMask(image, x, y, tolerance);
+  if (!mask) return null;
+  // Specks first to go when there are too many outlines
+  const rings = traceRings(grow(mask, width, height), width, height)
+    .map(corners)
+    .map(ring => ({ ring, area: ringArea(ring) }))
+    .filter(({ area }) => area >= MIN_RING_AREA)
+    .sort((a, b) => b.area - a.area)
+    .slice(0, MAX_RINGS)
+    .map(({ ring }) => ring);
+
+  // Staircases along slanted edges straighten out; intricate regions are straightened harder
+  for (let straightening = SIMPLIFY_TOLERANCE; straightening < Math.max(width, height); straightening *= 2) {
+    const simplified = rings
+      .map(ring => simplifyRing(ring, straightening))
+      .filter(ring => ring.length >= 3);
+    const count = simplified.reduce((sum, ring) => sum + ring.length, 0);
+    if (!simplified.length) return null;
+    if (count <= MAX_POINTS) {
+      return {
+        points: simplified.flat().map(toWorld),
+        rings: simplified.map(ring => ring.length)
+      };
+    }
+  }
+  return null;
+};
+
+// The colour at pixel (x, y) of `image` as #rrggbb
+export const pickColor = ({ data, width }, x, y) => {
+  const offset = (y * width + x) * 4;
+  return `#${[0, 1, 2].map(channel => data[offset + channel].toString(16).padStart(2, '0')).join('')}`;
+};
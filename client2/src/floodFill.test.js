@@ -0,0 +1,68 @@
+import { traceFill, pickColor } from './floodFill';
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+// A white picture with black pixels wherever `isInk(x, y)` holds
+const picture = (width, height, isInk) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(isInk(x, y) ? BLACK : WHITE, (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+const onSquare = (min, max) => (x, y) => (
+  (x === min || x === max) && y >= min && y <= max) || ((y === min || y === max) && x >= min && x <= max
+);
+
+const identity = point => point;
+
+test('the inside of a closed outline is traced as one ring', () => {
+  const image = picture(40, 40, onSquare(5, 30));
+  const { points, rings } = traceFill(image, 15, 15, 10, identity);
+  expect(rings).toEqual([4]);
+  // Grown by a pixel so the fill tucks under the outline; points are pixel corners
+  const xs = points.map(point => point.x);
+  expect(Math.min(...xs)).toBe(5);
+  expect(Math.max(...xs)).toBe(31);
+});
+
+test('an outline inside the region leaves a hole', () => {
+  const outer = onSquare(2, 37);
+  const inner = onSquare(15, 25);
+  const image = picture(40, 40, (x, y) => outer(x, y) || inner(x, y));
+  expect(traceFill(image, 8, 8, 10, identity).rings).toHaveLength(2);
+});
+
+test('a region open to the edge of the picture is not filled', () => {
+  const image = picture(40, 40, (x, y) => onSquare(5, 30)(x, y) && !(x === 30 && y === 15));
+  expect(traceFill(image, 15, 15, 10, identity)).toBeNull();
+});
+
+test('points are mapped into world coordinates', () => {
+  const image = picture(40, 40, onSquare(5, 30));
+  const { points } = traceFill(image, 15, 15, 10, ({ x, y }) => ({ x: x * 2 + 100, y: y * 2 }));
+  expect(points.every(({ x }) => x >= 110 && x <= 162)).toBe(true);
+});
+
+test('tolerance decides how different a colour may be and still be filled', () => {
+  const square = onSquare(5, 30);
+  const isGrey = (x, y) => x >= 15 && x < 21 && y >= 15 && y < 21;
+  const image = picture(40, 40, square);
+  for (let y = 0; y < 40; y++) {
+    for (let x = 0; x < 40; x++) {
+      if (isGrey(x, y)) image.data.set([200, 200, 200, 255], (y * 40 + x) * 4);
+    }
+  }
+  expect(traceFill(image, 8, 8, 10, identity).rings).toHaveLength(2);
+  expect(traceFill(image, 8, 8, 30, identity).rings).toEqual([4]);
+});
+
+test('the picked colour is the pixel\'s #rrggbb', () => {
+  const image = picture(2, 1, x => x === 1);
+  expect(pickColor(image, 0, 0)).toBe('#ffffff');
+  expect(pickColor(image, 1, 0)).toBe('#000000');
+});
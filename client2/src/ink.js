@@ -0,0 +1,126 @@
+// Freehand ink. The raw points in a stroke's log are turned into a brush outline the same way on
+// every client, so a stroke looks the same on every screen, whether drawn live or replayed:
+//
+// 1. Streamlining pulls each point only part of the way towards the next input point, which
+//    irons out the jitter of the pointer.
+// 2. The width at each point comes from stylus pressure and tilt when the points carry them,
+//    and otherwise from drawing speed: quick flicks come out thinner. Widths are eased too.
+// 3. Curve fitting joins the smoothed points with quadratic curves through their midpoints.
+// 4. The curve is filled as the union of a circle at every sample and a quad between neighbours.
+//
+// Highlighter strokes are filled opaque into a highlight pass of their own, which is then laid
+// over the page translucent (see drawHighlights in layers.js). Being filled in one go, a
+// highlighter stroke never builds up darker where it crosses itself.
+
+const STREAMLINE = 0.35;
+const THINNING = 0.4;
+const THINNING_DISTANCE = 30; // world units between input points at which thinning is strongest
+const WIDTH_EASING = 0.3;
+const CURVE_STEP = 2; // world units between samples along a curve
+const MAX_CURVE_STEPS = 16;
+export const HIGHLIGHTER_OPACITY = 0.35;
+
+export const isHighlighter = (stroke) => stroke.compositeOperation === 'multiply';
+
+// Line width at a stylus point: a firm press or a tilted pen draws broader, and a normal press
+// (0.5) gives the stroke's own width. Points without stylus data, and highlighters, which are
+// chisel-tipped, use the stroke's width.
+export const pointWidth = (stroke, point) => {
+  if (point.p === undefined || isHighlighter(stroke)) return stroke.lineWidth;
+  return stroke.lineWidth * (0.25 + point.p * 1.5) * (1 + (point.t || 0) / 180);
+};
+
+const smoothPoints = (stroke) => {
+  const { points } = stroke;
+  // The eraser and the highlighter keep their size however fast they move
+  const thins = stroke.compositeOperation !== 'destination-out' && !isHighlighter(stroke);
+  const smoothed = [];
+  points.forEach((point, i) => {
+    const previous = smoothed[i - 1];
+    let target = pointWidth(stroke, point);
+    if (point.p === undefined && thins && previous) {
+      const distance = Math.hypot(point.x - points[i - 1].x, point.y - points[i - 1].y);
+      target *= 1 - THINNING * Math.min(distance / THINNING_DISTANCE, 1);
+    }
+    smoothed.push(previous ? {
+      x: previous.x + (point.x - previous.x) * (1 - STREAMLINE),
+      y: previous.y + (point.y - previous.y) * (1 - STREAMLINE),
+      width: previous.width + (target - previous.width) * WIDTH_EASING
+    } : { x: point.x, y: point.y, width: target });
+  });
+  return smoothed;
+};
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, width: (a.width + b.width) / 2 });
+
+// Samples along curve `i` (1 to length - 2), which bends around smoothed point i. It starts
+// where curve i - 1 ended; the first and last curves run out to the ends of the stroke.
+const curveSamples = (smoothed, i) => {
+  const start = i === 1 ? smoothed[0] : midpoint(smoothed[i - 1], smoothed[i]);
+  const end = i === smoothed.length - 2 ? smoothed[i + 1] : midpoint(smoothed[i], smoothed[i + 1]);
+  const control = smoothed[i];
+  const steps = Math.min(Math.max(Math.ceil(Math.hypot(end.x - start.x, end.y - start.y) / CURVE_STEP), 1), MAX_CURVE_STEPS);
+  const samples = [start];
+  for (let step = 1; step <= steps; step++) {
+    const t = step / steps;
+    const [a, b, c] = [(1 - t) * (1 - t), 2 * t * (1 - t), t * t];
+    samples.push({
+      x: a * start.x + b * control.x + c * end.x,
+      y: a * start.y + b * control.y + c * end.y,
+      width: a * start.width + b * control.width + c * end.width
+    });
+  }
+  return samples;
+};
+
+// Every circle and quad is wound clockwise, so the default nonzero fill paints their union
+const fillSamples = (ctx, stroke, samples) => {
+  ctx.fillStyle = stroke.color;
+  ctx.beginPath();
+  samples.forEach((sample, i) => {
+    const radius = sample.width / 2;
+    ctx.moveTo(sample.x + radius, sample.y);
+    ctx.arc(sample.x, sample.y, radius, 0, Math.PI * 2);
+
+    const previous = samples[i - 1];
+    const length = previous && Math.hypot(sample.x - previous.x, sample.y - previous.y);
+    if (!length) return;
+    const nx = -(sample.y - previous.y) / length;
+    const ny = (sample.x - previous.x) / length;
+    const previousRadius = previous.width / 2;
+    ctx.moveTo(previous.x - nx * previousRadius, previous.y - ny * previousRadius);
+    ctx.lineTo(sample.x - nx * radius, sample.y - ny * radius);
+    ctx.lineTo(sample.x + nx * radius, sample.y + ny * radius);
+    ctx.lineTo(previous.x + nx * previousRadius, previous.y + ny * previousRadius);
+    ctx.closePath();
+  });
+  ctx.fill();
+};
+
+// Style (colour, composite operation) and transform are expected to be set on ctx already
+export const drawInk = (ctx, stroke) => {
+  const smoothed = smoothPoints(stroke);
+  if (smoothed.length < 3) {
+    fillSamples(ctx, stroke, smoothed);
+    return;
+  }
+  const samples = [];
+  for (let i = 1; i < smoothed.length - 1; i++) {
+    samples.push(...curveSamples(smoothed, i).slice(i === 1 ? 0 : 1));
+  }
+  fillSamples(ctx, stroke, samples);
+};
+
+// While a stroke is being drawn, each new point settles the curve two points back for good.
+// Drawing just that curve keeps live drawing cheap, and the pieces add up to exactly what
+// drawInk renders, apart from the last curve, which appears once the stroke is finished.
+// Not for highlighters: their overlapping pieces would show darker joins.
+export const drawInkTail = (ctx, stroke) => {
+  const smoothed = smoothPoints(stroke);
+  const settled = smoothed.length - 3;
+  if (settled < 1) return;
+  ctx.save();
+  ctx.globalCompositeOperation = stroke.compositeOperation || 'source-over';
+  fillSamples(ctx, stroke, curveSamples(smoothed, settled));
+  ctx.restore();
+};
@@ -0,0 +1,103 @@
+import { drawStroke } from './strokes';
+import { HIGHLIGHTER_OPACITY, isHighlighter } from './ink';
+
+// Client twin of server/layers.js. A page keeps its layers bottom to top; strokes without
+// a `layerId` were drawn before layers existed and sit on the base layer.
+
+export const DEFAULT_LAYER_ID = 'base';
+
+const DEFAULT_LAYERS = [{ id: DEFAULT_LAYER_ID, name: '', visible: true, locked: false }];
+
+export const getPageLayers = (page) => (page?.layers?.length ? page.layers : DEFAULT_LAYERS);
+
+export const strokeLayerId = (stroke) => stroke.layerId || DEFAULT_LAYER_ID;
+
+export const layerLabel = (layer, index) => layer.name || `Layer ${index + 1}`;
+
+// Like page operations, the server echoes layer operations back, so applying one twice is harmless
+const applyToLayers = (layers, type, operation) => {
+  switch (type) {
+    case 'addLayer':
+      return layers.some(layer => layer.id === operation.layer.id) ? layers : [...layers, operation.layer];
+    case 'updateLayer':
+      return layers.map(layer => layer.id === operation.layerId ? { ...layer, ...operation.changes } : layer);
+    case 'moveLayer': {
+      const layer = layers.find(l => l.id === operation.layerId);
+      if (!layer) return layers;
+      const others = layers.filter(l => l !== layer);
+      return [...others.slice(0, operation.index), layer, ...others.slice(operation.index)];
+    }
+    default:
+      return layers;
+  }
+};
+
+export const applyLayerOperation = (pages, type, operation) => pages.map(page => (
+  page.id === operation.pageId ?
+    { ...page, layers: applyToLayers(getPageLayers(page), type, operation) } :
+    page
+));
+
+const isEraser = (stroke) => stroke.compositeOperation === 'destination-out';
+
+// Thumbnails redraw whenever pages change and playback on every frame, so one scratch canvas
+// per use is kept rather than a new one made each time
+const scratchCanvases = new Map(); // use -> canvas
+
+// A cleared scratch canvas the size of ctx's, with ctx's transform
+const getScratchContext = (use, ctx) => {
+  const { width, height } = ctx.canvas;
+  if (!scratchCanvases.has(use)) scratchCanvases.set(use, document.createElement('canvas'));
+  const canvas = scratchCanvases.get(use);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const scratchCtx = canvas.getContext('2d');
+  scratchCtx.setTransform(1, 0, 0, 1, 0, 0);
+  scratchCtx.clearRect(0, 0, width, height);
+  scratchCtx.setTransform(ctx.getTransform());
+  return scratchCtx;
+};
+
+const drawImage = (ctx, image, { alpha = 1, operation = 'source-over' } = {}) => {
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = alpha;
+  ctx.globalCompositeOperation = operation;
+  ctx.drawImage(image, 0, 0);
+  ctx.restore();
+};
+
+// Highlighter strokes are not drawn on their layers but into one highlight pass for the page,
+// which is laid over all the layers at HIGHLIGHTER_OPACITY with 'multiply', so a highlight tints
+// the ink of every layer and hides none of it. The pass is drawn opaque, so highlights that
+// overlap keep the darker colour instead of building up. Each layer's erasers still clear the
+// highlights on it. Draws the pass into ctx through its current transform.
+export const drawHighlights = (ctx, layers, strokes) => {
+  layers.filter(layer => layer.visible).forEach(layer => {
+    const layerStrokes = strokes.filter(stroke => strokeLayerId(stroke) === layer.id);
+    if (!layerStrokes.some(isHighlighter)) return;
+    const layerCtx = getScratchContext('highlightLayer', ctx);
+    layerStrokes
+      .filter(stroke => isHighlighter(stroke) || isEraser(stroke))
+      .forEach(stroke => drawStroke(layerCtx, stroke));
+    drawImage(ctx, layerCtx.canvas, { operation: 'darken' });
+  });
+};
+
+// Draws the visible layers bottom to top through ctx's current transform, then their highlights.
+// Each layer is drawn on a scratch canvas first, so the eraser only ever clears strokes on its own layer.
+export const drawLayers = (ctx, layers, strokes) => {
+  layers.filter(layer => layer.visible).forEach(layer => {
+    const layerCtx = getScratchContext('layer', ctx);
+    strokes
+      .filter(stroke => strokeLayerId(stroke) === layer.id && !isHighlighter(stroke))
+      .forEach(stroke => drawStroke(layerCtx, stroke));
+    drawImage(ctx, layerCtx.canvas);
+  });
+  if (!strokes.some(isHighlighter)) return;
+  const highlightCtx = getScratchContext('highlights', ctx);
+  drawHighlights(highlightCtx, layers, strokes);
+  drawImage(ctx, highlightCtx.canvas, { alpha: HIGHLIGHTER_OPACITY, operation: 'multiply' });
+};
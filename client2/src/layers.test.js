@@ -0,0 +1,98 @@
+import { drawStroke } from './strokes';
+import { getPageLayers, strokeLayerId, layerLabel, applyLayerOperation, drawLayers, drawHighlights } from './layers';
+
+jest.mock('./strokes', () => ({ drawStroke: jest.fn() }));
+
+const layer = (id, fields = {}) => ({ id, name: '', visible: true, locked: false, ...fields });
+const page = (layers) => ({ id: 'p1', layers, strokes: [] });
+const ids = layers => layers.map(l => l.id);
+
+test('pages and strokes from before layers fall back to the base layer', () => {
+  expect(ids(getPageLayers({ id: 'p1' }))).toEqual(['base']);
+  expect(strokeLayerId({ strokeId: 's' })).toBe('base');
+  expect(layerLabel(layer('l2'), 1)).toBe('Layer 2');
+  expect(layerLabel(layer('l2', { name: 'Notes' }), 1)).toBe('Notes');
+});
+
+test('an added layer goes on top and its echo is ignored', () => {
+  const operation = { pageId: 'p1', layer: layer('top') };
+  const [once] = applyLayerOperation([page([layer('base')])], 'addLayer', operation);
+  const [twice] = applyLayerOperation([once], 'addLayer', operation);
+  expect(ids(twice.layers)).toEqual(['base', 'top']);
+});
+
+test('locking and hiding only change the named layer', () => {
+  const pages = [page([layer('base'), layer('top')]), { id: 'p2' }];
+  const locked = applyLayerOperation(pages, 'updateLayer', { pageId: 'p1', layerId: 'top', changes: { locked: true } });
+  const hidden = applyLayerOperation(locked, 'updateLayer', { pageId: 'p1', layerId: 'base', changes: { visible: false } });
+  expect(hidden[0].layers).toEqual([layer('base', { visible: false }), layer('top', { locked: true })]);
+  expect(hidden[1]).toBe(pages[1]);
+});
+
+test('a moved layer lands at its index counted from the bottom', () => {
+  const pages = [page([layer('a'), layer('b'), layer('c')])];
+  expect(ids(applyLayerOperation(pages, 'moveLayer', { pageId: 'p1', layerId: 'c', index: 0 })[0].layers))
+    .toEqual(['c', 'a', 'b']);
+  expect(ids(applyLayerOperation(pages, 'moveLayer', { pageId: 'p1', layerId: 'a', index: 2 })[0].layers))
+    .toEqual(['b', 'c', 'a']);
+  expect(applyLayerOperation(pages, 'moveLayer', { pageId: 'p1', layerId: 'gone', index: 0 })[0].layers)
+    .toBe(pages[0].layers);
+});
+
+// A 2D context that records which composite operation and alpha each image was drawn with
+const recordingContext = () => {
+  const ctx = {
+    canvas: { width: 10, height: 10 },
+    getTransform: () => [1, 0, 0, 1, 0, 0],
+    save: jest.fn(),
+    restore: jest.fn(),
+    setTransform: jest.fn(),
+    clearRect: jest.fn(),
+    drawImage: jest.fn(() => ctx.drawn.push([ctx.globalCompositeOperation, ctx.globalAlpha])),
+    drawn: [],
+    globalCompositeOperation: 'source-over',
+    globalAlpha: 1
+  };
+  return ctx;
+};
+
+beforeEach(() => {
+  drawStroke.mockClear();
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+    return { ...recordingContext(), canvas: this };
+  });
+});
+
+test('hidden layers are not drawn and the rest are drawn bottom to top', () => {
+  const ctx = recordingContext();
+  const strokes = [{ strokeId: 'top', layerId: 'top' }, { strokeId: 'hidden', layerId: 'hidden' }, { strokeId: 'base' }];
+  drawLayers(ctx, [layer('base'), layer('hidden', { visible: false }), layer('top')], strokes);
+  expect(drawStroke.mock.calls.map(([, stroke]) => stroke.strokeId)).toEqual(['base', 'top']);
+  expect(ctx.drawImage).toHaveBeenCalledTimes(2);
+});
+
+test('highlights leave their layers for one pass multiplied over all of them', () => {
+  const ctx = recordingContext();
+  const highlight = (strokeId, layerId) => ({ strokeId, layerId, compositeOperation: 'multiply' });
+  const strokes = [
+    highlight('h1', 'base'),
+    { strokeId: 'ink', layerId: 'top' },
+    { strokeId: 'eraser', layerId: 'top', compositeOperation: 'destination-out' },
+    highlight('h2', 'top'),
+    highlight('hidden', 'hidden')
+  ];
+  drawLayers(ctx, [layer('base'), layer('hidden', { visible: false }), layer('top')], strokes);
+
+  expect(drawStroke.mock.calls.map(([, stroke]) => stroke.strokeId)).toEqual(['ink', 'eraser', 'h1', 'eraser', 'h2']);
+  expect(ctx.drawn).toEqual([['source-over', 1], ['source-over', 1], ['multiply', 0.35]]);
+});
+
+test('highlights on different layers keep the darker colour where they overlap', () => {
+  const ctx = recordingContext();
+  const strokes = [
+    { strokeId: 'h1', compositeOperation: 'multiply' },
+    { strokeId: 'h2', layerId: 'top', compositeOperation: 'multiply' }
+  ];
+  drawHighlights(ctx, [layer('base'), layer('top')], strokes);
+  expect(ctx.drawn).toEqual([['darken', 1], ['darken', 1]]);
+});
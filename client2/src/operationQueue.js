@@ -0,0 +1,64 @@
+// Board and chat operations go through this queue instead of straight to the socket, so
+// nothing drawn while offline is lost. Each operation gets an ID and stays queued until
+// the server acknowledges it; after a reconnect everything unacknowledged is sent again
+// and the server skips the IDs it has already applied.
+export const createOperationQueue = (socket, clientId) => {
+  let pending = []; // oldest first
+  let sequence = 0;
+  let ready = false; // only true while the socket is connected and the room is joined
+  let drainWaiters = [];
+  const listeners = new Set();
+
+  const notify = () => {
+    listeners.forEach(listener => listener(pending.length));
+    if (pending.length === 0) {
+      drainWaiters.forEach(resolve => resolve());
+      drainWaiters = [];
+    }
+  };
+
+  // An operation the server failed to apply is dropped all the same: sending it again would fail again
+  const send = (operation) => {
+    socket.emit(operation.event, operation.payload, (result) => {
+      if (result?.error) console.error(`Server failed to apply ${operation.event}`);
+      pending = pending.filter(op => op !== operation);
+      notify();
+    });
+  };
+
+  return {
+    // Returns the operation ID so callers can match the server's echo to a local placeholder
+    emit(event, payload) {
+      const opId = `${clientId}-${Date.now().toString(36)}-${sequence++}`;
+      const operation = { event, payload: { ...payload, opId } };
+      pending.push(operation);
+      notify();
+      // While offline socket.io would buffer the emit and send it before the room is rejoined
+      if (ready && socket.connected) send(operation);
+      return opId;
+    },
+
+    // Call once the room has been (re)joined; resolves when every queued operation is acknowledged
+    flush() {
+      ready = true;
+      pending.forEach(send);
+      return new Promise(resolve => {
+        drainWaiters.push(resolve);
+        notify();
+      });
+    },
+
+    pause() {
+      ready = false;
+    },
+
+    get size() {
+      return pending.length;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,112 @@
+// Client twin of server/pageList.js. Pages are ordered by (position, id), where position is a
+// fractional key, so page operations from different clients can be applied in any order and
+// every board still ends up with the same list.
+
+const POSITION_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// A key strictly between `before` and `after` ('' / null mean the ends); keys never end in '0'
+export const positionBetween = (before = '', after = null) => {
+  if (after !== null) {
+    let shared = 0;
+    while ((before[shared] || '0') === after[shared]) shared++;
+    if (shared > 0) {
+      return after.slice(0, shared) + positionBetween(before.slice(shared), after.slice(shared));
+    }
+  }
+  const low = before ? POSITION_DIGITS.indexOf(before[0]) : 0;
+  const high = after !== null ? POSITION_DIGITS.indexOf(after[0]) : POSITION_DIGITS.length;
+  if (high - low > 1) return POSITION_DIGITS[Math.round((low + high) / 2)];
+  if (after !== null && after.length > 1) return after.slice(0, 1);
+  return POSITION_DIGITS[low] + positionBetween(before.slice(1), null);
+};
+
+const comparePages = (a, b) => {
+  if (a.position !== b.position) return a.position < b.position ? -1 : 1;
+  return String(a.id) < String(b.id) ? -1 : 1;
+};
+
+export const sortPages = (pages) => [...pages].sort(comparePages);
+
+// Position for a page placed right after `afterId` (null for the start), ignoring `movingId`
+export const positionAfter = (pages, afterId, movingId) => {
+  const others = pages.filter(page => page.id !== movingId);
+  const index = afterId === null ? -1 : others.findIndex(page => page.id === afterId);
+  const before = index >= 0 ? others[index].position : '';
+  const next = others[index + 1];
+  return positionBetween(before, next ? next.position : null);
+};
+
+// The server's copy of a page this client duplicated, keeping what this client has changed in
+// its own copy since: items it added or edited (new objects) win, items it removed stay gone,
+// and items it left alone take the server's version, as its source may have been out of date.
+const mergeItems = (serverItems = [], localItems = [], copiedItems = [], key) => {
+  const copied = new Set(copiedItems);
+  const copiedKeys = new Set(copiedItems.map(item => item[key]));
+  const local = new Map(localItems.map(item => [item[key], item]));
+  const serverKeys = new Set(serverItems.map(item => item[key]));
+  return [
+    ...serverItems.flatMap(item => {
+      const mine = local.get(item[key]);
+      if (!mine) return copiedKeys.has(item[key]) ? [] : [item];
+      return [copied.has(mine) ? item : mine];
+    }),
+    ...localItems.filter(item => !serverKeys.has(item[key]) && !copiedKeys.has(item[key]))
+  ];
+};
+
+const mergeCopy = ({ copiedFrom, ...local }, page) => ({
+  ...local,
+  position: page.position,
+  title: page.title,
+  background: local.background === copiedFrom.background ? page.background : local.background,
+  layers: mergeItems(page.layers, local.layers, copiedFrom.layers, 'id'),
+  strokes: mergeItems(page.strokes, local.strokes, copiedFrom.strokes, 'strokeId')
+});
+
+// The server echoes every operation back, including this client's own, so each one has
+// to be safe to apply twice. Strokes already on a page are never replaced by an insert, and a
+// duplicated page arrives whole, like a new one; the echo of this client's own duplicate
+// brings the server's copy in.
+export const applyPageOperation = (pages, type, operation) => {
+  switch (type) {
+    case 'addPage':
+    case 'duplicatePage': {
+      const { page } = operation;
+      const existing = pages.find(p => p.id === page.id);
+      if (existing?.copiedFrom) return sortPages(pages.map(p => p === existing ? mergeCopy(existing, page) : p));
+      return sortPages(existing ?
+        pages.map(p => p.id === page.id ? { ...p, position: page.position, title: page.title } : p) :
+        [...pages, { ...page, strokes: page.strokes || [] }]);
+    }
+    // A page restored from version history replaces the local copy whole, strokes and all
+    case 'restorePage': {
+      const { page } = operation;
+      return sortPages([...pages.filter(p => p.id !== page.id), page]);
+    }
+    case 'removePage':
+      return pages.filter(page => page.id !== operation.pageId);
+    case 'movePage':
+      return sortPages(pages.map(page =>
+        page.id === operation.pageId ? { ...page, position: operation.position } : page
+      ));
+    // The server hands out fresh short keys, in the same order, once keys have grown long
+    case 'repositionPages': {
+      const positions = new Map(operation.positions.map(({ pageId, position }) => [pageId, position]));
+      return sortPages(pages.map(page =>
+        positions.has(page.id) ? { ...page, position: positions.get(page.id) } : page
+      ));
+    }
+    case 'renamePage':
+      return pages.map(page =>
+        page.id === operation.pageId ? { ...page, title: operation.title } : page
+      );
+    case 'setPageBackground':
+      return pages.map(page =>
+        page.id === operation.pageId ? { ...page, background: operation.background } : page
+      );
+    default:
+      return pages;
+  }
+};
+
+export const pageLabel = (page, index) => page.title || `Page ${index + 1}`;
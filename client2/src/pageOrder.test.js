@@ -0,0 +1,107 @@
+import { positionBetween, positionAfter, applyPageOperation, pageLabel } from './pageOrder';
+
+const pages = [
+  { id: 'p1', position: 'a', title: '', strokes: [] },
+  { id: 'p2', position: 'b', title: 'Notes', strokes: [] }
+];
+const ids = list => list.map(page => page.id);
+
+test('a new position sorts between its neighbours', () => {
+  const position = positionAfter(pages, 'p1');
+  expect(position > 'a' && position < 'b').toBe(true);
+  expect(positionAfter(pages, null) < 'a').toBe(true);
+  expect(positionBetween('a', 'a1')).not.toMatch(/0$/);
+});
+
+test('a page moving after its neighbour ignores its own position', () => {
+  expect(positionAfter(pages, 'p2', 'p1') > 'b').toBe(true);
+});
+
+test('an insert is safe to apply twice', () => {
+  const page = { id: 'p3', position: 'am', title: '' };
+  const once = applyPageOperation(pages, 'addPage', { page });
+  const twice = applyPageOperation(once, 'addPage', { page });
+  expect(ids(twice)).toEqual(['p1', 'p3', 'p2']);
+  expect(twice[1].strokes).toEqual([]);
+});
+
+test('an echoed insert keeps the strokes already drawn on the page', () => {
+  const drawn = [{ ...pages[0], strokes: [{ strokeId: 's1' }] }, pages[1]];
+  const result = applyPageOperation(drawn, 'addPage', { page: { id: 'p1', position: 'a', title: 'Intro' } });
+  expect(result[0]).toMatchObject({ title: 'Intro', strokes: [{ strokeId: 's1' }] });
+});
+
+test('a duplicate arrives with its strokes and is added once', () => {
+  const page = { id: 'copy', position: 'am', title: 'Page 1 (copy)', strokes: [{ strokeId: 's1' }] };
+  const once = applyPageOperation(pages, 'duplicatePage', { page });
+  const twice = applyPageOperation(once, 'duplicatePage', { page });
+  expect(ids(twice)).toEqual(['p1', 'copy', 'p2']);
+  expect(twice[1].strokes).toEqual([{ strokeId: 's1' }]);
+});
+
+test("the echo of this client's duplicate corrects a copy made from an out-of-date page", () => {
+  const kept = { strokeId: 'kept' };
+  const moved = { strokeId: 'moved' };
+  const erased = { strokeId: 'erased' };
+  const layer = { id: 'l1', name: 'Layer 1' };
+  const source = { ...pages[0], layers: [layer], strokes: [kept, moved, erased, { strokeId: 'stale' }] };
+  // Drawn, moved and erased on the copy before the echo came back
+  const copy = {
+    ...source,
+    id: 'copy',
+    position: 'am',
+    copiedFrom: source,
+    strokes: [kept, { strokeId: 'moved', x: 5 }, { strokeId: 'stale' }, { strokeId: 'new' }]
+  };
+  const page = {
+    id: 'copy',
+    position: 'an',
+    title: '',
+    layers: [{ id: 'l1', name: 'Renamed' }],
+    strokes: [{ strokeId: 'kept', x: 1 }, { strokeId: 'moved' }, { strokeId: 'erased' }, { strokeId: 'since' }]
+  };
+
+  const [, result] = applyPageOperation([pages[0], copy, pages[1]], 'duplicatePage', { page });
+  expect(result.strokes.map(stroke => stroke.strokeId)).toEqual(['kept', 'moved', 'since', 'new']);
+  expect(result.strokes[0]).toEqual({ strokeId: 'kept', x: 1 });
+  expect(result.strokes[1]).toEqual({ strokeId: 'moved', x: 5 });
+  expect(result.layers).toEqual([{ id: 'l1', name: 'Renamed' }]);
+  expect(result.position).toBe('an');
+  expect(result).not.toHaveProperty('copiedFrom');
+});
+
+test('a restored page replaces the local copy whole, or comes back if it was removed', () => {
+  const drawn = [{ ...pages[0], strokes: [{ strokeId: 'since' }] }, pages[1]];
+  const page = { id: 'p1', position: 'a', title: 'Intro', strokes: [{ strokeId: 'before' }] };
+  expect(applyPageOperation(drawn, 'restorePage', { page })[0]).toEqual(page);
+  const readded = applyPageOperation([pages[1]], 'restorePage', { page: { ...page, position: 'c' } });
+  expect(ids(readded)).toEqual(['p2', 'p1']);
+});
+
+test('moves, renames and removals apply by page ID', () => {
+  expect(ids(applyPageOperation(pages, 'movePage', { pageId: 'p1', position: 'c' }))).toEqual(['p2', 'p1']);
+  expect(applyPageOperation(pages, 'renamePage', { pageId: 'p1', title: 'Intro' })[0].title).toBe('Intro');
+  expect(ids(applyPageOperation(pages, 'removePage', { pageId: 'p2' }))).toEqual(['p1']);
+});
+
+test('a background change applies to its page only', () => {
+  const background = { type: 'grid', spacing: 20 };
+  const result = applyPageOperation(pages, 'setPageBackground', { pageId: 'p2', background });
+  expect(result[1].background).toEqual(background);
+  expect(result[0]).toBe(pages[0]);
+});
+
+test('rebalanced positions are applied by page ID', () => {
+  const repositioned = applyPageOperation(pages, 'repositionPages', {
+    positions: [{ pageId: 'p1', position: 'i' }, { pageId: 'p2', position: 'r' }]
+  });
+  expect(repositioned.map(page => page.position)).toEqual(['i', 'r']);
+});
+
+test('unknown operations leave the list alone', () => {
+  expect(applyPageOperation(pages, 'explode', {})).toBe(pages);
+});
+
+test('untitled pages are labelled by their place', () => {
+  expect(pages.map(pageLabel)).toEqual(['Page 1', 'Notes']);
+});
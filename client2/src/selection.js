@@ -0,0 +1,139 @@
+import { getTextBounds, transformPoint, invertTransform } from './strokes';
+
+// Geometry for the select tool. Strokes are hit-tested against their outline, worked out in
+// the stroke's own coordinates so transformed strokes need no special handling.
+
+const ELLIPSE_SEGMENTS = 32;
+const CLOSED_TYPES = ['rectangle', 'ellipse', 'polygon', 'text'];
+
+// Eraser strokes only make sense where they were drawn, so they are never picked up
+const isSelectable = (stroke) => (
+  stroke.compositeOperation !== 'destination-out' &&
+  !(stroke.type === 'text' && !stroke.text)
+);
+
+const outline = (stroke) => {
+  const { type, points } = stroke;
+  const [start, end] = points;
+  switch (type) {
+    case 'rectangle':
+      return [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }, start];
+    case 'ellipse': {
+      const cx = (start.x + end.x) / 2;
+      const cy = (start.y + end.y) / 2;
+      const rx = Math.abs(end.x - start.x) / 2;
+      const ry = Math.abs(end.y - start.y) / 2;
+      return Array.from({ length: ELLIPSE_SEGMENTS + 1 }, (_, i) => {
+        const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+        return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+      });
+    }
+    case 'polygon':
+      return [...points, start];
+    case 'text': {
+      const box = getTextBounds(stroke);
+      return [
+        { x: box.minX, y: box.minY },
+        { x: box.maxX, y: box.minY },
+        { x: box.maxX, y: box.maxY },
+        { x: box.minX, y: box.maxY },
+        { x: box.minX, y: box.minY }
+      ];
+    }
+    default: // freehand, line and arrow
+      return points;
+  }
+};
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const isInsidePolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// A fill's outlines, one array per ring; inside means inside an odd number of them
+const isInsideFill = (point, { points, rings }) => {
+  let start = 0;
+  return rings.filter(size => {
+    start += size;
+    return isInsidePolygon(point, points.slice(start - size, start));
+  }).length % 2 === 1;
+};
+
+const isHit = (stroke, point, tolerance) => {
+  let local = point;
+  let reach = tolerance;
+  if (stroke.transform) {
+    local = transformPoint(invertTransform(stroke.transform), point);
+    const [a, b, c, d] = stroke.transform;
+    reach = tolerance / Math.sqrt(Math.abs(a * d - b * c));
+  }
+  reach += (stroke.lineWidth || 0) / 2;
+  if (stroke.type === 'fill') return isInsideFill(local, stroke);
+
+  const path = outline(stroke);
+  const filled = stroke.type === 'text' || (stroke.fill && CLOSED_TYPES.includes(stroke.type));
+  if (filled && isInsidePolygon(local, path)) return true;
+  if (path.length === 1) return Math.hypot(local.x - path[0].x, local.y - path[0].y) <= reach;
+  return path.some((p, i) => i > 0 && distanceToSegment(local, path[i - 1], p) <= reach);
+};
+
+// The topmost stroke within `tolerance` world units of `point`, or null
+export const hitTest = (strokes, point, tolerance) => {
+  for (let i = strokes.length - 1; i >= 0; i--) {
+    if (isSelectable(strokes[i]) && isHit(strokes[i], point, tolerance)) return strokes[i];
+  }
+  return null;
+};
+
+// Strokes that lie entirely inside the lasso
+export const lassoSelect = (strokes, lasso) => strokes.filter(stroke => {
+  if (!isSelectable(stroke)) return false;
+  return outline(stroke).every(point =>
+    isInsidePolygon(stroke.transform ? transformPoint(stroke.transform, point) : point, lasso)
+  );
+});
+
+// Moves strokes to the top ('front') or bottom ('back'), keeping their relative order.
+// Mirrors reorderStrokes in server/strokeLog.js.
+export const moveToEdge = (strokes, strokeIds, to) => {
+  const moving = strokes.filter(stroke => strokeIds.includes(stroke.strokeId));
+  const others = strokes.filter(stroke => !strokeIds.includes(stroke.strokeId));
+  return to === 'front' ? [...others, ...moving] : [...moving, ...others];
+};
+
+// Swaps strokes for their replacements, which go at `indices` or else where the first replaced
+// stroke was. Replacements already present are skipped. Mirrors replaceStrokes in server/strokeLog.js.
+export const replaceStrokes = (strokes, strokeIds, replacements, indices) => {
+  const first = strokes.findIndex(stroke => strokeIds.includes(stroke.strokeId));
+  const result = strokes.filter(stroke => !strokeIds.includes(stroke.strokeId));
+  replacements.forEach((stroke, i) => {
+    if (result.some(s => s.strokeId === stroke.strokeId)) return;
+    const at = indices ? indices[i] : first === -1 ? result.length : first + i;
+    result.splice(at, 0, stroke);
+  });
+  return result;
+};
+
+// Sorts strokes into the server's order; ones it does not know yet stay at the end
+export const applyStrokeOrder = (strokes, order) => {
+  const rank = new Map(order.map((strokeId, index) => [strokeId, index]));
+  return [...strokes].sort((a, b) =>
+    (rank.get(a.strokeId) ?? Infinity) - (rank.get(b.strokeId) ?? Infinity)
+  );
+};
@@ -0,0 +1,60 @@
+import { hitTest, lassoSelect, moveToEdge, replaceStrokes, applyStrokeOrder } from './selection';
+
+const line = (strokeId, fields = {}) => ({
+  strokeId, lineWidth: 2, points: [{ x: 0, y: 0 }, { x: 100, y: 0 }], ...fields
+});
+const rectangle = (strokeId, fields = {}) => ({
+  strokeId, type: 'rectangle', lineWidth: 2, points: [{ x: 0, y: 0 }, { x: 50, y: 50 }], ...fields
+});
+const ids = strokes => strokes.map(stroke => stroke.strokeId);
+
+test('the topmost stroke near the point is hit', () => {
+  const strokes = [line('under'), line('over')];
+  expect(hitTest(strokes, { x: 50, y: 3 }, 3).strokeId).toBe('over');
+  expect(hitTest(strokes, { x: 50, y: 20 }, 3)).toBeNull();
+});
+
+test('a shape is hit inside only when it is filled', () => {
+  expect(hitTest([rectangle('r')], { x: 25, y: 25 }, 3)).toBeNull();
+  expect(hitTest([rectangle('r', { fill: '#ff0000' })], { x: 25, y: 25 }, 3).strokeId).toBe('r');
+});
+
+test('eraser strokes are never picked up', () => {
+  expect(hitTest([line('e', { compositeOperation: 'destination-out' })], { x: 50, y: 0 }, 3)).toBeNull();
+});
+
+test('a transformed stroke is hit where it is drawn', () => {
+  const moved = line('m', { transform: [1, 0, 0, 1, 0, 200] });
+  expect(hitTest([moved], { x: 50, y: 0 }, 3)).toBeNull();
+  expect(hitTest([moved], { x: 50, y: 200 }, 3).strokeId).toBe('m');
+});
+
+test('a fill is hit inside its outline but not in its holes', () => {
+  const square = (min, max) => [{ x: min, y: min }, { x: max, y: min }, { x: max, y: max }, { x: min, y: max }];
+  const fill = { strokeId: 'f', type: 'fill', points: [...square(0, 100), ...square(40, 60)], rings: [4, 4] };
+  expect(hitTest([fill], { x: 20, y: 20 }, 1).strokeId).toBe('f');
+  expect(hitTest([fill], { x: 50, y: 50 }, 1)).toBeNull();
+});
+
+test('the lasso selects only strokes entirely inside it', () => {
+  const lasso = [{ x: -10, y: -10 }, { x: 60, y: -10 }, { x: 60, y: 60 }, { x: -10, y: 60 }];
+  expect(ids(lassoSelect([rectangle('inside'), line('across')], lasso))).toEqual(['inside']);
+});
+
+test('strokes move to the front or back in their relative order', () => {
+  const strokes = ['a', 'b', 'c', 'd'].map(strokeId => ({ strokeId }));
+  expect(ids(moveToEdge(strokes, ['c', 'a'], 'front'))).toEqual(['b', 'd', 'a', 'c']);
+  expect(ids(moveToEdge(strokes, ['c', 'd'], 'back'))).toEqual(['c', 'd', 'a', 'b']);
+});
+
+test('replacements go where the first replaced stroke was, or at the given indices', () => {
+  const strokes = ['a', 'b', 'c'].map(strokeId => ({ strokeId }));
+  expect(ids(replaceStrokes(strokes, ['b'], [{ strokeId: 'x' }]))).toEqual(['a', 'x', 'c']);
+  expect(ids(replaceStrokes(strokes, ['b'], [{ strokeId: 'x' }], [0]))).toEqual(['x', 'a', 'c']);
+  expect(ids(replaceStrokes(strokes, ['b'], [{ strokeId: 'a' }]))).toEqual(['a', 'c']);
+});
+
+test('strokes the server does not know yet stay at the end', () => {
+  const strokes = ['new', 'b', 'a'].map(strokeId => ({ strokeId }));
+  expect(ids(applyStrokeOrder(strokes, ['a', 'b']))).toEqual(['a', 'b', 'new']);
+});
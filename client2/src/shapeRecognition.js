@@ -0,0 +1,149 @@
+// Auto-shape: recognizes a rough freehand sketch as a line, arrow, triangle, rectangle or ellipse
+// and returns the clean shape's `type` and defining points, or null when it looks like none of
+// them. It works from the stroke's points alone, entirely on this client. Tolerances are
+// relative to the size of the sketch, so recognition works the same at any zoom.
+
+const MIN_SIZE = 12; // world units; smaller scribbles are left as they are
+const CLOSED_GAP = 0.2; // ends this close together close the sketch
+const LINE_TOLERANCE = 0.06; // how far a line may stray from straight
+const CORNER_TOLERANCE = 0.08; // how far an edge may bend before it counts as a corner
+const POLYGON_FIT = 0.04; // how far the sketch may stray from a triangle's or rectangle's edges, on average
+const ELLIPSE_FIT = 0.2;
+const AXIS_TOLERANCE = 0.2; // radians a rectangle's sides may lean and still be straightened
+const ARROW_HEAD = 0.5; // longest head, relative to the shaft
+const ARROW_BARB = 0.15; // shortest barb, relative to the shaft
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const distanceToLine = (p, a, b) => {
+  const length = distance(a, b);
+  if (!length) return distance(p, a);
+  return Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+};
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Which side of the line from a to b the point is on
+const side = (p, a, b) => Math.sign((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+
+const getBounds = (points) => ({
+  minX: Math.min(...points.map(p => p.x)),
+  minY: Math.min(...points.map(p => p.y)),
+  maxX: Math.max(...points.map(p => p.x)),
+  maxY: Math.max(...points.map(p => p.y))
+});
+
+// Ramer–Douglas–Peucker: keeps only the points the path bends at by more than `tolerance`
+const simplify = (points, tolerance) => {
+  if (points.length < 3) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  let furthest = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = distanceToLine(points[i], first, last);
+    if (d > furthest) {
+      furthest = d;
+      index = i;
+    }
+  }
+  if (furthest <= tolerance) return [first, last];
+  return [...simplify(points.slice(0, index + 1), tolerance).slice(0, -1), ...simplify(points.slice(index), tolerance)];
+};
+
+// A closed sketch rarely starts on a corner, so corners that barely bend are dropped
+const dropFlatCorners = (corners, tolerance) => {
+  const result = [...corners];
+  for (let i = 0; i < result.length && result.length > 3;) {
+    const previous = result[(i + result.length - 1) % result.length];
+    const next = result[(i + 1) % result.length];
+    if (distanceToLine(result[i], previous, next) < tolerance) {
+      result.splice(i, 1);
+      i = 0;
+    } else {
+      i++;
+    }
+  }
+  return result;
+};
+
+// Average distance from the sketch to the closed polygon through `corners`
+const polygonError = (points, corners) => points.reduce((sum, point) => sum + Math.min(
+  ...corners.map((corner, i) => distanceToSegment(point, corner, corners[(i + 1) % corners.length]))
+), 0) / points.length;
+
+// Average of |(dx / rx)² + (dy / ry)² - 1| against the ellipse filling the sketch's bounds
+const ellipseError = (points, box) => {
+  const cx = (box.minX + box.maxX) / 2;
+  const cy = (box.minY + box.maxY) / 2;
+  const rx = (box.maxX - box.minX) / 2 || 1;
+  const ry = (box.maxY - box.minY) / 2 || 1;
+  return points.reduce((sum, { x, y }) => (
+    sum + Math.abs(((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 - 1)
+  ), 0) / points.length;
+};
+
+const isAxisAligned = (corners) => corners.every((corner, i) => {
+  const next = corners[(i + 1) % corners.length];
+  const angle = Math.abs(Math.atan2(next.y - corner.y, next.x - corner.x)) % (Math.PI / 2);
+  return Math.min(angle, Math.PI / 2 - angle) < AXIS_TOLERANCE;
+});
+
+const recognizeClosed = (points, box, size) => {
+  const corners = dropFlatCorners(simplify(points, size * CORNER_TOLERANCE).slice(0, -1), size * CORNER_TOLERANCE);
+  if ((corners.length === 3 || corners.length === 4) && polygonError(points, corners) < size * POLYGON_FIT) {
+    if (corners.length === 4 && isAxisAligned(corners)) {
+      const { minX, minY, maxX, maxY } = getBounds(corners);
+      return { type: 'rectangle', points: [{ x: minX, y: minY }, { x: maxX, y: maxY }] };
+    }
+    return { type: 'polygon', points: corners };
+  }
+  if (ellipseError(points, box) < ELLIPSE_FIT) {
+    return { type: 'ellipse', points: [{ x: box.minX, y: box.minY }, { x: box.maxX, y: box.maxY }] };
+  }
+  return null;
+};
+
+// An arrow drawn in one go: the shaft, then its head as a zigzag around the tip with barbs on
+// both sides of the shaft, pointing back along it
+const isArrowHead = (tail, tip, head) => {
+  const shaft = distance(tail, tip);
+  if (head.some(point => distance(point, tip) > shaft * ARROW_HEAD)) return false;
+  const barbs = head.filter(point => distance(point, tip) > shaft * ARROW_BARB);
+  const pointsBack = barbs.every(point => (
+    (point.x - tip.x) * (tail.x - tip.x) + (point.y - tip.y) * (tail.y - tip.y) > 0
+  ));
+  const sides = new Set(barbs.map(point => side(point, tail, tip)));
+  return pointsBack && sides.has(1) && sides.has(-1);
+};
+
+const recognizeOpen = (points, size) => {
+  const start = points[0];
+  const end = points[points.length - 1];
+  if (points.every(point => distanceToLine(point, start, end) < size * LINE_TOLERANCE)) {
+    return { type: 'line', points: [start, end] };
+  }
+  const [tail, tip, ...head] = simplify(points, size * CORNER_TOLERANCE);
+  if (head.length >= 2 && isArrowHead(tail, tip, head)) {
+    return { type: 'arrow', points: [tail, tip] };
+  }
+  return null;
+};
+
+export const recognizeShape = (points) => {
+  if (!points || points.length < 3) return null;
+  const box = getBounds(points);
+  const size = Math.hypot(box.maxX - box.minX, box.maxY - box.minY);
+  if (size < MIN_SIZE) return null;
+
+  // Stylus pressure and tilt mean nothing to a clean shape
+  const plain = points.map(({ x, y }) => ({ x, y }));
+  const isClosed = distance(plain[0], plain[plain.length - 1]) < size * CLOSED_GAP;
+  return isClosed ? recognizeClosed(plain, box, size) : recognizeOpen(plain, size);
+};
@@ -0,0 +1,56 @@
+import { recognizeShape } from './shapeRecognition';
+
+// Points along straight segments through `corners`, `step` world units apart
+const sketch = (corners, step = 2) => corners.slice(1).flatMap((end, i) => {
+  const start = corners[i];
+  const count = Math.max(Math.ceil(Math.hypot(end.x - start.x, end.y - start.y) / step), 1);
+  return Array.from({ length: count }, (_, j) => ({
+    x: start.x + ((end.x - start.x) * j) / count,
+    y: start.y + ((end.y - start.y) * j) / count
+  }));
+}).concat(corners[corners.length - 1]);
+
+test('a straight stroke becomes a line between its ends', () => {
+  const points = sketch([{ x: 0, y: 0 }, { x: 100, y: 50 }]);
+  expect(recognizeShape(points)).toEqual({ type: 'line', points: [{ x: 0, y: 0 }, { x: 100, y: 50 }] });
+});
+
+test('a shaft with a head drawn at its tip becomes an arrow', () => {
+  const points = sketch([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 85, y: -12 }, { x: 100, y: 0 }, { x: 85, y: 12 }]);
+  expect(recognizeShape(points)).toEqual({ type: 'arrow', points: [{ x: 0, y: 0 }, { x: 100, y: 0 }] });
+});
+
+test('a closed axis-aligned box becomes a rectangle', () => {
+  const points = sketch([{ x: 0, y: 0 }, { x: 120, y: 0 }, { x: 120, y: 80 }, { x: 0, y: 80 }, { x: 0, y: 0 }]);
+  expect(recognizeShape(points)).toEqual({ type: 'rectangle', points: [{ x: 0, y: 0 }, { x: 120, y: 80 }] });
+});
+
+test('a closed three-cornered sketch becomes a polygon', () => {
+  const points = sketch([{ x: 0, y: 100 }, { x: 50, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]);
+  const shape = recognizeShape(points);
+  expect(shape.type).toBe('polygon');
+  expect(shape.points).toHaveLength(3);
+});
+
+test('a closed round sketch becomes an ellipse in its bounding box', () => {
+  const points = Array.from({ length: 61 }, (_, i) => {
+    const angle = (i / 60) * Math.PI * 2;
+    return { x: 50 + 50 * Math.cos(angle), y: 30 + 30 * Math.sin(angle) };
+  });
+  const shape = recognizeShape(points);
+  expect(shape.type).toBe('ellipse');
+  expect(shape.points[0].x).toBeCloseTo(0);
+  expect(shape.points[1].y).toBeCloseTo(60);
+});
+
+test('scribbles and specks are left alone', () => {
+  const zigzag = sketch([{ x: 0, y: 0 }, { x: 30, y: 40 }, { x: 60, y: 0 }, { x: 90, y: 40 }, { x: 120, y: 0 }]);
+  expect(recognizeShape(zigzag)).toBeNull();
+  expect(recognizeShape(sketch([{ x: 0, y: 0 }, { x: 5, y: 5 }]))).toBeNull();
+  expect(recognizeShape([{ x: 0, y: 0 }])).toBeNull();
+});
+
+test('stylus pressure does not end up on the shape', () => {
+  const points = sketch([{ x: 0, y: 0 }, { x: 100, y: 0 }]).map(point => ({ ...point, p: 0.5 }));
+  expect(recognizeShape(points).points[0]).toEqual({ x: 0, y: 0 });
+});
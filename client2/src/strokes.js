@@ -0,0 +1,269 @@
+import { drawInk, isHighlighter, pointWidth } from './ink';
+
+// Strokes are replayed from the page's log, so every client renders the same list the same way.
+// Freehand strokes have no `type`; shapes carry one and keep their defining points (two
+// corners or ends, or a polygon's vertices) rather than pixels, so they render sharp at any zoom.
+// Text boxes are `type: 'text'` with their anchor as the only point. Anything moved, scaled or
+// rotated with the select tool carries a `transform` matrix [a, b, c, d, e, f] applied on top.
+// Points drawn with a stylus also carry its pressure `p` (0 to 1) and tilt `t` (degrees from upright).
+// Freehand strokes are rendered as smoothed, variable-width ink by ink.js.
+// Flood fills are `type: 'fill'`: the outlines of the filled region, one after another in
+// `points`, with `rings` holding how many points each outline has (see floodFill.js).
+export const SHAPE_TYPES = ['rectangle', 'ellipse', 'line', 'arrow', 'polygon'];
+export const FILLABLE_SHAPES = ['rectangle', 'ellipse', 'polygon'];
+export const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+export const TEXT_LINE_HEIGHT = 1.25;
+
+export const textFont = ({ fontSize, bold, italic }) =>
+  `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${fontSize}px sans-serif`;
+
+// An estimate from the character count, so bounds can be worked out without a canvas
+export const getTextBounds = ({ text, fontSize, align, points }) => {
+  const lines = text.split('\n');
+  const width = Math.max(...lines.map(line => line.length), 1) * fontSize * 0.6;
+  const height = lines.length * fontSize * TEXT_LINE_HEIGHT;
+  const { x, y } = points[0];
+  const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+  return { minX: left, minY: y, maxX: left + width, maxY: y + height };
+};
+
+const dashPattern = (dash, lineWidth) => {
+  if (dash === 'dashed') return [lineWidth * 4, lineWidth * 3];
+  // Zero-length dashes with round caps come out as dots
+  if (dash === 'dotted') return [0, lineWidth * 2.5];
+  return [];
+};
+
+const applyStrokeStyle = (ctx, stroke) => {
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth = stroke.lineWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  // A highlighter's 'multiply' is applied to the whole highlight pass; within it, overlapping
+  // highlights keep the darker colour rather than building up
+  ctx.globalCompositeOperation = isHighlighter(stroke) ? 'darken' : stroke.compositeOperation || 'source-over';
+  ctx.setLineDash(dashPattern(stroke.dash, stroke.lineWidth));
+};
+
+const traceShape = (ctx, { type, points }) => {
+  const [start, end] = points;
+  switch (type) {
+    case 'rectangle':
+      ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+      break;
+    case 'ellipse':
+      ctx.ellipse(
+        (start.x + end.x) / 2,
+        (start.y + end.y) / 2,
+        Math.abs(end.x - start.x) / 2,
+        Math.abs(end.y - start.y) / 2,
+        0, 0, Math.PI * 2
+      );
+      break;
+    case 'polygon':
+      ctx.moveTo(start.x, start.y);
+      points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+      ctx.closePath();
+      break;
+    default: // line and arrow
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+  }
+};
+
+// The head is drawn solid even on a dashed arrow so it stays recognisable
+const traceArrowHead = (ctx, { points, lineWidth }) => {
+  const [start, end] = points;
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const length = Math.max(10, lineWidth * 4);
+  ctx.moveTo(end.x - length * Math.cos(angle - Math.PI / 7), end.y - length * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(end.x, end.y);
+  ctx.lineTo(end.x - length * Math.cos(angle + Math.PI / 7), end.y - length * Math.sin(angle + Math.PI / 7));
+};
+
+const drawShape = (ctx, stroke) => {
+  if (stroke.points.length < 2) return;
+  ctx.beginPath();
+  traceShape(ctx, stroke);
+  if (stroke.fill && FILLABLE_SHAPES.includes(stroke.type)) {
+    ctx.fillStyle = stroke.fill;
+    ctx.fill();
+  }
+  ctx.stroke();
+
+  if (stroke.type === 'arrow') {
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    traceArrowHead(ctx, stroke);
+    ctx.stroke();
+  }
+};
+
+// Holes are outlines too, so the even-odd rule leaves them empty. The fill's composite
+// operation paints it under whatever its layer already shows.
+const drawFill = (ctx, { color, points, rings }) => {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  let start = 0;
+  rings.forEach(size => {
+    points.slice(start, start + size).forEach((point, i) => (
+      i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)
+    ));
+    ctx.closePath();
+    start += size;
+  });
+  ctx.fill('evenodd');
+};
+
+const drawText = (ctx, stroke) => {
+  const { text, fontSize, color, align, points } = stroke;
+  ctx.font = textFont(stroke);
+  ctx.fillStyle = color;
+  ctx.textAlign = align || 'left';
+  ctx.textBaseline = 'top';
+  text.split('\n').forEach((line, index) => {
+    ctx.fillText(line, points[0].x, points[0].y + index * fontSize * TEXT_LINE_HEIGHT);
+  });
+};
+
+export const IDENTITY_TRANSFORM = [1, 0, 0, 1, 0, 0];
+
+// The matrix that applies `second` after `first`
+export const multiplyTransforms = (second, first) => {
+  const [a1, b1, c1, d1, e1, f1] = second;
+  const [a2, b2, c2, d2, e2, f2] = first;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+};
+
+export const transformPoint = ([a, b, c, d, e, f], { x, y }) => ({
+  x: a * x + c * y + e,
+  y: b * x + d * y + f
+});
+
+export const invertTransform = ([a, b, c, d, e, f]) => {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+export const drawStroke = (ctx, stroke) => {
+  const { points } = stroke;
+  if (!points?.length) return;
+
+  ctx.save();
+  if (stroke.transform) ctx.transform(...stroke.transform);
+  applyStrokeStyle(ctx, stroke);
+  if (stroke.type === 'text') {
+    drawText(ctx, stroke);
+  } else if (stroke.type === 'fill') {
+    drawFill(ctx, stroke);
+  } else if (SHAPE_TYPES.includes(stroke.type)) {
+    drawShape(ctx, stroke);
+  } else {
+    drawInk(ctx, stroke);
+  }
+  ctx.restore();
+};
+
+// Pages are unbounded; a view maps world coordinates to the screen as (world - {x, y}) * scale
+export const DEFAULT_VIEW = { x: 0, y: 0, scale: 1 };
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 10;
+
+// The area a new page opens on, which was the whole page before pages were unbounded
+export const HOME_BOUNDS = { minX: 0, minY: 0, maxX: 640, maxY: 480 };
+
+export const clampZoom = (scale) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+
+export const applyView = (ctx, view, pixelRatio = 1) => {
+  const scale = view.scale * pixelRatio;
+  ctx.setTransform(scale, 0, 0, scale, -view.x * scale, -view.y * scale);
+};
+
+const unionBounds = (a, b) => (a ? {
+  minX: Math.min(a.minX, b.minX),
+  minY: Math.min(a.minY, b.minY),
+  maxX: Math.max(a.maxX, b.maxX),
+  maxY: Math.max(a.maxY, b.maxY)
+} : b);
+
+// Box around every point, widened by half the line width there, before any transform
+const getLocalBounds = (stroke) => {
+  if (stroke.type === 'text') return stroke.text ? getTextBounds(stroke) : null;
+  return (stroke.points || []).reduce((box, point) => {
+    const margin = (pointWidth(stroke, point) || 0) / 2;
+    return unionBounds(box, {
+      minX: point.x - margin,
+      minY: point.y - margin,
+      maxX: point.x + margin,
+      maxY: point.y + margin
+    });
+  }, null);
+};
+
+// World-space box around a stroke; null when there is nothing to bound
+export const getStrokeBounds = (stroke) => {
+  const box = getLocalBounds(stroke);
+  if (!box || !stroke.transform) return box;
+  const corners = [
+    { x: box.minX, y: box.minY },
+    { x: box.maxX, y: box.minY },
+    { x: box.minX, y: box.maxY },
+    { x: box.maxX, y: box.maxY }
+  ].map(corner => transformPoint(stroke.transform, corner));
+  return {
+    minX: Math.min(...corners.map(p => p.x)),
+    minY: Math.min(...corners.map(p => p.y)),
+    maxX: Math.max(...corners.map(p => p.x)),
+    maxY: Math.max(...corners.map(p => p.y))
+  };
+};
+
+export const getStrokesBounds = (strokes) => strokes.reduce((bounds, stroke) => {
+  const box = getStrokeBounds(stroke);
+  return box ? unionBounds(bounds, box) : bounds;
+}, null);
+
+// For fixed-size renders (previews, playback, PDF): the home area plus anything drawn outside it
+export const getPageBounds = (strokes) => unionBounds(getStrokesBounds(strokes), HOME_BOUNDS);
+
+// View that centres `bounds` in a width x height viewport, leaving `padding` screen pixels around it.
+// The scale is not clamped, so offscreen renders always fit.
+export const fitView = (bounds, width, height, padding = 0) => {
+  const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1);
+  const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1);
+  const scale = Math.min(
+    Math.max(width - padding * 2, 1) / boundsWidth,
+    Math.max(height - padding * 2, 1) / boundsHeight
+  );
+  return {
+    x: (bounds.minX + bounds.maxX) / 2 - width / scale / 2,
+    y: (bounds.minY + bounds.maxY) / 2 - height / scale / 2,
+    scale
+  };
+};
+
+// World area a width x height viewport shows through `view`
+export const viewBounds = (view, width, height) => ({
+  minX: view.x,
+  minY: view.y,
+  maxX: view.x + width / view.scale,
+  maxY: view.y + height / view.scale
+});
+
+// Zooms by `factor` while keeping the world point under the screen point (sx, sy) in place
+export const zoomView = (view, factor, sx, sy) => {
+  const scale = clampZoom(view.scale * factor);
+  return {
+    x: view.x + sx / view.scale - sx / scale,
+    y: view.y + sy / view.scale - sy / scale,
+    scale
+  };
+};
@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Accounts and sessions are small, so both backends keep a single document:
+//   load() -> { users: [], sessions: [] }, save(data)
+
+const emptyData = () => ({ users: [], sessions: [] });
+
+const createMemoryStore = () => {
+  let data = JSON.stringify(emptyData());
+
+  return {
+    async load() {
+      return JSON.parse(data);
+    },
+    async save(next) {
+      data = JSON.stringify(next);
+    }
+  };
+};
+
+const createFileStore = ({ dir }) => {
+  const file = path.join(dir, 'accounts.json');
+  let pendingWrite = Promise.resolve();
+
+  return {
+    async load() {
+      try {
+        return { ...emptyData(), ...JSON.parse(await fs.readFile(file, 'utf8')) };
+      } catch (error) {
+        if (error.code === 'ENOENT') return emptyData();
+        throw error;
+      }
+    },
+    save(data) {
+      const json = JSON.stringify(data);
+      pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, json);
+        await fs.rename(tmpFile, file);
+      });
+      return pendingWrite;
+    }
+  };
+};
+
+const createAccountStore = ({ type = 'file', dir } = {}) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ dir: dir || path.join(__dirname, 'data', 'accounts') });
+    default:
+      throw new Error(`Unknown account store type: ${type}`);
+  }
+};
+
+module.exports = { createAccountStore };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// AI providers share one async interface so the model behind "solve with AI" can be swapped by config:
+//   name, analyze({ prompt, context, image: { data, mimeType }, signal }) -> answer text
+// `context` is extra lines for the model (typed page text, the background); `image` is base64.
+// No provider at all is fine too: the board works as before, only AI answers are off.
+
+const SYSTEM_PROMPT = 'You are a patient math tutor. Analyze handwritten problems carefully. ' +
+  'Look for numbers, symbols, and equations. If unsure, make reasonable ' +
+  'assumptions and state them. Present solutions step-by-step with clear explanations.';
+const MAX_OUTPUT_TOKENS = 1500;
+const TEMPERATURE = 0.4;
+
+// The SDK is only loaded when Gemini is chosen, so other providers work without it installed
+const createGeminiProvider = ({ apiKey, model = 'gemini-1.5-flash' }) => {
+  if (!apiKey) throw new Error('Gemini needs GEMINI_API_KEY');
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: {
+      maxOutputTokens: MAX_OUTPUT_TOKENS,
+      temperature: TEMPERATURE
+    },
+    systemInstruction: { parts: [{ text: SYSTEM_PROMPT }] }
+  });
+
+  return {
+    name: `gemini (${model})`,
+    async analyze({ prompt, context, image, signal }) {
+      const result = await generativeModel.generateContent(
+        [prompt, ...context, { inlineData: image }],
+        { signal }
+      );
+      const response = await result.response;
+      return response.text();
+    }
+  };
+};
+
+// Any server speaking the OpenAI chat completions API with image input, e.g. a local model
+// server; `baseUrl` is everything before /chat/completions
+const createOpenAIProvider = ({ baseUrl, apiKey, model }) => {
+  if (!baseUrl || !model) throw new Error('The OpenAI-compatible provider needs AI_BASE_URL and AI_MODEL');
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: `openai (${model} at ${baseUrl})`,
+    async analyze({ prompt, context, image, signal }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: MAX_OUTPUT_TOKENS,
+          temperature: TEMPERATURE,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            {
+              role: 'user',
+              content: [
+                ...[prompt, ...context].map(text => ({ type: 'text', text })),
+                { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+              ]
+            }
+          ]
+        }),
+        signal
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(body.error?.message || `AI server answered ${response.status}`);
+      const text = body.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') throw new Error('AI server sent no answer');
+      return text;
+    }
+  };
+};
+
+// Answers from the request alone, the same way every time, without any network: for offline
+// development and for testing the AI flow end to end
+const createMockProvider = () => ({
+  name: 'mock',
+  async analyze({ prompt, context, image }) {
+    const digest = crypto.createHash('sha256').update(image.data).digest('hex').slice(0, 8);
+    const size = Buffer.byteLength(image.data, 'base64');
+    return [
+      `**Mock answer** to: ${prompt}`,
+      `The drawing is ${size} bytes of ${image.mimeType} (fingerprint ${digest}).`,
+      ...context.map(line => `Context: ${line}`),
+      'Step 1: read the problem. Step 2: solve it. Answer: \\boxed{42}'
+    ].join('\n');
+  }
+});
+
+// Without a type, Gemini is used when its key is set and otherwise there is no provider.
+// Returns null for no provider; throws when the chosen one cannot be set up.
+const createAIProvider = ({ type, model, apiKey, baseUrl, geminiApiKey } = {}) => {
+  switch (type || (geminiApiKey ? 'gemini' : 'none')) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: geminiApiKey, model });
+    case 'openai':
+      return createOpenAIProvider({ baseUrl, apiKey, model });
+    case 'mock':
+      return createMockProvider();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown AI provider type: ${type}`);
+  }
+};
+
+module.exports = { createAIProvider };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAIProvider } = require('./aiProviders');
+
+const image = { data: Buffer.from('png bytes').toString('base64'), mimeType: 'image/png' };
+
+test('there is no provider unless one is chosen or a Gemini key is set', () => {
+  assert.equal(createAIProvider(), null);
+  assert.equal(createAIProvider({ type: 'none', geminiApiKey: 'key' }), null);
+});
+
+test('an unknown or incomplete provider fails to set up', () => {
+  assert.throws(() => createAIProvider({ type: 'gpt' }), /Unknown AI provider type: gpt/);
+  assert.throws(() => createAIProvider({ type: 'openai', model: 'llava' }), /AI_BASE_URL/);
+  assert.throws(() => createAIProvider({ type: 'gemini' }), /GEMINI_API_KEY/);
+});
+
+test('the mock provider answers the same request the same way', async () => {
+  const provider = createAIProvider({ type: 'mock' });
+  const request = { prompt: 'Solve it', context: ['Page text: x + 1 = 2'], image };
+  const answer = await provider.analyze(request);
+  assert.match(answer, /Mock answer\*\* to: Solve it/);
+  assert.match(answer, /Context: Page text: x \+ 1 = 2/);
+  assert.equal(await provider.analyze(request), answer);
+});
+
+test('the OpenAI-compatible provider posts the drawing and returns the reply', async (t) => {
+  const calls = [];
+  t.mock.method(global, 'fetch', async (url, options) => {
+    calls.push({ url, body: JSON.parse(options.body), headers: options.headers });
+    return { ok: true, json: async () => ({ choices: [{ message: { content: 'x = 1' } }] }) };
+  });
+  const provider = createAIProvider({ type: 'openai', baseUrl: 'http://localhost:1234/v1/', model: 'llava' });
+
+  assert.equal(await provider.analyze({ prompt: 'Solve it', context: [], image }), 'x = 1');
+  assert.equal(calls[0].url, 'http://localhost:1234/v1/chat/completions');
+  assert.equal(calls[0].headers.Authorization, undefined);
+  assert.equal(calls[0].body.model, 'llava');
+  assert.equal(calls[0].body.messages[1].content[1].image_url.url, `data:image/png;base64,${image.data}`);
+});
+
+test('errors from the OpenAI-compatible server are passed on', async (t) => {
+  t.mock.method(global, 'fetch', async () => ({
+    ok: false,
+    status: 500,
+    json: async () => ({ error: { message: 'model not loaded' } })
+  }));
+  const provider = createAIProvider({ type: 'openai', baseUrl: 'http://localhost:1234/v1', model: 'llava' });
+  await assert.rejects(provider.analyze({ prompt: 'Solve it', context: [], image }), /model not loaded/);
+});
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const express = require('express');
+const cookie = require('cookie');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// Account registration, cookie sessions, and the matching socket.io handshake check.
+// Sessions live server-side (only a hash of the token is stored) so logout revokes them.
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 40;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const publicUser = ({ id, name, email }) => ({ id, name, email });
+
+const createAuth = ({ store, logger, secureCookies }) => {
+  let loading = null;
+
+  const getData = () => {
+    if (!loading) {
+      loading = store.load().catch(error => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  };
+
+  const persist = async () => store.save(await getData());
+
+  const cookieOptions = {
+    httpOnly: true,
+    // The client is served from another site in production, which needs SameSite=None
+    sameSite: secureCookies ? 'none' : 'lax',
+    secure: secureCookies,
+    path: '/'
+  };
+
+  // Drops expired sessions; returns whether there were any
+  const pruneSessions = (data) => {
+    const now = Date.now();
+    const live = data.sessions.filter(s => s.expiresAt > now);
+    if (live.length === data.sessions.length) return false;
+    data.sessions = live;
+    return true;
+  };
+
+  const findUserByToken = async (token) => {
+    if (!token) return null;
+    const data = await getData();
+    if (pruneSessions(data)) await persist();
+    const session = data.sessions.find(s => s.tokenHash === hashToken(token));
+    if (!session) return null;
+    return data.users.find(u => u.id === session.userId) || null;
+  };
+
+  const userFromCookieHeader = (header) => findUserByToken(cookie.parse(header || '')[SESSION_COOKIE]);
+
+  const router = express.Router();
+
+  router.post('/register', async (req, res, next) => {
+    try {
+      const name = String(req.body?.name || '').trim().substring(0, MAX_NAME_LENGTH);
+      const email = normalizeEmail(req.body?.email);
+      const password = String(req.body?.password || '');
+
+      if (!name) return res.status(400).json({ error: 'Name is required' });
+      if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: 'Invalid email address' });
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const data = await getData();
+      const isTaken = () => data.users.some(u => u.email === email);
+      const conflict = () => res.status(409).json({ error: 'An account with this email already exists' });
+      if (isTaken()) return conflict();
+
+      const passwordHash = await hashPassword(password);
+      // Checked again: another registration for the same email may have landed while hashing
+      if (isTaken()) return conflict();
+
+      const user = { id: crypto.randomUUID(), name, email, passwordHash, createdAt: Date.now() };
+      data.users.push(user);
+      await persist();
+
+      logger.info(`Account registered: ${user.id}`);
+      res.status(201).json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/login', async (req, res, next) => {
+    try {
+      const email = normalizeEmail(req.body?.email);
+      const password = String(req.body?.password || '');
+      const data = await getData();
+      const user = data.users.find(u => u.email === email);
+
+      if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      pruneSessions(data);
+      data.sessions.push({ tokenHash: hashToken(token), userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS });
+      await persist();
+
+      res.cookie(SESSION_COOKIE, token, { ...cookieOptions, maxAge: SESSION_TTL_MS });
+      res.json({ user: publicUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/me', async (req, res, next) => {
+    try {
+      const user = await userFromCookieHeader(req.headers.cookie);
+      if (!user) return res.status(401).json({ error: 'Not authenticated' });
+      res.json(publicUser(user));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/logout', async (req, res, next) => {
+    try {
+      const token = cookie.parse(req.headers.cookie || '')[SESSION_COOKIE];
+      if (token) {
+        const data = await getData();
+        data.sessions = data.sessions.filter(s => s.tokenHash !== hashToken(token));
+        await persist();
+      }
+      res.clearCookie(SESSION_COOKIE, cookieOptions);
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const requireAuth = async (req, res, next) => {
+    try {
+      const user = await userFromCookieHeader(req.headers.cookie);
+      if (!user) return res.status(401).json({ error: 'Authentication required' });
+      req.user = publicUser(user);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Attaches the account to socket.data.user; connections without a session are refused
+  const socketMiddleware = async (socket, next) => {
+    try {
+      const user = await userFromCookieHeader(socket.handshake.headers.cookie);
+      if (!user) return next(new Error('Authentication required'));
+      socket.data.user = publicUser(user);
+      next();
+    } catch (error) {
+      logger.error(`Socket authentication failed: ${error.message}`);
+      next(new Error('Authentication failed'));
+    }
+  };
+
+  return { router, requireAuth, socketMiddleware };
+};
+
+module.exports = { createAuth };
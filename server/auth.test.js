@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { createAccountStore } = require('./accountStore');
+const { createAuth } = require('./auth');
+
+const silentLogger = { info: () => {}, error: () => {} };
+
+// Serves the auth routes on a free port; `post` and `get` send the cookie from the last login
+const startAuth = async (t, store = createAccountStore({ type: 'memory' })) => {
+  const auth = createAuth({ store, logger: silentLogger, secureCookies: false });
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', auth.router);
+  app.get('/private', auth.requireAuth, (req, res) => res.json(req.user));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const base = `http://localhost:${server.address().port}`;
+  const client = { auth, cookie: '' };
+  const send = async (method, route, body) => {
+    const res = await fetch(`${base}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', cookie: client.cookie },
+      body: body && JSON.stringify(body)
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) client.cookie = setCookie.split(';')[0];
+    return { status: res.status, body: await res.json() };
+  };
+  client.post = (route, body) => send('POST', route, body);
+  client.get = (route) => send('GET', route);
+  return client;
+};
+
+const ada = { name: 'Ada', email: 'Ada@Example.com ', password: 'analytical' };
+
+test('registering checks its fields and refuses a second account per email', async (t) => {
+  const client = await startAuth(t);
+  assert.equal((await client.post('/api/auth/register', { ...ada, name: ' ' })).status, 400);
+  assert.equal((await client.post('/api/auth/register', { ...ada, email: 'ada' })).status, 400);
+  assert.equal((await client.post('/api/auth/register', { ...ada, password: 'short' })).status, 400);
+
+  const created = await client.post('/api/auth/register', ada);
+  assert.equal(created.status, 201);
+  assert.deepEqual(Object.keys(created.body.user).sort(), ['email', 'id', 'name']);
+  assert.equal(created.body.user.email, 'ada@example.com');
+  assert.equal((await client.post('/api/auth/register', { ...ada, email: 'ADA@example.com' })).status, 409);
+});
+
+test('registrations racing for one email create one account', async (t) => {
+  const store = createAccountStore({ type: 'memory' });
+  const client = await startAuth(t, store);
+  const results = await Promise.all([1, 2, 3].map(() => client.post('/api/auth/register', ada)));
+  assert.deepEqual(results.map(({ status }) => status).sort(), [201, 409, 409]);
+  assert.equal((await store.load()).users.length, 1);
+});
+
+test('logging in starts a session that me and logout see', async (t) => {
+  const client = await startAuth(t);
+  await client.post('/api/auth/register', ada);
+  assert.equal((await client.post('/api/auth/login', { ...ada, password: 'wrong-password' })).status, 401);
+  assert.equal((await client.post('/api/auth/login', { ...ada, email: 'nobody@example.com' })).status, 401);
+  assert.equal((await client.get('/api/auth/me')).status, 401);
+
+  assert.equal((await client.post('/api/auth/login', ada)).status, 200);
+  assert.equal((await client.get('/api/auth/me')).body.name, 'Ada');
+  assert.equal((await client.get('/private')).body.name, 'Ada');
+
+  const session = client.cookie;
+  await client.post('/api/auth/logout');
+  client.cookie = session;
+  assert.equal((await client.get('/api/auth/me')).status, 401);
+  assert.equal((await client.get('/private')).status, 401);
+});
+
+test('expired sessions are refused and pruned when looked up', async (t) => {
+  const token = 'expired-token';
+  let saved = null;
+  const store = {
+    load: async () => ({
+      users: [{ id: 'u1', name: 'Ada', email: 'ada@example.com' }],
+      sessions: [{ tokenHash: crypto.createHash('sha256').update(token).digest('hex'), userId: 'u1', expiresAt: Date.now() - 1 }]
+    }),
+    save: async (data) => { saved = JSON.parse(JSON.stringify(data)); }
+  };
+  const client = await startAuth(t, store);
+  client.cookie = `sid=${token}`;
+  assert.equal((await client.get('/api/auth/me')).status, 401);
+  assert.deepEqual(saved.sessions, []);
+});
+
+test('sockets get the session\'s account or are refused', async (t) => {
+  const client = await startAuth(t);
+  await client.post('/api/auth/register', ada);
+  await client.post('/api/auth/login', ada);
+
+  const connect = (cookie) => new Promise(resolve => {
+    const socket = { handshake: { headers: { cookie } }, data: {} };
+    client.auth.socketMiddleware(socket, error => resolve({ socket, error }));
+  });
+  const accepted = await connect(client.cookie);
+  assert.equal(accepted.error, undefined);
+  assert.equal(accepted.socket.data.user.name, 'Ada');
+  assert.match((await connect('sid=forged')).error.message, /Authentication required/);
+  assert.match((await connect(undefined)).error.message, /Authentication required/);
+});
@@ -0,0 +1,31 @@
+// Ephemeral ink: laser pointer trails and disappearing ink. Points are relayed to the rest of the
+// room as they are drawn and go nowhere else: not the stroke log, the room file, the session
+// recording, undo history or the offline queue. Every client fades them out on its own clock.
+// client2/src/ephemeralInk.js is the client twin.
+const { isCoordinate } = require('./strokeLog');
+const { isValidPageId } = require('./pageList');
+
+const TRAIL_KINDS = ['laser', 'ink'];
+const MAX_TRAIL_POINTS = 200; // per message; clients send a few at a time
+const MAX_LINE_WIDTH = 100;
+
+// Returns the trail piece to relay, or null when anything about it is off
+const sanitizeTrail = (data) => {
+  if (!data || !TRAIL_KINDS.includes(data.kind) || !isValidPageId(data.pageId)) return null;
+  if (typeof data.trailId !== 'string' || !data.trailId || data.trailId.length > 100) return null;
+  const { points } = data;
+  if (!Array.isArray(points) || !points.length || points.length > MAX_TRAIL_POINTS) return null;
+  if (!points.every(point => isCoordinate(point?.x) && isCoordinate(point?.y))) return null;
+  return {
+    trailId: data.trailId,
+    kind: data.kind,
+    pageId: data.pageId,
+    color: typeof data.color === 'string' ? data.color.substring(0, 32) : '#000000',
+    lineWidth: Math.min(Math.max(Number(data.lineWidth) || 1, 1), MAX_LINE_WIDTH),
+    points: points.map(({ x, y }) => ({ x, y }))
+  };
+};
+
+module.exports = {
+  sanitizeTrail
+};
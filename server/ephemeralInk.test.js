@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./testServer');
+const { sanitizeTrail } = require('./ephemeralInk');
+
+const trail = (fields = {}) => ({
+  roomId: 'class',
+  trailId: 't1',
+  kind: 'laser',
+  pageId: 'p1',
+  color: '#ff0000',
+  lineWidth: 3,
+  points: [{ x: 1, y: 2 }, { x: 3, y: 4 }],
+  ...fields
+});
+
+test('a trail piece is relayed with only the fields clients draw', () => {
+  assert.deepEqual(sanitizeTrail(trail({ points: [{ x: 1, y: 2, pressure: 0.5 }], extra: true })), {
+    trailId: 't1',
+    kind: 'laser',
+    pageId: 'p1',
+    color: '#ff0000',
+    lineWidth: 3,
+    points: [{ x: 1, y: 2 }]
+  });
+});
+
+test('trail pieces that are off in any way are dropped', () => {
+  [
+    null,
+    trail({ kind: 'pen' }),
+    trail({ pageId: '' }),
+    trail({ trailId: 7 }),
+    trail({ trailId: 'x'.repeat(101) }),
+    trail({ points: [] }),
+    trail({ points: Array.from({ length: 201 }, () => ({ x: 0, y: 0 })) }),
+    trail({ points: [{ x: 1, y: 'a' }] }),
+    trail({ points: [{ x: Infinity, y: 0 }] })
+  ].forEach(data => assert.equal(sanitizeTrail(data), null));
+});
+
+test('line widths are clamped and colors capped', () => {
+  assert.equal(sanitizeTrail(trail({ lineWidth: 500 })).lineWidth, 100);
+  assert.equal(sanitizeTrail(trail({ lineWidth: 'wide' })).lineWidth, 1);
+  assert.equal(sanitizeTrail(trail({ color: 'x'.repeat(40) })).color.length, 32);
+  assert.equal(sanitizeTrail(trail({ color: undefined })).color, '#000000');
+});
+
+test('laser and disappearing ink reach the room but never its pages, snapshots or recording', async (t) => {
+  const server = await startServer(t);
+  const owner = await server.signUp('Owner');
+  const student = await server.signUp('Student');
+  const { socket: ownerSocket } = await server.join(owner, 'class', { clientId: 'owner-tab' });
+  const { socket } = await server.join(student, 'class');
+
+  const initialState = nextEvent(ownerSocket, 'initialState');
+  ownerSocket.emit('requestInitialState', 'class');
+  const [page] = await initialState;
+
+  for (const kind of ['laser', 'ink']) {
+    const relayed = nextEvent(socket, 'ephemeralDrawn');
+    ownerSocket.emit('ephemeralDraw', trail({ trailId: `${kind}-trail`, kind, pageId: page.id }));
+    assert.deepEqual(await relayed, {
+      ...sanitizeTrail(trail({ trailId: `${kind}-trail`, kind, pageId: page.id })),
+      senderId: 'owner-tab'
+    });
+  }
+
+  const after = nextEvent(socket, 'initialState');
+  socket.emit('requestInitialState', 'class');
+  assert.deepEqual((await after).map(p => p.strokes), [[]]);
+
+  const created = await server.post('/api/rooms/class/snapshots', { name: 'After pointing' }, owner.cookie);
+  const { id } = await created.json();
+  const snapshot = await fetch(`${server.url}/api/rooms/class/snapshots/${id}`, { headers: { cookie: owner.cookie } });
+  const recording = await fetch(`${server.url}/api/rooms/class/recording`, { headers: { cookie: owner.cookie } });
+  const saved = [await snapshot.text(), await recording.text()];
+  assert.ok(saved.every(body => body.includes(page.id)), 'both hold the page itself');
+  assert.ok(saved.every(body => !body.includes('-trail')), 'neither holds a trail');
+});
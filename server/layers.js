@@ -0,0 +1,93 @@
+// Per-page layers. A page keeps its layers bottom to top in `page.layers`, and each stroke
+// names the layer it sits on in `layerId`; strokes drawn before layers existed have none and
+// belong to the base layer. Nothing can be drawn on, cleared from or changed on a locked layer,
+// and only the room owner can lock or unlock one. client2/src/layers.js is the client twin.
+
+const DEFAULT_LAYER_ID = 'base';
+const LAYER_ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_LAYERS = 20;
+const MAX_NAME_LENGTH = 40;
+
+const createLayer = (fields = {}) => ({
+  id: DEFAULT_LAYER_ID,
+  name: '',
+  visible: true,
+  locked: false,
+  ...fields
+});
+
+// Pages saved before layers existed get the base layer
+const normalizeLayers = (layers) => (
+  Array.isArray(layers) && layers.length ? layers : [createLayer()]
+);
+
+const strokeLayerId = (stroke) => stroke.layerId || DEFAULT_LAYER_ID;
+
+const findLayer = (page, layerId = DEFAULT_LAYER_ID) => (
+  normalizeLayers(page.layers).find(layer => layer.id === layerId) || null
+);
+
+// New strokes may only go onto a layer that exists and is not locked
+const isLayerWritable = (page, layerId) => {
+  const layer = findLayer(page, layerId);
+  return Boolean(layer && !layer.locked);
+};
+
+const isStrokeLocked = (page, stroke) => Boolean(findLayer(page, strokeLayerId(stroke))?.locked);
+
+const sanitizeName = (name) => String(name || '').trim().substring(0, MAX_NAME_LENGTH);
+
+const getLayerPage = (room, pageId) => {
+  const page = room.pages.find(p => p.id === pageId);
+  if (page) page.layers = normalizeLayers(page.layers);
+  return page;
+};
+
+// Each operation mutates the page and returns the op to broadcast, or null when it does not apply.
+// Layer IDs come from the client, so a known one means the add was already applied.
+const addLayer = (room, { pageId, layerId, name }) => {
+  const page = getLayerPage(room, pageId);
+  if (!page || typeof layerId !== 'string' || !LAYER_ID_PATTERN.test(layerId)) return null;
+  if (page.layers.length >= MAX_LAYERS || page.layers.some(layer => layer.id === layerId)) return null;
+  const layer = createLayer({ id: layerId, name: sanitizeName(name) });
+  page.layers = [...page.layers, layer];
+  return { pageId: page.id, layer };
+};
+
+const updateLayer = (room, { pageId, layerId, changes }, { canLock = false } = {}) => {
+  const page = getLayerPage(room, pageId);
+  const layer = page?.layers.find(l => l.id === layerId);
+  if (!layer || !changes) return null;
+
+  const applied = {};
+  if (changes.name !== undefined) applied.name = sanitizeName(changes.name);
+  if (typeof changes.visible === 'boolean') applied.visible = changes.visible;
+  if (typeof changes.locked === 'boolean' && canLock) applied.locked = changes.locked;
+  if (Object.keys(applied).length === 0) return null;
+
+  Object.assign(layer, applied);
+  return { pageId: page.id, layerId, changes: applied };
+};
+
+// `index` counts from the bottom layer
+const moveLayer = (room, { pageId, layerId, index }) => {
+  const page = getLayerPage(room, pageId);
+  const layer = page?.layers.find(l => l.id === layerId);
+  if (!layer || !Number.isInteger(index)) return null;
+  const others = page.layers.filter(l => l !== layer);
+  const at = Math.max(0, Math.min(index, others.length));
+  page.layers = [...others.slice(0, at), layer, ...others.slice(at)];
+  return { pageId: page.id, layerId, index: at };
+};
+
+module.exports = {
+  DEFAULT_LAYER_ID,
+  createLayer,
+  normalizeLayers,
+  strokeLayerId,
+  isLayerWritable,
+  isStrokeLocked,
+  addLayer,
+  updateLayer,
+  moveLayer
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLayer, normalizeLayers, isLayerWritable, addLayer, updateLayer, moveLayer } = require('./layers');
+
+const layerIds = (page) => page.layers.map(layer => layer.id);
+
+test('pages from before layers get the base layer', () => {
+  assert.deepEqual(normalizeLayers(undefined), [createLayer()]);
+  assert.equal(isLayerWritable({}, 'base'), true);
+  assert.equal(isLayerWritable({}, 'missing'), false);
+});
+
+test('a layer is added once, with a valid ID and up to the limit', () => {
+  const room = { pages: [{ id: 'p1' }] };
+  assert.equal(addLayer(room, { pageId: 'p1', layerId: 'top', name: `  ${'n'.repeat(50)}` }).layer.name.length, 40);
+  assert.equal(addLayer(room, { pageId: 'p1', layerId: 'top' }), null);
+  assert.equal(addLayer(room, { pageId: 'p1', layerId: 'not an id' }), null);
+  for (let i = 0; i < 30; i++) addLayer(room, { pageId: 'p1', layerId: `l${i}` });
+  assert.equal(room.pages[0].layers.length, 20);
+});
+
+test('only owners can lock a layer', () => {
+  const room = { pages: [{ id: 'p1' }] };
+  assert.equal(updateLayer(room, { pageId: 'p1', layerId: 'base', changes: { locked: true } }), null);
+  assert.deepEqual(
+    updateLayer(room, { pageId: 'p1', layerId: 'base', changes: { locked: true, visible: false } }, { canLock: true }).changes,
+    { locked: true, visible: false }
+  );
+  assert.equal(isLayerWritable(room.pages[0], 'base'), false);
+});
+
+test('a moved layer is clamped into the stack', () => {
+  const room = { pages: [{ id: 'p1', layers: ['a', 'b', 'c'].map(id => createLayer({ id })) }] };
+  assert.equal(moveLayer(room, { pageId: 'p1', layerId: 'a', index: 99 }).index, 2);
+  assert.deepEqual(layerIds(room.pages[0]), ['b', 'c', 'a']);
+  assert.equal(moveLayer(room, { pageId: 'p1', layerId: 'a', index: 1.5 }), null);
+});
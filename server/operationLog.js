@@ -0,0 +1,32 @@
+// Remembers the IDs of client operations a room has applied, so operations replayed after
+// a reconnect are not applied twice. Only recent IDs are kept; a replay can only repeat
+// operations that were still in flight when the connection dropped. The latest of them are
+// saved with the room, so a replay still finds them after the room is unloaded or the server
+// restarts.
+
+const MAX_REMEMBERED_OPERATIONS = 5000;
+const MAX_SAVED_OPERATIONS = 1000;
+
+const createOperationLog = (savedIds = [], limit = MAX_REMEMBERED_OPERATIONS) => {
+  const applied = new Set(Array.isArray(savedIds) ? savedIds.slice(-limit) : []);
+
+  return {
+    // Returns false when the operation has been applied before; untagged operations always pass
+    claim(opId) {
+      if (typeof opId !== 'string' || !opId) return true;
+      if (applied.has(opId)) return false;
+      applied.add(opId);
+      if (applied.size > limit) {
+        applied.delete(applied.values().next().value);
+      }
+      return true;
+    },
+
+    // The IDs to save with the room, oldest first
+    toJSON() {
+      return Array.from(applied).slice(-MAX_SAVED_OPERATIONS);
+    }
+  };
+};
+
+module.exports = { createOperationLog };
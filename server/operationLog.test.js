@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOperationLog } = require('./operationLog');
+
+test('an operation is only claimed once', () => {
+  const log = createOperationLog();
+  assert.equal(log.claim('op-1'), true);
+  assert.equal(log.claim('op-1'), false);
+  assert.equal(log.claim('op-2'), true);
+});
+
+test('untagged operations always pass', () => {
+  const log = createOperationLog();
+  [undefined, '', 42].forEach(opId => {
+    assert.equal(log.claim(opId), true);
+    assert.equal(log.claim(opId), true);
+  });
+});
+
+test('only the latest IDs are remembered', () => {
+  const log = createOperationLog([], 2);
+  ['a', 'b', 'c'].forEach(opId => log.claim(opId));
+  assert.equal(log.claim('a'), true);
+  assert.equal(log.claim('c'), false);
+});
+
+test('saved IDs are still known after a reload', () => {
+  const saved = JSON.parse(JSON.stringify(createOperationLog(['a', 'b'])));
+  const log = createOperationLog(saved);
+  assert.equal(log.claim('a'), false);
+  assert.equal(log.claim('c'), true);
+  assert.deepEqual(log.toJSON(), ['a', 'b', 'c']);
+});
+
+test('a room saved without IDs starts with none', () => {
+  assert.deepEqual(createOperationLog(undefined).toJSON(), []);
+  assert.deepEqual(createOperationLog('garbage').toJSON(), []);
+});
@@ -0,0 +1,56 @@
+// Page backgrounds: ruling drawn under every layer of a page. They are not strokes, so the
+// eraser and clear never touch them. `spacing` is the distance between grid lines (or one
+// staff's height) in world units, and on Cartesian axes it is one unit.
+// client2/src/backgrounds.js is the client twin.
+
+const BACKGROUND_TYPES = ['blank', 'dots', 'grid', 'lined', 'staff', 'axes'];
+const DEFAULT_SPACING = 40;
+const MIN_SPACING = 10;
+const MAX_SPACING = 200;
+
+const createBackground = (fields = {}) => ({
+  type: 'blank',
+  spacing: DEFAULT_SPACING,
+  ...fields
+});
+
+// Anything unusable, including pages saved before backgrounds existed, comes out blank
+const sanitizeBackground = (background) => {
+  if (!background || !BACKGROUND_TYPES.includes(background.type)) return createBackground();
+  const spacing = Number(background.spacing);
+  return createBackground({
+    type: background.type,
+    spacing: Number.isFinite(spacing) ?
+      Math.round(Math.max(MIN_SPACING, Math.min(spacing, MAX_SPACING))) :
+      DEFAULT_SPACING
+  });
+};
+
+// A page operation like renamePage: returns the op to broadcast, or null when the page is gone
+const setPageBackground = (room, { pageId, background }) => {
+  const page = room.pages.find(p => p.id === pageId);
+  if (!page) return null;
+  page.background = sanitizeBackground(background);
+  return { pageId, background: page.background };
+};
+
+const DESCRIPTIONS = {
+  dots: 'a dot grid',
+  grid: 'square graph paper',
+  lined: 'ruled lines',
+  staff: 'music staves',
+  axes: 'Cartesian axes over a square grid, with a grid line at every whole unit'
+};
+
+// For the AI prompt, which otherwise only sees the strokes; null for a blank page
+const describeBackground = (background) => {
+  const { type } = sanitizeBackground(background);
+  return type === 'blank' ? null : `The whiteboard page is drawn on ${DESCRIPTIONS[type]}.`;
+};
+
+module.exports = {
+  createBackground,
+  sanitizeBackground,
+  setPageBackground,
+  describeBackground
+};
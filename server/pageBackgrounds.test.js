@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBackground, sanitizeBackground, setPageBackground, describeBackground } = require('./pageBackgrounds');
+
+test('unknown or missing backgrounds come out blank', () => {
+  assert.deepEqual(sanitizeBackground(undefined), createBackground());
+  assert.deepEqual(sanitizeBackground({ type: 'plaid', spacing: 20 }), createBackground());
+});
+
+test('spacing is rounded into range or falls back to the default', () => {
+  assert.equal(sanitizeBackground({ type: 'grid', spacing: 2 }).spacing, 10);
+  assert.equal(sanitizeBackground({ type: 'grid', spacing: 1000 }).spacing, 200);
+  assert.equal(sanitizeBackground({ type: 'grid', spacing: 33.6 }).spacing, 34);
+  assert.equal(sanitizeBackground({ type: 'grid', spacing: 'wide' }).spacing, 40);
+});
+
+test('a background is set on an existing page only', () => {
+  const room = { pages: [{ id: 'p1' }] };
+  assert.deepEqual(setPageBackground(room, { pageId: 'p1', background: { type: 'lined' } }), {
+    pageId: 'p1',
+    background: { type: 'lined', spacing: 40 }
+  });
+  assert.equal(setPageBackground(room, { pageId: 'p2', background: { type: 'lined' } }), null);
+});
+
+test('only ruled pages are described to the AI', () => {
+  assert.equal(describeBackground({ type: 'blank' }), null);
+  assert.match(describeBackground({ type: 'axes' }), /Cartesian axes/);
+});
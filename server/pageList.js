@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { createLayer } = require('./layers');
+const { createBackground } = require('./pageBackgrounds');
+
+// Page list operations. Pages carry a fractional `position` key and are ordered by
+// (position, id), so inserts and moves made concurrently by different clients end up in
+// the same order no matter which arrives first. client2/src/pageOrder.js is the client twin.
+
+const POSITION_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const POSITION_PATTERN = /^[0-9a-z]{1,64}$/;
+const MAX_POSITION_LENGTH = 16; // longer keys are rebalanced well before they outgrow the pattern
+const MAX_TITLE_LENGTH = 40;
+
+// Returns a key that sorts strictly between `before` and `after` ('' / null mean the ends).
+// Keys never end in '0', which keeps a key available below every other key.
+const positionBetween = (before = '', after = null) => {
+  if (after !== null) {
+    let shared = 0;
+    while ((before[shared] || '0') === after[shared]) shared++;
+    if (shared > 0) {
+      return after.slice(0, shared) + positionBetween(before.slice(shared), after.slice(shared));
+    }
+  }
+  const low = before ? POSITION_DIGITS.indexOf(before[0]) : 0;
+  const high = after !== null ? POSITION_DIGITS.indexOf(after[0]) : POSITION_DIGITS.length;
+  if (high - low > 1) return POSITION_DIGITS[Math.round((low + high) / 2)];
+  if (after !== null && after.length > 1) return after.slice(0, 1);
+  return POSITION_DIGITS[low] + positionBetween(before.slice(1), null);
+};
+
+// `count` short keys spread evenly over the key space, in ascending order
+const spreadPositions = (count) => {
+  let length = 1;
+  while (POSITION_DIGITS.length ** length < (count + 1) * POSITION_DIGITS.length) length++;
+  const span = POSITION_DIGITS.length ** length;
+  return Array.from({ length: count }, (_, i) => (
+    Math.floor((i + 1) * span / (count + 1)).toString(36).padStart(length, '0').replace(/0+$/, '')
+  ));
+};
+
+const comparePages = (a, b) => {
+  if (a.position !== b.position) return a.position < b.position ? -1 : 1;
+  return String(a.id) < String(b.id) ? -1 : 1;
+};
+
+const sortPages = (pages) => [...pages].sort(comparePages);
+
+// Pages saved before positions existed are numbered in their stored order
+const normalizePageOrder = (pages) => {
+  let last = '';
+  const positioned = pages.map(page => {
+    if (typeof page.position === 'string' && POSITION_PATTERN.test(page.position)) return page;
+    last = positionBetween(last, null);
+    return { ...page, position: last };
+  });
+  return sortPages(positioned);
+};
+
+const isValidPageId = (pageId) => (
+  (typeof pageId === 'string' && pageId.length > 0 && pageId.length <= 64) ||
+  Number.isFinite(pageId) // rooms created before client-named pages used timestamps
+);
+
+const sanitizeTitle = (title) => String(title || '').trim().substring(0, MAX_TITLE_LENGTH);
+
+const createPage = (fields = {}) => ({
+  id: crypto.randomUUID(),
+  position: positionBetween(),
+  title: '',
+  layers: [createLayer()],
+  background: createBackground(),
+  strokes: [],
+  ...fields
+});
+
+// Position right after `afterId`'s page in the sorted list; null means the start
+const positionAfter = (pages, afterId) => {
+  const index = afterId === null ? -1 : pages.findIndex(page => page.id === afterId);
+  const before = index >= 0 ? pages[index].position : '';
+  const next = pages[index + 1];
+  return positionBetween(before, next ? next.position : null);
+};
+
+// Clients send the position they applied locally. It is kept only if page `id` still lands after
+// `afterId` with it and no later than the key that followed: a client working from a stale list
+// (e.g. before a rebalance handed out new keys) would put the page somewhere else, so then, as for
+// anything unusable, afterId decides. Sharing the next page's key is fine: concurrent inserts at the
+// same spot compute the same key and are ordered by ID.
+const resolvePosition = (pages, { id, position, afterId }) => {
+  if (typeof position !== 'string' || !POSITION_PATTERN.test(position) || position.endsWith('0')) {
+    return positionAfter(pages, afterId);
+  }
+  const index = afterId === null ? -1 : pages.findIndex(page => page.id === afterId);
+  if (afterId !== null && index < 0) return position; // the anchor is gone; nothing to check against
+  const before = pages[index];
+  const next = pages[index + 1];
+  const fits = (!before || comparePages(before, { id, position }) < 0) && (!next || position <= next.position);
+  return fits ? position : positionAfter(pages, afterId);
+};
+
+// Each operation mutates room.pages and returns the op to broadcast, or null when it does not apply.
+// Without a position or afterId, a new page goes at the end.
+const insertPage = (room, { pageId, position, afterId = room.pages[room.pages.length - 1]?.id, title }) => {
+  // Client page IDs are unique, so a known one means this insert was already applied
+  if (room.pages.some(page => page.id === pageId)) return null;
+  const id = typeof pageId === 'string' && isValidPageId(pageId) ? pageId : crypto.randomUUID();
+  const page = createPage({
+    id,
+    position: resolvePosition(room.pages, { id, position, afterId: afterId ?? null }),
+    title: sanitizeTitle(title)
+  });
+  room.pages = sortPages([...room.pages, page]);
+  return { page };
+};
+
+// Copies a page with its layers, background and strokes, right after the original unless a
+// position is given. Stroke and layer IDs only have to be unique within a page, so the copy keeps them.
+const duplicatePage = (room, { pageId, sourceId, position }) => {
+  const source = room.pages.find(page => page.id === sourceId);
+  if (!source || typeof pageId !== 'string' || !isValidPageId(pageId)) return null;
+  if (room.pages.some(page => page.id === pageId)) return null;
+  const { layers, background, strokes } = JSON.parse(JSON.stringify(source));
+  const page = createPage({
+    id: pageId,
+    position: resolvePosition(room.pages, { id: pageId, position, afterId: source.id }),
+    title: source.title ? sanitizeTitle(`${source.title} (copy)`) : '',
+    layers,
+    background,
+    strokes
+  });
+  room.pages = sortPages([...room.pages, page]);
+  return { page };
+};
+
+const deletePage = (room, pageId) => {
+  if (room.pages.length <= 1 || !room.pages.some(page => page.id === pageId)) return null;
+  room.pages = room.pages.filter(page => page.id !== pageId);
+  return { pageId };
+};
+
+const movePage = (room, { pageId, position, afterId }) => {
+  const page = room.pages.find(p => p.id === pageId);
+  if (!page) return null;
+  const others = room.pages.filter(p => p !== page);
+  page.position = resolvePosition(others, { id: pageId, position, afterId: afterId ?? null });
+  room.pages = sortPages(room.pages);
+  return { pageId, position: page.position };
+};
+
+// Inserting or moving pages again and again at the same spot makes a key longer each time, so
+// once any key gets long every page gets a fresh short one, in the same order. Returns the
+// operation to broadcast, or null while the keys are short.
+const rebalancePositions = (room) => {
+  if (room.pages.every(page => page.position.length <= MAX_POSITION_LENGTH)) return null;
+  const positions = spreadPositions(room.pages.length);
+  room.pages.forEach((page, index) => {
+    page.position = positions[index];
+  });
+  return { positions: room.pages.map(page => ({ pageId: page.id, position: page.position })) };
+};
+
+const renamePage = (room, { pageId, title }) => {
+  const page = room.pages.find(p => p.id === pageId);
+  if (!page) return null;
+  page.title = sanitizeTitle(title);
+  return { pageId, title: page.title };
+};
+
+module.exports = {
+  createPage,
+  positionBetween,
+  sortPages,
+  normalizePageOrder,
+  positionAfter,
+  isValidPageId,
+  insertPage,
+  duplicatePage,
+  deletePage,
+  movePage,
+  rebalancePositions,
+  renamePage
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createPage,
+  positionBetween,
+  normalizePageOrder,
+  insertPage,
+  duplicatePage,
+  deletePage,
+  movePage,
+  renamePage,
+  rebalancePositions
+} = require('./pageList');
+
+// Pages saved without positions are numbered in their stored order
+const pagesFor = (...ids) => normalizePageOrder(ids.map(id => createPage({ id, position: undefined })));
+const pageIds = (room) => room.pages.map(page => page.id);
+
+test('positionBetween sorts strictly between its bounds and never ends in 0', () => {
+  [['', null], ['', 'a'], ['a', null], ['a', 'b'], ['a', 'a1'], ['az', 'b'], ['1', '2']].forEach(([before, after]) => {
+    const position = positionBetween(before, after);
+    assert.ok(position > before, `${position} > ${before}`);
+    if (after !== null) assert.ok(position < after, `${position} < ${after}`);
+    assert.notEqual(position.at(-1), '0');
+  });
+});
+
+test('pages saved without positions keep their stored order', () => {
+  assert.deepEqual(pagesFor('z', 'a', 'm').map(page => page.id), ['z', 'a', 'm']);
+});
+
+test('a page is inserted after the given page, or at the end', () => {
+  const room = { pages: pagesFor('p1', 'p2') };
+  insertPage(room, { pageId: 'p3', afterId: 'p1' });
+  insertPage(room, { pageId: 'p4' });
+  insertPage(room, { pageId: 'p0', afterId: null });
+  assert.deepEqual(pageIds(room), ['p0', 'p1', 'p3', 'p2', 'p4']);
+});
+
+test('an insert already applied is ignored', () => {
+  const room = { pages: pagesFor('p1') };
+  assert.ok(insertPage(room, { pageId: 'p2' }));
+  assert.equal(insertPage(room, { pageId: 'p2' }), null);
+  assert.equal(room.pages.length, 2);
+});
+
+test('concurrent inserts at the same spot end up in the same order whichever arrives first', () => {
+  const orders = [['x', 'y'], ['y', 'x']].map(arrivals => {
+    const room = { pages: pagesFor('p1', 'p2') };
+    const position = positionBetween(room.pages[0].position, room.pages[1].position);
+    arrivals.forEach(pageId => insertPage(room, { pageId, position, afterId: 'p1' }));
+    return pageIds(room);
+  });
+  assert.deepEqual(orders[0], orders[1]);
+});
+
+test('a position from a stale page list is worked out again from afterId', () => {
+  const room = { pages: pagesFor('p1', 'p2', 'p3') };
+  // Computed between p1 and p2 before a rebalance gave them other keys
+  const stale = positionBetween('1', '2');
+  room.pages.forEach((page, i) => { page.position = ['k', 'n', 'q'][i]; });
+
+  insertPage(room, { pageId: 'new', position: stale, afterId: 'p1' });
+  movePage(room, { pageId: 'p3', position: stale, afterId: null });
+  assert.deepEqual(pageIds(room), ['p3', 'p1', 'new', 'p2']);
+  assert.notEqual(room.pages[2].position, stale);
+
+  const { position } = movePage(room, { pageId: 'p3', position: 'o', afterId: 'p2' });
+  assert.equal(position, 'o', 'a position that still fits is kept');
+  assert.deepEqual(pageIds(room), ['p1', 'new', 'p2', 'p3']);
+});
+
+test('a duplicate copies the page right after it under a new ID', () => {
+  const room = { pages: pagesFor('p1', 'p2') };
+  room.pages[0].title = 'Notes';
+  room.pages[0].strokes.push({ strokeId: 's1', points: [{ x: 1, y: 2 }] });
+  const { page } = duplicatePage(room, { pageId: 'copy', sourceId: 'p1' });
+
+  assert.deepEqual(room.pages.map(p => p.id), ['p1', 'copy', 'p2']);
+  assert.equal(page.title, 'Notes (copy)');
+  assert.deepEqual(page.strokes, room.pages[0].strokes);
+  assert.notEqual(page.strokes, room.pages[0].strokes);
+  assert.equal(duplicatePage(room, { pageId: 'copy', sourceId: 'p1' }), null);
+  assert.equal(duplicatePage(room, { pageId: 'other', sourceId: 'gone' }), null);
+});
+
+test('the last page cannot be deleted', () => {
+  const room = { pages: pagesFor('p1', 'p2') };
+  assert.deepEqual(deletePage(room, 'p1'), { pageId: 'p1' });
+  assert.equal(deletePage(room, 'p2'), null);
+  assert.deepEqual(pageIds(room), ['p2']);
+});
+
+test('a page moves after another page or to the front', () => {
+  const room = { pages: pagesFor('p1', 'p2', 'p3') };
+  movePage(room, { pageId: 'p1', afterId: 'p3' });
+  assert.deepEqual(pageIds(room), ['p2', 'p3', 'p1']);
+  movePage(room, { pageId: 'p3', afterId: null });
+  assert.deepEqual(pageIds(room), ['p3', 'p2', 'p1']);
+});
+
+test('titles are trimmed and capped', () => {
+  const room = { pages: pagesFor('p1') };
+  assert.deepEqual(renamePage(room, { pageId: 'p1', title: `  ${'x'.repeat(50)} ` }), { pageId: 'p1', title: 'x'.repeat(40) });
+  assert.equal(renamePage(room, { pageId: 'missing', title: 'Notes' }), null);
+});
+
+test('long position keys are rebalanced without changing the order', () => {
+  const room = { pages: pagesFor('p1', 'p2') };
+  assert.equal(rebalancePositions(room), null);
+  for (let i = 0; i < 200; i++) insertPage(room, { pageId: `n${i}`, afterId: 'p1' });
+  const order = room.pages.map(page => page.id);
+
+  const { positions } = rebalancePositions(room);
+  assert.deepEqual(room.pages.map(page => page.id), order);
+  assert.deepEqual(positions.map(({ pageId }) => pageId), order);
+  assert.ok(room.pages.every(page => page.position.length <= 3 && !page.position.endsWith('0')));
+  assert.ok(room.pages.every((page, i) => i === 0 || room.pages[i - 1].position < page.position));
+});
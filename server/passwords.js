@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// scrypt hashes stored as `scrypt$<salt>$<key>`, shared by account and room passwords
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+});
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [, saltHex, keyHex] = stored.split('$');
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'));
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,103 @@
+// Who is in a room right now. Entries are keyed by the client ID each browser tab keeps
+// across reconnects, so a dropped connection can pick up its entry again; none of this is persisted.
+// Besides a cursor, each entry carries the world rect its tab shows, so others can follow along,
+// and whether it is presenting. At most one entry in a room presents at a time.
+
+const PRESENCE_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4',
+  '#f032e6', '#9a6324', '#469990', '#800000', '#808000', '#000075'
+];
+
+// Tabs of the same account share a color; otherwise take the first one nobody is using
+const pickColor = (room, userId) => {
+  const entries = Array.from(room.presence.values());
+  const sameUser = entries.find(entry => entry.userId === userId);
+  if (sameUser) return sameUser.color;
+  const used = new Set(entries.map(entry => entry.color));
+  return PRESENCE_COLORS.find(color => !used.has(color)) ||
+    PRESENCE_COLORS[entries.length % PRESENCE_COLORS.length];
+};
+
+const sanitizeCursor = (cursor) => {
+  if (!cursor || !Number.isFinite(cursor.x) || !Number.isFinite(cursor.y)) return null;
+  return { x: cursor.x, y: cursor.y };
+};
+
+const sanitizeViewport = (viewport) => {
+  if (!viewport || ![viewport.x, viewport.y, viewport.width, viewport.height].every(Number.isFinite)) return null;
+  if (viewport.width <= 0 || viewport.height <= 0) return null;
+  return { x: viewport.x, y: viewport.y, width: viewport.width, height: viewport.height };
+};
+
+// A returning client takes its entry over from the old socket. Returns null when the
+// client ID already belongs to another account.
+const joinPresence = (room, clientId, socketId, user) => {
+  const existing = room.presence.get(clientId);
+  if (existing) {
+    if (existing.userId !== user.id) return null;
+    Object.assign(existing, { socketId, name: user.name, connected: true });
+    return existing;
+  }
+  const entry = {
+    clientId,
+    socketId,
+    userId: user.id,
+    name: user.name,
+    color: pickColor(room, user.id),
+    pageId: null,
+    cursor: null,
+    viewport: null,
+    presenting: false,
+    connected: true
+  };
+  room.presence.set(clientId, entry);
+  return entry;
+};
+
+// Only the fields present in the update change; a null cursor means it left the canvas
+const updatePresence = (room, clientId, { pageId, cursor, viewport } = {}) => {
+  const entry = room.presence.get(clientId);
+  if (!entry) return null;
+  if (pageId !== undefined) {
+    entry.pageId = room.pages.some(page => page.id === pageId) ? pageId : null;
+  }
+  if (cursor !== undefined) entry.cursor = sanitizeCursor(cursor);
+  if (viewport !== undefined) entry.viewport = sanitizeViewport(viewport);
+  return entry;
+};
+
+// Starting to present takes over from whoever presented before. Returns every entry that changed.
+const setPresenting = (room, clientId, presenting) => {
+  const entry = room.presence.get(clientId);
+  if (!entry) return [];
+  const changed = presenting ?
+    Array.from(room.presence.values()).filter(other => other.presenting && other !== entry) :
+    [];
+  changed.forEach(other => { other.presenting = false; });
+  if (entry.presenting !== presenting) {
+    entry.presenting = presenting;
+    changed.push(entry);
+  }
+  return changed;
+};
+
+// Returns the entry only if this socket still holds it; a newer socket may already have taken over
+const markDisconnected = (room, clientId, socketId) => {
+  const entry = room.presence.get(clientId);
+  if (!entry || entry.socketId !== socketId) return null;
+  Object.assign(entry, { connected: false, cursor: null });
+  return entry;
+};
+
+const leavePresence = (room, clientId) => room.presence.delete(clientId);
+
+const listPresence = (room) => Array.from(room.presence.values());
+
+module.exports = {
+  joinPresence,
+  updatePresence,
+  setPresenting,
+  markDisconnected,
+  leavePresence,
+  listPresence
+};
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./testServer');
+const {
+  joinPresence,
+  updatePresence,
+  setPresenting,
+  markDisconnected,
+  leavePresence,
+  listPresence
+} = require('./presence');
+
+const ada = { id: 'u1', name: 'Ada' };
+const bob = { id: 'u2', name: 'Bob' };
+const emptyRoom = () => ({ presence: new Map(), pages: [{ id: 'p1' }] });
+
+test('each account gets its own color and its tabs share it', () => {
+  const room = emptyRoom();
+  const first = joinPresence(room, 'tab-1', 'socket-1', ada);
+  const second = joinPresence(room, 'tab-2', 'socket-2', ada);
+  const other = joinPresence(room, 'tab-3', 'socket-3', bob);
+  assert.equal(second.color, first.color);
+  assert.notEqual(other.color, first.color);
+  assert.equal(listPresence(room).length, 3);
+});
+
+test('a returning tab takes its entry back, but not from another account', () => {
+  const room = emptyRoom();
+  const entry = joinPresence(room, 'tab-1', 'socket-1', ada);
+  markDisconnected(room, 'tab-1', 'socket-1');
+  assert.equal(joinPresence(room, 'tab-1', 'socket-2', bob), null);
+  assert.equal(joinPresence(room, 'tab-1', 'socket-2', { ...ada, name: 'Ada L.' }), entry);
+  assert.deepEqual([entry.socketId, entry.name, entry.connected], ['socket-2', 'Ada L.', true]);
+
+  // The old socket's late disconnect no longer applies
+  assert.equal(markDisconnected(room, 'tab-1', 'socket-1'), null);
+  assert.equal(entry.connected, true);
+});
+
+test('updates keep only a known page, a finite cursor and a non-empty viewport', () => {
+  const room = emptyRoom();
+  joinPresence(room, 'tab-1', 'socket-1', ada);
+  const entry = updatePresence(room, 'tab-1', { pageId: 'p1', cursor: { x: 1, y: 2 }, viewport: { x: 0, y: 0, width: 10, height: 5 } });
+  assert.deepEqual([entry.pageId, entry.cursor, entry.viewport.width], ['p1', { x: 1, y: 2 }, 10]);
+
+  updatePresence(room, 'tab-1', { pageId: 'gone', cursor: { x: NaN, y: 0 }, viewport: { x: 0, y: 0, width: 0, height: 5 } });
+  assert.deepEqual([entry.pageId, entry.cursor, entry.viewport], [null, null, null]);
+  assert.equal(updatePresence(room, 'nobody', { cursor: null }), null);
+});
+
+test('only one tab presents at a time', () => {
+  const room = emptyRoom();
+  joinPresence(room, 'tab-1', 'socket-1', ada);
+  joinPresence(room, 'tab-2', 'socket-2', bob);
+  setPresenting(room, 'tab-1', true);
+  const changed = setPresenting(room, 'tab-2', true);
+  assert.deepEqual(changed.map(entry => [entry.clientId, entry.presenting]), [['tab-1', false], ['tab-2', true]]);
+  assert.deepEqual(setPresenting(room, 'tab-2', true), []);
+
+  leavePresence(room, 'tab-2');
+  assert.deepEqual(listPresence(room).map(entry => entry.clientId), ['tab-1']);
+});
+
+test('the roster follows joins, drops, reconnects and departures', async (t) => {
+  const server = await startServer(t, { RECONNECT_GRACE_SECONDS: '0.5' });
+  const ada = await server.signUp('Ada');
+  const bob = await server.signUp('Bob');
+  const { socket: watcher } = await server.join(ada, 'class', { clientId: 'ada-tab-1', instanceId: 'a' });
+
+  const joined = nextEvent(watcher, 'presenceJoined');
+  const bobSocket = await server.connect(bob, { clientId: 'bob-tab-1', instanceId: 'b1' });
+  const roster = nextEvent(bobSocket, 'presenceList');
+  bobSocket.emit('joinRoom', 'class');
+  assert.equal((await joined).name, 'Bob');
+  assert.deepEqual((await roster).map(entry => entry.name).sort(), ['Ada', 'Bob']);
+
+  // Dropped for less than the grace period: the entry comes back and nothing is lost
+  const dropped = nextEvent(watcher, 'presenceUpdated', entry => entry.clientId === 'bob-tab-1');
+  bobSocket.disconnect();
+  assert.equal((await dropped).connected, false);
+  const rejoined = nextEvent(watcher, 'presenceJoined');
+  const { socket: returned } = await server.join(bob, 'class', { clientId: 'bob-tab-1', instanceId: 'b2' });
+  assert.equal((await rejoined).connected, true);
+
+  // Gone for good: an open stroke is committed and the entry leaves the roster
+  const initialState = nextEvent(returned, 'initialState');
+  returned.emit('requestInitialState', 'class');
+  const [page] = await initialState;
+  returned.emit('draw', { roomId: 'class', pageId: page.id, strokeId: 'open', isNewStroke: true, x: 1, y: 1 });
+  await nextEvent(watcher, 'draw');
+  const committed = nextEvent(watcher, 'endStroke');
+  const left = nextEvent(watcher, 'presenceLeft');
+  const disconnectedAt = Date.now();
+  returned.disconnect();
+  assert.deepEqual(await left, { clientId: 'bob-tab-1' });
+  assert.ok(Date.now() - disconnectedAt >= 400);
+  assert.equal((await committed).stroke.strokeId, 'open');
+});
+
+test('another account reusing a client ID cannot take its owner\'s place', async (t) => {
+  const server = await startServer(t, { RECONNECT_GRACE_SECONDS: '5' });
+  const ada = await server.signUp('Ada');
+  const mallory = await server.signUp('Mallory');
+  const { socket: watcher } = await server.join(ada, 'class', { clientId: 'ada-watcher', instanceId: 'w' });
+  const { socket: tab } = await server.join(ada, 'class', { clientId: 'ada-tab-1', instanceId: 'a1' });
+
+  // A duplicate of Ada's own tab is still turned away while the original is connected
+  await assert.rejects(server.connect(ada, { clientId: 'ada-tab-1', instanceId: 'copy' }), /clientIdInUse/);
+
+  const dropped = nextEvent(watcher, 'presenceUpdated', entry => entry.clientId === 'ada-tab-1');
+  tab.disconnect();
+  await dropped;
+  const squatter = await server.connect(mallory, { clientId: 'ada-tab-1', instanceId: 'm' });
+  const refused = nextEvent(squatter, 'joinError');
+  squatter.emit('joinRoom', 'class');
+  assert.deepEqual(await refused, { roomId: 'class', reason: 'clientIdInUse' });
+
+  const rejoined = nextEvent(watcher, 'presenceJoined');
+  const { status } = await server.join(ada, 'class', { clientId: 'ada-tab-1', instanceId: 'a2' });
+  assert.equal(status.role, 'owner');
+  const entry = await rejoined;
+  assert.deepEqual([entry.clientId, entry.name], ['ada-tab-1', 'Ada']);
+});
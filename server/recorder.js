@@ -0,0 +1,41 @@
+// Timestamped per-room event stream used for session playback. Events are buffered
+// and appended to the room store in batches so drawing never waits on the disk.
+
+const FLUSH_INTERVAL_MS = 2000;
+const MAX_BUFFERED_EVENTS = 500;
+
+const createRecorder = ({ store, logger }) => {
+  const buffers = new Map(); // roomId -> events not yet written
+
+  const flush = async (roomId) => {
+    const events = buffers.get(roomId);
+    if (!events?.length) return;
+    buffers.delete(roomId);
+    try {
+      await store.appendEvents(roomId, events);
+    } catch (error) {
+      logger.error(`Failed to write recording for room ${roomId}: ${error.message}`);
+    }
+  };
+
+  const flushAll = () => Promise.all(Array.from(buffers.keys()).map(flush));
+
+  const record = (roomId, type, payload) => {
+    if (!buffers.has(roomId)) buffers.set(roomId, []);
+    const events = buffers.get(roomId);
+    // Copied now: payloads can reference live room state that keeps changing until the flush
+    events.push({ t: Date.now(), type, payload: JSON.parse(JSON.stringify(payload)) });
+    if (events.length >= MAX_BUFFERED_EVENTS) flush(roomId);
+  };
+
+  const load = async (roomId) => {
+    await flush(roomId);
+    return store.loadEvents(roomId);
+  };
+
+  setInterval(flushAll, FLUSH_INTERVAL_MS).unref();
+
+  return { record, load, flushAll };
+};
+
+module.exports = { createRecorder };
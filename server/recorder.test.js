@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createRoomStore } = require('./roomStore');
+const { createRecorder } = require('./recorder');
+
+const silentLogger = { error: () => {} };
+
+const withDataDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('events are appended to the room\'s ndjson file in order', async (t) => {
+  const dir = await withDataDir(t);
+  const recorder = createRecorder({ store: createRoomStore({ type: 'file', dir }), logger: silentLogger });
+  recorder.record('maths', 'draw', { x: 1 });
+  await recorder.flushAll();
+  recorder.record('maths', 'endStroke', { strokeId: 's1' });
+  await recorder.flushAll();
+
+  const lines = (await fs.readFile(path.join(dir, 'maths.events.ndjson'), 'utf8')).trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).type), ['draw', 'endStroke']);
+
+  const events = await createRecorder({ store: createRoomStore({ type: 'file', dir }), logger: silentLogger }).load('maths');
+  assert.deepEqual(events.map(({ type, payload }) => [type, payload]), [['draw', { x: 1 }], ['endStroke', { strokeId: 's1' }]]);
+  assert.ok(events.every(event => Number.isFinite(event.t)));
+});
+
+test('payloads are copied when recorded and buffered events are read back', async () => {
+  const recorder = createRecorder({ store: createRoomStore({ type: 'memory' }), logger: silentLogger });
+  const pages = [{ id: 'p1', strokes: [] }];
+  recorder.record('maths', 'state', { pages });
+  pages[0].strokes.push({ strokeId: 'later' });
+
+  const [event] = await recorder.load('maths');
+  assert.deepEqual(event.payload.pages[0].strokes, []);
+});
+
+test('a failed write is logged and recording carries on', async () => {
+  const errors = [];
+  const store = createRoomStore({ type: 'memory' });
+  const failingStore = { ...store, appendEvents: async () => { throw new Error('disk full'); } };
+  const recorder = createRecorder({ store: failingStore, logger: { error: message => errors.push(message) } });
+  recorder.record('maths', 'draw', {});
+  await recorder.flushAll();
+  assert.match(errors[0], /disk full/);
+});
+
+test('removing a room deletes its recording', async (t) => {
+  const store = createRoomStore({ type: 'file', dir: await withDataDir(t) });
+  await store.save({ id: 'maths', updatedAt: 1 });
+  await store.appendEvents('maths', [{ t: 1, type: 'draw', payload: {} }]);
+  await store.remove('maths');
+  assert.deepEqual(await store.loadEvents('maths'), []);
+});
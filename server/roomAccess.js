@@ -0,0 +1,70 @@
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// Room ownership and roles. The first account to join a room owns it; everyone
+// admitted later gets the default role, which the owner can change per member.
+
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+const EDIT_ROLES = ['owner', 'editor'];
+const DEFAULT_ROLE = 'editor';
+const MAX_ROOM_PASSWORD_LENGTH = 128;
+
+const getRole = (room, userId) => room.members[userId]?.role || null;
+
+const canEdit = (room, userId) => EDIT_ROLES.includes(getRole(room, userId));
+
+const isOwner = (room, userId) => getRole(room, userId) === 'owner';
+
+// Returns { role } once admitted, or { error } with 'passwordRequired' / 'invalidPassword'.
+// Existing members are never asked for the password again.
+const admitMember = async (room, user, password) => {
+  if (!room.ownerId) {
+    room.ownerId = user.id;
+    room.members[user.id] = { name: user.name, role: 'owner' };
+    return { role: 'owner', changed: true };
+  }
+
+  const member = room.members[user.id];
+  if (member) {
+    const changed = member.name !== user.name;
+    member.name = user.name;
+    return { role: member.role, changed };
+  }
+
+  if (room.passwordHash) {
+    if (!password) return { error: 'passwordRequired' };
+    if (!(await verifyPassword(String(password), room.passwordHash))) {
+      return { error: 'invalidPassword' };
+    }
+  }
+
+  room.members[user.id] = { name: user.name, role: DEFAULT_ROLE };
+  return { role: DEFAULT_ROLE, changed: true };
+};
+
+const setRoomPassword = async (room, password) => {
+  const value = String(password || '').substring(0, MAX_ROOM_PASSWORD_LENGTH);
+  room.passwordHash = value ? await hashPassword(value) : null;
+};
+
+const setMemberRole = (room, userId, role) => {
+  if (!ASSIGNABLE_ROLES.includes(role)) throw new Error('Invalid role');
+  const member = room.members[userId];
+  if (!member) throw new Error('Member not found');
+  if (member.role === 'owner') throw new Error('The owner role cannot be changed');
+  member.role = role;
+};
+
+const listMembers = (room) => Object.entries(room.members).map(([userId, member]) => ({
+  userId,
+  ...member
+}));
+
+module.exports = {
+  getRole,
+  canEdit,
+  isOwner,
+  admitMember,
+  setRoomPassword,
+  setMemberRole,
+  listMembers
+};
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./testServer');
+const {
+  getRole,
+  canEdit,
+  isOwner,
+  admitMember,
+  setRoomPassword,
+  setMemberRole,
+  listMembers
+} = require('./roomAccess');
+
+const ada = { id: 'u1', name: 'Ada' };
+const bob = { id: 'u2', name: 'Bob' };
+
+test('the first account owns the room and later ones join as editors', async () => {
+  const room = { members: {} };
+  assert.deepEqual(await admitMember(room, ada), { role: 'owner', changed: true });
+  assert.deepEqual(await admitMember(room, bob), { role: 'editor', changed: true });
+  assert.deepEqual(await admitMember(room, { ...bob, name: 'Robert' }), { role: 'editor', changed: true });
+  assert.deepEqual(await admitMember(room, { ...bob, name: 'Robert' }), { role: 'editor', changed: false });
+  assert.equal(isOwner(room, 'u1'), true);
+  assert.deepEqual(listMembers(room).map(({ userId, name }) => [userId, name]), [['u1', 'Ada'], ['u2', 'Robert']]);
+});
+
+test('a protected room turns away a missing or wrong password, but not its members', async () => {
+  const room = { members: {} };
+  await admitMember(room, ada);
+  await setRoomPassword(room, 'secret');
+  assert.deepEqual(await admitMember(room, bob), { error: 'passwordRequired' });
+  assert.deepEqual(await admitMember(room, bob, 'guess'), { error: 'invalidPassword' });
+  assert.equal(getRole(room, 'u2'), null);
+  assert.equal(canEdit(room, 'u2'), false);
+  assert.equal((await admitMember(room, bob, 'secret')).role, 'editor');
+  assert.equal((await admitMember(room, ada)).role, 'owner');
+
+  await setRoomPassword(room, '');
+  assert.equal(room.passwordHash, null);
+});
+
+test('viewers cannot edit and the owner role stays put', async () => {
+  const room = { members: {} };
+  await admitMember(room, ada);
+  await admitMember(room, bob);
+  setMemberRole(room, 'u2', 'viewer');
+  assert.equal(canEdit(room, 'u2'), false);
+  assert.equal(canEdit(room, 'u1'), true);
+  assert.throws(() => setMemberRole(room, 'u2', 'owner'), /Invalid role/);
+  assert.throws(() => setMemberRole(room, 'u3', 'editor'), /Member not found/);
+  assert.throws(() => setMemberRole(room, 'u1', 'viewer'), /cannot be changed/);
+});
+
+test('a viewer is refused every change to the board', async (t) => {
+  const server = await startServer(t);
+  const owner = await server.signUp('Owner');
+  const student = await server.signUp('Student');
+  const { socket: ownerSocket } = await server.join(owner, 'class');
+  const { socket } = await server.join(student, 'class');
+
+  const isViewer = members => members.some(({ userId, role }) => userId === student.user.id && role === 'viewer');
+  const demoted = nextEvent(socket, 'roomMembers', isViewer);
+  ownerSocket.emit('setMemberRole', { roomId: 'class', userId: student.user.id, role: 'viewer' });
+  await demoted;
+
+  const initialState = nextEvent(socket, 'initialState');
+  socket.emit('requestInitialState', 'class');
+  const [page] = await initialState;
+
+  const attempts = [
+    ['draw', { roomId: 'class', pageId: page.id, strokeId: 's1', isNewStroke: true, x: 1, y: 1 }],
+    ['clearCanvas', { roomId: 'class', pageId: page.id }],
+    ['addPage', { roomId: 'class', pageId: 'new-page' }],
+    ['removePage', { roomId: 'class', pageId: page.id }],
+    ['processWithAI', { roomId: 'class', pageId: page.id, image: 'data:image/png;base64,AAAA' }]
+  ];
+  for (const [event, data] of attempts) {
+    const denied = nextEvent(socket, 'permissionDenied');
+    socket.emit(event, data);
+    assert.deepEqual(await denied, { roomId: 'class', action: event });
+  }
+
+  const after = nextEvent(ownerSocket, 'initialState');
+  ownerSocket.emit('requestInitialState', 'class');
+  assert.deepEqual((await after).map(p => [p.id, p.strokes.length]), [[page.id, 0]]);
+});
+
+test('a wrong room password keeps the socket out of the room', async (t) => {
+  const server = await startServer(t);
+  const owner = await server.signUp('Owner');
+  const guest = await server.signUp('Guest');
+  const { socket: ownerSocket } = await server.join(owner, 'locked');
+  const settings = nextEvent(ownerSocket, 'roomSettings');
+  ownerSocket.emit('setRoomPassword', { roomId: 'locked', password: 'secret' });
+  assert.deepEqual(await settings, { isProtected: true });
+
+  const socket = await server.connect(guest);
+  const refused = nextEvent(socket, 'joinError');
+  socket.emit('joinRoom', { roomId: 'locked', password: 'guess' });
+  assert.deepEqual(await refused, { roomId: 'locked', reason: 'invalidPassword' });
+
+  const denied = new Promise(resolve => socket.once('permissionDenied', resolve));
+  const echoed = new Promise(resolve => ownerSocket.once('addPage', resolve));
+  socket.emit('addPage', { roomId: 'locked', pageId: 'sneaky' });
+  const outcome = await Promise.race([denied, echoed, new Promise(resolve => setTimeout(() => resolve('ignored'), 300))]);
+  assert.equal(outcome, 'ignored');
+});
@@ -0,0 +1,179 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Room stores share one async interface so the backend can be swapped by config:
+//   load(roomId) -> room | null, save(room), remove(roomId), list() -> [{ id, updatedAt }]
+//   loadSnapshots(roomId) -> snapshots, saveSnapshots(roomId, snapshots)  (version history)
+//   appendEvents(roomId, events), loadEvents(roomId) -> events  (session recordings)
+// Snapshots are kept apart from the room because they hold many copies of the board, and the
+// room itself is saved on nearly every change.
+
+const createMemoryStore = () => {
+  const data = new Map();
+  const snapshots = new Map();
+  const events = new Map();
+
+  return {
+    async load(roomId) {
+      const room = data.get(roomId);
+      return room ? JSON.parse(room) : null;
+    },
+    async save(room) {
+      data.set(room.id, JSON.stringify(room));
+    },
+    async remove(roomId) {
+      data.delete(roomId);
+      snapshots.delete(roomId);
+      events.delete(roomId);
+    },
+    async list() {
+      return Array.from(data.values()).map(json => {
+        const { id, updatedAt } = JSON.parse(json);
+        return { id, updatedAt };
+      });
+    },
+    async loadSnapshots(roomId) {
+      return JSON.parse(snapshots.get(roomId) || '[]');
+    },
+    async saveSnapshots(roomId, roomSnapshots) {
+      snapshots.set(roomId, JSON.stringify(roomSnapshots));
+    },
+    async appendEvents(roomId, newEvents) {
+      if (!events.has(roomId)) events.set(roomId, []);
+      events.get(roomId).push(...newEvents);
+    },
+    async loadEvents(roomId) {
+      return events.get(roomId) || [];
+    }
+  };
+};
+
+const createFileStore = ({ dir }) => {
+  // Writes to the same room are chained so a slow write never lands after a newer one
+  const pendingWrites = new Map();
+  let ready = null;
+
+  const ensureDir = () => {
+    if (!ready) ready = fs.mkdir(dir, { recursive: true });
+    return ready;
+  };
+
+  const fileFor = (roomId) => path.join(dir, `${encodeURIComponent(roomId)}.json`);
+  const snapshotsDir = path.join(dir, 'snapshots');
+  const snapshotsFileFor = (roomId) => path.join(snapshotsDir, `${encodeURIComponent(roomId)}.json`);
+  const snapshotsKey = (roomId) => `${roomId}\u0000snapshots`;
+  // Recordings are newline-delimited JSON so batches can be appended without rewriting
+  const eventsFileFor = (roomId) => path.join(dir, `${encodeURIComponent(roomId)}.events.ndjson`);
+  const eventsKey = (roomId) => `${roomId}\u0000events`;
+
+  const writeAtomically = async (file, value) => {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(value));
+    await fs.rename(tmpFile, file);
+  };
+
+  const enqueue = (roomId, task) => {
+    const previous = pendingWrites.get(roomId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    pendingWrites.set(roomId, next);
+    next.finally(() => {
+      if (pendingWrites.get(roomId) === next) pendingWrites.delete(roomId);
+    }).catch(() => {});
+    return next;
+  };
+
+  return {
+    async load(roomId) {
+      await ensureDir();
+      await pendingWrites.get(roomId)?.catch(() => {});
+      try {
+        return JSON.parse(await fs.readFile(fileFor(roomId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    save(room) {
+      return enqueue(room.id, async () => {
+        await ensureDir();
+        await writeAtomically(fileFor(room.id), room);
+      });
+    },
+    remove(roomId) {
+      return Promise.all([
+        enqueue(roomId, () => fs.rm(fileFor(roomId), { force: true })),
+        enqueue(snapshotsKey(roomId), () => fs.rm(snapshotsFileFor(roomId), { force: true })),
+        enqueue(eventsKey(roomId), () => fs.rm(eventsFileFor(roomId), { force: true }))
+      ]);
+    },
+    async list() {
+      await ensureDir();
+      const files = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+      // Ages come from the documents, so copying or restoring the directory keeps them
+      const rooms = await Promise.all(files.map(async (name) => {
+        try {
+          const { updatedAt } = JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+          return { id: decodeURIComponent(name.slice(0, -'.json'.length)), updatedAt };
+        } catch (error) {
+          if (error.code === 'ENOENT') return null; // removed since the directory was read
+          throw error;
+        }
+      }));
+      return rooms.filter(Boolean);
+    },
+    async loadSnapshots(roomId) {
+      await pendingWrites.get(snapshotsKey(roomId))?.catch(() => {});
+      try {
+        return JSON.parse(await fs.readFile(snapshotsFileFor(roomId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+    saveSnapshots(roomId, snapshots) {
+      return enqueue(snapshotsKey(roomId), async () => {
+        await fs.mkdir(snapshotsDir, { recursive: true });
+        await writeAtomically(snapshotsFileFor(roomId), snapshots);
+      });
+    },
+    appendEvents(roomId, events) {
+      return enqueue(eventsKey(roomId), async () => {
+        await ensureDir();
+        const lines = events.map(event => `${JSON.stringify(event)}\n`).join('');
+        await fs.appendFile(eventsFileFor(roomId), lines);
+      });
+    },
+    async loadEvents(roomId) {
+      await pendingWrites.get(eventsKey(roomId))?.catch(() => {});
+      try {
+        const content = await fs.readFile(eventsFileFor(roomId), 'utf8');
+        return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+};
+
+const createRoomStore = ({ type = 'file', dir } = {}) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ dir: dir || path.join(__dirname, 'data') });
+    default:
+      throw new Error(`Unknown room store type: ${type}`);
+  }
+};
+
+// Removes stored rooms last saved before `cutoff`, except ones `isInUse` says are loaded.
+// Returns the IDs removed.
+const removeExpiredRooms = async (store, cutoff, isInUse = () => false) => {
+  const stored = await store.list();
+  const expired = stored.filter(({ id, updatedAt }) => updatedAt < cutoff && !isInUse(id));
+  await Promise.all(expired.map(({ id }) => store.remove(id)));
+  return expired.map(({ id }) => id);
+};
+
+module.exports = { createRoomStore, removeExpiredRooms };
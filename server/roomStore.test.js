@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createRoomStore, removeExpiredRooms } = require('./roomStore');
+
+const room = (id, updatedAt = Date.now()) => ({ id, updatedAt, pages: [{ id: 'p1', strokes: [] }] });
+
+const withDataDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rooms-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+['memory', 'file'].forEach(type => {
+  test(`the ${type} store saves, lists and removes rooms`, async (t) => {
+    const store = createRoomStore({ type, dir: type === 'file' ? await withDataDir(t) : undefined });
+    assert.equal(await store.load('maths'), null);
+
+    await store.save(room('maths', 1));
+    await store.save(room('room/with spaces', 2));
+    const loaded = await store.load('maths');
+    assert.deepEqual(loaded, room('maths', 1));
+    loaded.pages = [];
+    assert.equal((await store.load('maths')).pages.length, 1);
+
+    const listed = await store.list();
+    assert.deepEqual(listed.sort((a, b) => a.updatedAt - b.updatedAt), [
+      { id: 'maths', updatedAt: 1 },
+      { id: 'room/with spaces', updatedAt: 2 }
+    ]);
+
+    await store.remove('maths');
+    assert.equal(await store.load('maths'), null);
+  });
+});
+
+test('rooms in the file store survive a restart', async (t) => {
+  const dir = await withDataDir(t);
+  const before = createRoomStore({ type: 'file', dir });
+  await before.save(room('maths', 1));
+  await before.save({ ...room('maths', 2), title: 'latest' });
+
+  const after = createRoomStore({ type: 'file', dir });
+  assert.equal((await after.load('maths')).title, 'latest');
+  assert.deepEqual(await after.list(), [{ id: 'maths', updatedAt: 2 }]);
+});
+
+test('rooms past retention are removed unless they are in use', async () => {
+  const store = createRoomStore({ type: 'memory' });
+  await store.save(room('old', 100));
+  await store.save(room('old-but-open', 100));
+  await store.save(room('fresh', 500));
+
+  const removed = await removeExpiredRooms(store, 200, id => id === 'old-but-open');
+  assert.deepEqual(removed, ['old']);
+  assert.deepEqual((await store.list()).map(({ id }) => id).sort(), ['fresh', 'old-but-open']);
+});
+
+test('an unknown store type is refused', () => {
+  assert.throws(() => createRoomStore({ type: 'floppy' }), /Unknown room store type/);
+});
@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
@@ -6,8 +7,82 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const rooms = new Map(); // Stores room data including whiteboard pages and participants
+const { createRoomStore, removeExpiredRooms } = require('./roomStore');
+const { createRecorder } = require('./recorder');
+const { createAccountStore } = require('./accountStore');
+const { createAuth } = require('./auth');
+const { createAIProvider } = require('./aiProviders');
+const {
+  getRole,
+  canEdit,
+  isOwner,
+  admitMember,
+  setRoomPassword,
+  setMemberRole,
+  listMembers
+} = require('./roomAccess');
+const {
+  joinPresence,
+  updatePresence,
+  setPresenting,
+  markDisconnected,
+  leavePresence,
+  listPresence
+} = require('./presence');
+const {
+  normalizePage,
+  appendStrokePoint,
+  commitStroke,
+  commitClientStrokes,
+  isCoordinate,
+  sanitizeStylus,
+  commitShape,
+  commitText,
+  commitFill,
+  updateText,
+  getPageText,
+  addStrokes,
+  transformStrokes,
+  unlockedStrokeIds,
+  clearLayer,
+  removeStrokes,
+  reorderStrokes,
+  replaceStrokes
+} = require('./strokeLog');
+const { strokeLayerId, isLayerWritable, addLayer, updateLayer, moveLayer } = require('./layers');
+const { setPageBackground, describeBackground } = require('./pageBackgrounds');
+const { sanitizeTrail } = require('./ephemeralInk');
+const { recordOperation, recordUpdate, undo, redo, getHistoryState } = require('./undoHistory');
+const { createOperationLog } = require('./operationLog');
+const {
+  createPage,
+  normalizePageOrder,
+  isValidPageId,
+  insertPage,
+  duplicatePage,
+  deletePage,
+  movePage,
+  rebalancePositions,
+  renamePage
+} = require('./pageList');
+const {
+  createSnapshot,
+  hasChangesSinceSnapshot,
+  summarizeSnapshot,
+  findSnapshot,
+  renameSnapshot,
+  restoreSnapshot
+} = require('./snapshots');
+const rooms = new Map(); // Live rooms currently loaded from the store
+const loadingRooms = new Map(); // roomId -> pending store load, so concurrent joins share it
+
+const ROOM_RETENTION_MS = (Number(process.env.ROOM_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const ROOM_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_CHAT_HISTORY = 200;
+const SNAPSHOT_INTERVAL_MS = (Number(process.env.SNAPSHOT_INTERVAL_MINUTES) || 5) * 60 * 1000;
+const RECONNECT_GRACE_MS = (Number(process.env.RECONNECT_GRACE_SECONDS) || 15) * 1000;
+const TEXT_SAVE_DELAY_MS = 2000;
+const CLIENT_ID_PATTERN = /^[\w-]{8,64}$/;
 
 
 const logger = winston.createLogger({
@@ -22,15 +97,37 @@ const logger = winston.createLogger({
   ]
 });
 
-let genAI;
+// Without a working provider the board still runs; only AI answers are turned away
+let aiProvider = null;
 try {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  logger.info('Gemini AI initialized successfully');
+  aiProvider = createAIProvider({
+    type: process.env.AI_PROVIDER,
+    model: process.env.AI_MODEL,
+    apiKey: process.env.AI_API_KEY,
+    baseUrl: process.env.AI_BASE_URL,
+    geminiApiKey: process.env.GEMINI_API_KEY
+  });
+  logger.info(aiProvider ? `AI provider: ${aiProvider.name}` : 'No AI provider configured; AI answers are off');
 } catch (error) {
-  logger.error('Failed to initialize Gemini AI:', error.message);
-  process.exit(1);
+  logger.error(`AI provider error: ${error.message}; AI answers are off`);
 }
 
+const DATA_DIR = process.env.ROOM_DATA_DIR || path.join(__dirname, 'data');
+
+const roomStore = createRoomStore({
+  type: process.env.ROOM_STORE || 'file',
+  dir: DATA_DIR
+});
+const recorder = createRecorder({ store: roomStore, logger });
+const auth = createAuth({
+  store: createAccountStore({
+    type: process.env.ACCOUNT_STORE || 'file',
+    dir: path.join(DATA_DIR, 'accounts')
+  }),
+  logger,
+  secureCookies: process.env.NODE_ENV === 'production'
+});
+
 const app = express();
 
 app.use(helmet());
@@ -42,12 +139,17 @@ app.use(cors({
   credentials: true
 }));
 
+app.use(express.json({ limit: '100kb' }));
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100
 });
 app.use(limiter);
 
+app.use('/api/auth', auth.router);
+app.use('/api/rooms', auth.requireAuth);
+
 const server = http.createServer(app);
 
 const io = new Server(server, {
@@ -64,6 +166,12 @@ const io = new Server(server, {
 });
 
 
+// Broadcasts to the room and appends the same payload to its session recording
+const broadcast = (roomId, event, payload) => {
+  io.to(roomId).emit(event, payload);
+  recorder.record(roomId, event, payload);
+};
+
 const validateRoomId = (roomId) => {
   return typeof roomId === 'string' && roomId.length > 0;
 };
@@ -71,56 +179,438 @@ const validateRoomId = (roomId) => {
 
 const validateDrawData = (data) => {
   return data && 
-         typeof data.x === 'number' &&
-         typeof data.y === 'number' &&
-         typeof data.page === 'number' &&
-         data.x >= 0 && data.x <= 640 &&
-         data.y >= 0 && data.y <= 480 &&
+         isCoordinate(data.x) &&
+         isCoordinate(data.y) &&
+         (data.prevX === undefined || isCoordinate(data.prevX)) &&
+         (data.prevY === undefined || isCoordinate(data.prevY)) &&
+         isValidPageId(data.pageId) &&
          validateRoomId(data.roomId);
 };
 
-const validatePageIndex = (room, pageIndex) => {
-  return pageIndex >= 0 && pageIndex < room.pages.length;
+// Used in automatic snapshot names
+const describePage = (room, page) => (
+  page.title ? `"${page.title}"` : `page ${room.pages.indexOf(page) + 1}`
+);
+
+const createRoom = (roomId) => ({
+  id: roomId,
+  createdAt: Date.now(),
+  updatedAt: Date.now(),
+  pages: [createPage()],
+  chat: [],
+  snapshots: [],
+  ownerId: null,
+  passwordHash: null,
+  members: {}, // userId -> { name, role }
+  presence: new Map(), // clientId -> user's name, color, page, cursor and viewport
+  departures: new Map(), // clientId -> timer that removes a disconnected client after the grace period
+  appliedOperations: createOperationLog(), // IDs of queued client operations already applied
+  activeStrokes: new Map(), // strokeId -> stroke still being drawn
+  history: new Map(), // userId -> { undo, redo } stacks
+  requests: 0, // room API requests in progress
+  saving: null, // the save being written, if any
+  nextSave: null, // one more save that waits for it and carries every change made meanwhile
+  delayedSave: null // timer for a save put off until typing pauses
+});
+
+// Only durable fields go to the store; connection state is rebuilt on join.
+// Snapshots are saved on their own, only when they change.
+const serializeRoom = (room) => ({
+  id: room.id,
+  createdAt: room.createdAt,
+  updatedAt: room.updatedAt,
+  pages: room.pages,
+  chat: room.chat,
+  ownerId: room.ownerId,
+  passwordHash: room.passwordHash,
+  members: room.members,
+  appliedOperations: room.appliedOperations.toJSON()
+});
+
+// Resolves the live room, loading it from the store if need be, or null when it was never saved
+const loadRoom = (roomId) => {
+  if (rooms.has(roomId)) return Promise.resolve(rooms.get(roomId));
+  if (!loadingRooms.has(roomId)) {
+    const loading = Promise.all([roomStore.load(roomId), roomStore.loadSnapshots(roomId)])
+      .then(([stored, snapshots]) => {
+        if (!stored) return null;
+        const room = {
+          ...createRoom(roomId),
+          ...stored,
+          snapshots,
+          appliedOperations: createOperationLog(stored.appliedOperations),
+          pages: normalizePageOrder(stored.pages.map(normalizePage))
+        };
+        rooms.set(roomId, room);
+        return room;
+      })
+      .finally(() => loadingRooms.delete(roomId));
+    loadingRooms.set(roomId, loading);
+  }
+  return loadingRooms.get(roomId);
+};
+
+// A room nobody is in stays loaded only while a request is using it
+const releaseRoom = (room) => {
+  if (room.presence.size === 0 && room.requests === 0 && rooms.get(room.id) === room) rooms.delete(room.id);
+};
+
+// Rooms come into being when someone joins one
+const getRoom = async (roomId) => {
+  const room = await loadRoom(roomId);
+  if (room) return room;
+  if (!rooms.has(roomId)) rooms.set(roomId, createRoom(roomId));
+  return rooms.get(roomId);
+};
+
+// Saves are coalesced: changes made while a save is being written go out together in one more
+const persistRoom = (room) => {
+  room.updatedAt = Date.now();
+  clearTimeout(room.delayedSave);
+  room.delayedSave = null;
+  if (room.saving) {
+    if (!room.nextSave) {
+      room.nextSave = room.saving.then(() => {
+        room.nextSave = null;
+        return persistRoom(room);
+      });
+    }
+    return room.nextSave;
+  }
+  room.saving = roomStore.save(serializeRoom(room))
+    .catch(error => logger.error(`Failed to persist room ${room.id}: ${error.message}`))
+    .finally(() => {
+      room.saving = null;
+    });
+  return room.saving;
+};
+
+// Text boxes send an edit per keystroke, so the room is saved once typing pauses
+const persistRoomSoon = (room) => {
+  if (room.delayedSave) return;
+  room.delayedSave = setTimeout(() => persistRoom(room), TEXT_SAVE_DELAY_MS);
+  room.delayedSave.unref();
+};
+
+const persistSnapshots = async (room) => {
+  try {
+    await roomStore.saveSnapshots(room.id, room.snapshots);
+  } catch (error) {
+    logger.error(`Failed to persist snapshots of room ${room.id}: ${error.message}`);
+  }
+};
+
+const purgeExpiredRooms = async () => {
+  try {
+    const expired = await removeExpiredRooms(roomStore, Date.now() - ROOM_RETENTION_MS, id => rooms.has(id));
+    if (expired.length) {
+      logger.info(`Purged ${expired.length} expired room(s)`);
+    }
+  } catch (error) {
+    logger.error(`Room purge failed: ${error.message}`);
+  }
 };
 
+setInterval(purgeExpiredRooms, ROOM_SWEEP_INTERVAL_MS).unref();
+
+const snapshotActiveRooms = () => {
+  rooms.forEach(room => {
+    if (hasChangesSinceSnapshot(room)) {
+      createSnapshot(room, { auto: true });
+      persistSnapshots(room);
+    }
+  });
+};
+
+setInterval(snapshotActiveRooms, SNAPSHOT_INTERVAL_MS).unref();
+
+// A client that has not reconnected in time leaves for good: its open strokes are
+// committed, it drops off the roster, and an empty room is unloaded
+const finishDeparture = (room, clientId) => {
+  room.departures.delete(clientId);
+  const committed = commitClientStrokes(room, clientId);
+  committed.forEach(({ stroke, pageId }) => {
+    broadcast(room.id, 'endStroke', { strokeId: stroke.strokeId, pageId, stroke });
+  });
+  leavePresence(room, clientId);
+  io.to(room.id).emit('presenceLeft', { clientId });
+
+  if (room.presence.size === 0) {
+    // It stays in the store until the retention period lapses
+    persistRoom(room).then(() => releaseRoom(room));
+  } else if (committed.length) {
+    persistRoom(room);
+  }
+};
+
+// Sockets of the same account in a room share an undo history, so they share its state
+const historyChannel = (roomId, userId) => `${roomId}\u0000history\u0000${userId}`;
+
+io.use(auth.socketMiddleware);
+
+// Tabs send a client ID that survives reconnects; without one the socket is its own client.
+// A duplicated tab starts with a copy of the original's client ID, but not its instance ID,
+// which is new on every page load: while the original is connected, the copy is turned away
+// and picks a new client ID. Only the same account's sockets count, since client IDs are
+// broadcast: another account reusing one must not lock its owner out. It cannot take over
+// the owner's roster entry either, as joinPresence refuses entries of other accounts.
+io.use((socket, next) => {
+  const { clientId, instanceId } = socket.handshake.auth || {};
+  socket.data.clientId = typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId) ?
+    clientId :
+    socket.id;
+  socket.data.instanceId = typeof instanceId === 'string' ? instanceId : null;
+  const taken = Array.from(io.sockets.sockets.values()).some(other => (
+    other.data.clientId === socket.data.clientId &&
+    other.data.user.id === socket.data.user.id &&
+    other.data.instanceId !== socket.data.instanceId
+  ));
+  next(taken ? new Error('clientIdInUse') : undefined);
+});
+
 io.on('connection', (socket) => {
-  logger.info(`New connection: ${socket.id}`);
+  const userId = socket.data.user.id;
+  logger.info(`New connection: ${socket.id} (user ${userId}, client ${socket.data.clientId})`);
 
-  socket.on('endStroke', (data) => {
+  // Queued client operations carry an opId and are acknowledged once handled. Replays of
+  // operations the room has already applied are acknowledged without running again. The
+  // acknowledgement is sent even when handling fails, with `error` set, so the client does
+  // not retry the operation forever.
+  const replayable = (handler) => async (data, ack) => {
+    let failed = false;
+    try {
+      const room = validateRoomId(data?.roomId) ? await getJoinedRoom(data.roomId) : null;
+      if (!room || room.appliedOperations.claim(data.opId)) {
+        await handler(data);
+      }
+    } catch (error) {
+      failed = true;
+      logger.error(`Queued operation error: ${error.message}`);
+    } finally {
+      if (typeof ack === 'function') ack(failed ? { error: true } : undefined);
+    }
+  };
+
+  const emitHistoryState = (room) => {
+    io.to(historyChannel(room.id, userId)).emit('historyState', getHistoryState(room, userId));
+  };
+
+  // Room events only apply to rooms this socket was admitted to by joinRoom
+  const getJoinedRoom = async (roomId) => {
+    if (!validateRoomId(roomId) || !socket.rooms.has(roomId)) return null;
+    return getRoom(roomId);
+  };
+
+  const getEditableRoom = async (roomId, action) => {
+    const room = await getJoinedRoom(roomId);
+    if (!room) return null;
+    if (!canEdit(room, userId)) {
+      logger.warn(`Denied ${action} in room ${roomId} for viewer ${userId}`);
+      socket.emit('permissionDenied', { roomId, action });
+      return null;
+    }
+    return room;
+  };
+
+  const getOwnedRoom = async (roomId, action) => {
+    const room = await getJoinedRoom(roomId);
+    if (!room) return null;
+    if (!isOwner(room, userId)) {
+      socket.emit('permissionDenied', { roomId, action });
+      return null;
+    }
+    return room;
+  };
+
+  socket.on('endStroke', replayable(async (data) => {
     if (!validateRoomId(data.roomId)) {
       logger.warn(`Invalid room ID format in endStroke event from ${socket.id}`);
       return;
     }
   
     try {
-      io.to(data.roomId).emit('endStroke', {
+      const room = await getEditableRoom(data.roomId, 'endStroke');
+      if (!room) return;
+      const committed = commitStroke(room, data.strokeId);
+      broadcast(data.roomId, 'endStroke', {
         strokeId: data.strokeId,
-        page: data.page
+        pageId: committed ? committed.pageId : data.pageId,
+        stroke: committed?.stroke
       });
+      if (committed) {
+        recordOperation(room, userId, {
+          type: 'stroke',
+          pageId: committed.pageId,
+          strokeId: committed.stroke.strokeId
+        });
+        emitHistoryState(room);
+        await persistRoom(room);
+      }
     } catch (error) {
       logger.error(`EndStroke event error: ${error.message}`);
     }
+  }));
+
+  // Shapes and text boxes arrive whole, one object per event
+  const handleAddObject = (event, commit, field) => replayable(async (data) => {
+    if (!isValidPageId(data.pageId)) return;
+    try {
+      const room = await getEditableRoom(data.roomId, event);
+      if (!room) return;
+      const committed = commit(room, {
+        pageId: data.pageId,
+        senderId: socket.data.clientId,
+        stroke: data[field]
+      });
+      if (!committed) {
+        logger.warn(`Invalid ${event} data from ${socket.id}`);
+        return;
+      }
+      broadcast(data.roomId, event, committed);
+      recordOperation(room, userId, {
+        type: 'stroke',
+        pageId: committed.pageId,
+        strokeId: committed.stroke.strokeId
+      });
+      emitHistoryState(room);
+      await persistRoom(room);
+    } catch (error) {
+      logger.error(`${event} error: ${error.message}`);
+    }
   });
 
-  socket.on('joinRoom', (roomId) => {
+  socket.on('addShape', handleAddObject('addShape', commitShape, 'shape'));
+  socket.on('addText', handleAddObject('addText', commitText, 'text'));
+  socket.on('addFill', handleAddObject('addFill', commitFill, 'fill'));
+
+  // Edits to strokes already on a page. `apply` changes the page, records the history entry
+  // and returns [event, payload] to broadcast, or null when nothing changed.
+  const handleStrokeEdit = (event, apply, persist = persistRoom) => replayable(async (data) => {
+    if (!isValidPageId(data.pageId)) return;
+    try {
+      const room = await getEditableRoom(data.roomId, event);
+      const page = room?.pages.find(p => p.id === data.pageId);
+      if (!page) return;
+      const change = apply(room, page, data);
+      if (!change) return;
+      const [broadcastEvent, payload] = change;
+      broadcast(data.roomId, broadcastEvent, { pageId: page.id, ...payload });
+      emitHistoryState(room);
+      await persist(room);
+    } catch (error) {
+      logger.error(`${event} error: ${error.message}`);
+    }
+  });
+
+  // Sent on every edit while a text box is being typed into, so others see it live
+  socket.on('updateText', handleStrokeEdit('updateText', (room, page, data) => {
+    const updated = updateText(room, data);
+    if (!updated) return null;
+    recordUpdate(room, userId, updated, `text:${data.strokeId}`);
+    const [{ strokeId, after }] = updated.updates;
+    return ['updateText', { strokeId, changes: after }];
+  }, persistRoomSoon));
+
+  // Pasted and duplicated selections
+  socket.on('addStrokes', handleStrokeEdit('addStrokes', (room, page, data) => {
+    const added = addStrokes(room, { pageId: page.id, senderId: socket.data.clientId, strokes: data.strokes });
+    if (!added) return null;
+    recordOperation(room, userId, { type: 'add', pageId: page.id, strokeIds: added.strokes.map(s => s.strokeId) });
+    return ['addStrokes', { strokes: added.strokes }];
+  }));
+
+  // Carries each stroke's resulting transform rather than a delta, so replays are harmless
+  socket.on('transformStrokes', handleStrokeEdit('transformStrokes', (room, page, data) => {
+    const updated = transformStrokes(room, data);
+    if (!updated) return null;
+    recordUpdate(room, userId, updated);
+    return ['strokesUpdated', {
+      updates: updated.updates.map(({ strokeId, after }) => ({ strokeId, changes: after }))
+    }];
+  }));
+
+  socket.on('deleteStrokes', handleStrokeEdit('deleteStrokes', (room, page, data) => {
+    if (!Array.isArray(data.strokeIds)) return null;
+    const removed = removeStrokes(page, unlockedStrokeIds(page, data.strokeIds));
+    if (!removed.length) return null;
+    recordOperation(room, userId, { type: 'delete', pageId: page.id, placements: removed });
+    return ['strokesRemoved', { strokeIds: removed.map(({ stroke }) => stroke.strokeId) }];
+  }));
+
+  socket.on('reorderStrokes', handleStrokeEdit('reorderStrokes', (room, page, data) => {
+    if (!Array.isArray(data.strokeIds)) return null;
+    const before = page.strokes.map(stroke => stroke.strokeId);
+    const order = reorderStrokes(page, unlockedStrokeIds(page, data.strokeIds), data.to);
+    if (!order) return null;
+    recordOperation(room, userId, { type: 'reorder', pageId: page.id, before, after: order });
+    return ['strokesReordered', { order }];
+  }));
+
+  // Auto-shape swapping a sketch for the shape it was recognized as, or reverting that
+  socket.on('replaceStrokes', handleStrokeEdit('replaceStrokes', (room, page, data) => {
+    const replaced = replaceStrokes(page, {
+      senderId: socket.data.clientId,
+      strokeIds: data.strokeIds,
+      strokes: data.strokes
+    });
+    if (!replaced) return null;
+    recordOperation(room, userId, {
+      type: 'replace',
+      pageId: page.id,
+      replaced: replaced.removed.map(({ stroke }) => stroke),
+      replacements: replaced.strokes
+    });
+    return ['strokesReplaced', {
+      strokeIds: replaced.removed.map(({ stroke }) => stroke.strokeId),
+      strokes: replaced.strokes,
+      indices: replaced.strokes.map((_, i) => replaced.index + i)
+    }];
+  }));
+
+  // Accepts a bare room ID or { roomId, password } for password-protected rooms
+  socket.on('joinRoom', async (data) => {
+    const { roomId, password } = typeof data === 'string' ? { roomId: data } : (data || {});
     try {
       if (!validateRoomId(roomId)) {
         throw new Error('Invalid room ID format');
       }
 
-      socket.join(roomId);
-      const room = rooms.get(roomId) || { 
-        participants: 0, 
-        pages: [{ id: Date.now(), imageData: '' }] 
-      };
-      room.participants++;
-      rooms.set(roomId, room);
+      const room = await getRoom(roomId);
+      const access = await admitMember(room, socket.data.user, password);
+      if (access.error) {
+        socket.emit('joinError', { roomId, reason: access.error });
+        releaseRoom(room);
+        return;
+      }
+
+      const startsSession = room.presence.size === 0;
+      const entry = joinPresence(room, socket.data.clientId, socket.id, socket.data.user);
+      if (!entry) {
+        socket.emit('joinError', { roomId, reason: 'clientIdInUse' });
+        releaseRoom(room);
+        return;
+      }
+      // Each session's recording starts from the state the room was in when the first person joined
+      if (startsSession) recorder.record(roomId, 'state', { pages: room.pages, chat: room.chat });
+      clearTimeout(room.departures.get(socket.data.clientId));
+      room.departures.delete(socket.data.clientId);
+
+      const rejoining = socket.rooms.has(roomId);
+      socket.join([roomId, historyChannel(roomId, userId)]);
       
-      logger.info(`Socket ${socket.id} joined room: ${roomId}`);
+      logger.info(`Socket ${socket.id} joined room: ${roomId} as ${access.role}`);
       socket.emit('roomStatus', { 
-        participants: room.participants,
-        roomId 
+        participants: room.presence.size,
+        roomId,
+        role: access.role,
+        ownerId: room.ownerId,
+        isProtected: Boolean(room.passwordHash)
       });
+      socket.emit('presenceList', listPresence(room));
+      socket.emit('historyState', getHistoryState(room, userId));
+      if (!rejoining) socket.to(roomId).emit('presenceJoined', entry);
+      io.to(roomId).emit('roomMembers', listMembers(room));
+      if (access.changed) await persistRoom(room);
 
     } catch (error) {
       logger.error(`Join room error: ${error.message}`);
@@ -128,53 +618,104 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('addPage', (data) => {
-    if (validateRoomId(data.roomId)) {
-      const room = rooms.get(data.roomId) || { pages: [] };
-      
-      // Update existing page BEFORE adding new one
-      const pageIndex = room.pages.findIndex(p => p.id === data.pageId);
-      if (pageIndex > -1) {
-        room.pages[pageIndex].imageData = data.imageData;
-      }
-  
-      // Add new blank page AFTER updating current
-      const newPage = { id: Date.now(), imageData: '' };
-      room.pages = [...room.pages, newPage]; // Preserve existing pages
-      rooms.set(data.roomId, room);
-  
-      // Broadcast updated pages
-      io.to(data.roomId).emit('fullPageUpdate', room.pages);
+  // Cursor moves are frequent and disposable, so they are neither recorded nor buffered
+  socket.on('presenceUpdate', async (data) => {
+    try {
+      const room = await getJoinedRoom(data?.roomId);
+      if (!room) return;
+      const entry = updatePresence(room, socket.data.clientId, data);
+      if (entry) socket.volatile.to(room.id).emit('presenceUpdated', entry);
+    } catch (error) {
+      logger.error(`Presence update error: ${error.message}`);
     }
   });
-  
-  // Add this new handler
 
-  socket.on('removePage', (data) => {
-    if (validateRoomId(data.roomId)) {
-      const room = rooms.get(data.roomId);
-      if (room) {
-        room.pages = room.pages.filter(p => p.id !== data.pageId);
-        rooms.set(data.roomId, room);
-        io.to(data.roomId).emit('fullPageUpdate', room.pages);
-      }
+  // Unlike cursor moves, who presents must reach everyone, the presenter included
+  socket.on('setPresenting', async (data) => {
+    try {
+      const room = await getJoinedRoom(data?.roomId);
+      if (!room) return;
+      setPresenting(room, socket.data.clientId, data.presenting === true)
+        .forEach(entry => io.to(room.id).emit('presenceUpdated', entry));
+    } catch (error) {
+      logger.error(`Set presenting error: ${error.message}`);
     }
   });
 
-  socket.on('requestInitialState', (roomId) => {
-    if (validateRoomId(roomId)) {
-      const room = rooms.get(roomId);
-      socket.emit('initialState', room?.pages || []);
+  socket.on('setRoomPassword', async (data) => {
+    try {
+      const room = await getOwnedRoom(data?.roomId, 'setRoomPassword');
+      if (!room) return;
+      await setRoomPassword(room, data.password);
+      io.to(room.id).emit('roomSettings', { isProtected: Boolean(room.passwordHash) });
+      await persistRoom(room);
+      logger.info(`Room ${room.id} password ${room.passwordHash ? 'set' : 'cleared'}`);
+    } catch (error) {
+      logger.error(`Set room password error: ${error.message}`);
     }
   });
 
-  socket.on('updatePageState', (data) => {
-    if (validateRoomId(data.roomId)) {
-      const room = rooms.get(data.roomId);
-      const page = room?.pages?.find(p => p.id === data.pageId);
-      if (page) {
-        page.imageData = data.imageData;
-        rooms.set(data.roomId, room);
+  socket.on('setMemberRole', async (data) => {
+    try {
+      const room = await getOwnedRoom(data?.roomId, 'setMemberRole');
+      if (!room) return;
+      setMemberRole(room, data.userId, data.role);
+      io.to(room.id).emit('roomMembers', listMembers(room));
+      await persistRoom(room);
+    } catch (error) {
+      logger.error(`Set member role error: ${error.message}`);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Page list changes go out as operations rather than the whole list, so concurrent
+  // edits from different clients merge instead of overwriting each other
+  const handlePageOperation = (event, apply) => replayable(async (data) => {
+    if (!validateRoomId(data?.roomId)) return;
+    try {
+      const room = await getEditableRoom(data.roomId, event);
+      if (!room) return;
+      const operation = apply(room, data);
+      if (!operation) return;
+      broadcast(room.id, event, operation);
+      const repositioned = rebalancePositions(room);
+      if (repositioned) broadcast(room.id, 'repositionPages', repositioned);
+      await persistRoom(room);
+    } catch (error) {
+      logger.error(`${event} error: ${error.message}`);
+    }
+  });
+
+  socket.on('addPage', handlePageOperation('addPage', insertPage));
+  socket.on('duplicatePage', handlePageOperation('duplicatePage', duplicatePage));
+  socket.on('removePage', handlePageOperation('removePage', (room, data) => {
+    const page = room.pages.find(p => p.id === data.pageId);
+    if (!page || room.pages.length <= 1) return null;
+    createSnapshot(room, { name: `Before removing ${describePage(room, page)}`, auto: true });
+    persistSnapshots(room);
+    return deletePage(room, data.pageId);
+  }));
+  socket.on('movePage', handlePageOperation('movePage', movePage));
+  socket.on('renamePage', handlePageOperation('renamePage', renamePage));
+  socket.on('setPageBackground', handlePageOperation('setPageBackground', setPageBackground));
+
+  // Layers change the same way; locking is kept to the owner so students can't undo it
+  socket.on('addLayer', handlePageOperation('addLayer', addLayer));
+  socket.on('updateLayer', handlePageOperation('updateLayer', (room, data) => (
+    updateLayer(room, data, { canLock: isOwner(room, userId) })
+  )));
+  socket.on('moveLayer', handlePageOperation('moveLayer', moveLayer));
+
+  socket.on('requestInitialState', async (roomId) => {
+    if (validateRoomId(roomId)) {
+      try {
+        const room = await getJoinedRoom(roomId);
+        if (!room) return;
+        socket.emit('initialState', room.pages);
+        socket.emit('chatHistory', room.chat);
+      } catch (error) {
+        logger.error(`Initial state error: ${error.message}`);
+        socket.emit('initialState', []);
       }
     }
   });
@@ -183,18 +724,33 @@ io.on('connection', (socket) => {
     if (!data?.image || !validateRoomId(data.roomId)) {
       logger.error('Invalid AI request format');
       return socket.emit('aiError', {
-        roomId: data.roomId,
+        roomId: data?.roomId,
         message: 'Invalid request format'
       });
     }
 
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => {
-      controller.abort();
-      logger.error('AI request timed out');
-    }, 15000);
+    let timeoutId = null;
 
     try {
+      const room = await getEditableRoom(data.roomId, 'processWithAI');
+      if (!room) return;
+      if (!aiProvider) {
+        return socket.emit('aiError', {
+          roomId: data.roomId,
+          message: 'AI answers are not set up on this server'
+        });
+      }
+      // Typed text and the page background aren't in the camera drawing, so they go along with the prompt
+      const page = room.pages.find(p => p.id === data.pageId);
+      const pageText = page ? getPageText(page) : [];
+      const background = page && data.includeBackground ? describeBackground(page.background) : null;
+
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        logger.error('AI request timed out');
+      }, 15000);
+
       const imageParts = data.image.split(',');
       if (imageParts.length !== 2 || !imageParts[1]) {
         throw new Error('Invalid image data format');
@@ -205,42 +761,25 @@ io.on('connection', (socket) => {
         throw new Error('Image too large');
       }
 
-      const model = genAI.getGenerativeModel({
-        model: "gemini-1.5-flash",
-        generationConfig: {
-          maxOutputTokens: 1500,
-          temperature: 0.4
-        },
-        systemInstruction: {
-          parts: [{
-            text: "You are a patient math tutor. Analyze handwritten problems carefully. " +
-                  "Look for numbers, symbols, and equations. If unsure, make reasonable " +
-                  "assumptions and state them. Present solutions step-by-step with clear explanations."
-          }]
-        }
-      });
-
       logger.info(`Processing AI request for room: ${data.roomId}`);
       
-      const result = await model.generateContent(
-        [
-          data.prompt || "Analyze this drawn math problem and provide step-by-step solution:",
-          {
-            inlineData: {
-              data: imageParts[1],
-              mimeType: "image/jpeg"
-            }
-          }
+      const text = await aiProvider.analyze({
+        prompt: data.prompt || "Analyze this drawn math problem and provide step-by-step solution:",
+        context: [
+          ...(pageText.length ? [`Text typed on the whiteboard page:\n${pageText.join('\n')}`] : []),
+          ...(background ? [background] : [])
         ],
-        { signal: controller.signal }
-      );
+        image: {
+          data: imageParts[1],
+          mimeType: "image/jpeg"
+        },
+        signal: controller.signal
+      });
 
       clearTimeout(timeoutId);
-      const response = await result.response;
-      const text = response.text();
 
       logger.info(`AI response generated for room: ${data.roomId}`);
-      io.to(data.roomId).emit('aiResponse', {
+      broadcast(data.roomId, 'aiResponse', {
         roomId: data.roomId,
         response: text.replace(/\n/g, '<br>')
           .replace(/\*\*/g, '')
@@ -271,66 +810,291 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('draw', (data) => {
+  socket.on('draw', replayable(async (data) => {
     if (!validateDrawData(data)) {
       logger.warn(`Invalid draw data from ${socket.id}`);
       return;
     }
   
     try {
-      const room = rooms.get(data.roomId);
-      if (room && validatePageIndex(room, data.page)) {
-        // Broadcast to all clients regardless of current page
-        io.to(data.roomId).emit('draw', {
+      const room = await getEditableRoom(data.roomId, 'draw');
+      if (room) {
+        const stylus = sanitizeStylus(data.pressure, data.tilt);
+        // Eraser, highlighter or plain ink
+        const operation = data.isErasing ? 'destination-out' : data.compositeOperation;
+        const drawData = {
           ...data,
-          compositeOperation: data.isErasing ? 'destination-out' : 'source-over'
-        });
+          pressure: stylus.p,
+          tilt: stylus.t,
+          senderId: socket.data.clientId,
+          compositeOperation: ['destination-out', 'multiply'].includes(operation) ? operation : 'source-over'
+        };
+        if (!appendStrokePoint(room, socket.data.clientId, drawData)) return;
+        // Broadcast to all clients regardless of current page
+        broadcast(data.roomId, 'draw', drawData);
       }
     } catch (error) {
       logger.error(`Draw event error: ${error.message}`);
     }
+  }));
+
+  // Laser and disappearing ink are never stored, so a lost piece is simply never seen
+  socket.on('ephemeralDraw', async (data) => {
+    try {
+      const trail = sanitizeTrail(data);
+      if (!trail) return;
+      const room = await getEditableRoom(data?.roomId, 'ephemeralDraw');
+      if (room) socket.volatile.to(room.id).emit('ephemeralDrawn', { ...trail, senderId: socket.data.clientId });
+    } catch (error) {
+      logger.error(`Ephemeral draw error: ${error.message}`);
+    }
   });
 
-  socket.on('chatMessage', (msgData) => {
+  socket.on('chatMessage', replayable(async (msgData) => {
     if (!msgData?.message || !validateRoomId(msgData.roomId)) return;
     try {
+      const room = await getJoinedRoom(msgData.roomId);
+      if (!room) return;
       const sanitizedMessage = msgData.message.substring(0, 200);
       const finalData = {
         ...msgData,
+        // Names come from the account, never from the client payload
+        username: socket.data.user.name,
+        userId,
+        senderId: socket.data.clientId,
         message: sanitizedMessage,
         timestamp: Date.now()
       };
-      io.to(msgData.roomId).emit('chatMessage', finalData);
+      broadcast(msgData.roomId, 'chatMessage', finalData);
+
+      room.chat = [...room.chat, finalData].slice(-MAX_CHAT_HISTORY);
+      await persistRoom(room);
     } catch (error) {
       logger.error(`Chat message error: ${error.message}`);
     }
-  });
+  }));
 
-  socket.on('clearCanvas', (data) => {
+  // Clears one layer of a page: the one named, or the base layer for clients that name none
+  socket.on('clearCanvas', replayable(async (data) => {
     if (!validateRoomId(data.roomId)) return;
     try {
-      io.to(data.roomId).emit('clearCanvas', data);
+      const room = await getEditableRoom(data.roomId, 'clearCanvas');
+      const page = room?.pages.find(p => p.id === data.pageId);
+      if (!page) return;
+      const layerId = strokeLayerId(data);
+      if (!isLayerWritable(page, layerId)) {
+        socket.emit('permissionDenied', { roomId: data.roomId, action: 'clearCanvas' });
+        return;
+      }
+      if (page.strokes.some(stroke => strokeLayerId(stroke) === layerId)) {
+        createSnapshot(room, { name: `Before clearing ${describePage(room, page)}`, auto: true });
+        persistSnapshots(room);
+      }
+      const cleared = clearLayer(page, layerId);
+      broadcast(data.roomId, 'clearCanvas', {
+        roomId: data.roomId,
+        senderId: socket.data.clientId,
+        pageId: page.id,
+        layerId
+      });
+
+      if (cleared.length) {
+        recordOperation(room, userId, { type: 'clear', pageId: page.id, layerId, strokes: cleared });
+        emitHistoryState(room);
+      }
+      await persistRoom(room);
     } catch (error) {
       logger.error(`Clear canvas error: ${error.message}`);
     }
+  }));
+
+  const handleHistoryStep = (direction) => async (data) => {
+    if (!validateRoomId(data?.roomId)) return;
+    try {
+      const room = await getEditableRoom(data.roomId, direction);
+      if (!room) return;
+      const change = direction === 'undo' ? undo(room, userId) : redo(room, userId);
+      emitHistoryState(room);
+      if (!change) return;
+
+      if (change.removed && change.restored) {
+        broadcast(data.roomId, 'strokesReplaced', {
+          pageId: change.pageId,
+          strokeIds: change.removed,
+          strokes: change.restored,
+          indices: change.indices
+        });
+      } else if (change.removed) {
+        broadcast(data.roomId, 'strokesRemoved', {
+          pageId: change.pageId,
+          strokeIds: change.removed
+        });
+      } else if (change.updated) {
+        broadcast(data.roomId, 'strokesUpdated', { pageId: change.pageId, updates: change.updated });
+      } else if (change.order) {
+        broadcast(data.roomId, 'strokesReordered', { pageId: change.pageId, order: change.order });
+      } else {
+        // Strokes put back one by one carry an index each; a cleared page comes back as one run
+        broadcast(data.roomId, 'strokesRestored', {
+          pageId: change.pageId,
+          strokes: change.restored,
+          ...(change.indices ? { indices: change.indices } : { index: change.index })
+        });
+      }
+      await persistRoom(room);
+    } catch (error) {
+      logger.error(`${direction} error: ${error.message}`);
+    }
+  };
+
+  socket.on('undo', handleHistoryStep('undo'));
+  socket.on('redo', handleHistoryStep('redo'));
+
+  // Leaving on purpose skips the reconnect grace period
+  socket.on('leaveRoom', async (roomId) => {
+    try {
+      const room = await getJoinedRoom(roomId);
+      if (!room) return;
+      socket.leave(roomId);
+      socket.leave(historyChannel(roomId, userId));
+      if (markDisconnected(room, socket.data.clientId, socket.id)) {
+        clearTimeout(room.departures.get(socket.data.clientId));
+        finishDeparture(room, socket.data.clientId);
+      }
+    } catch (error) {
+      logger.error(`Leave room error: ${error.message}`);
+    }
   });
 
-  socket.on('disconnect', (reason) => {
+  // socket.rooms is already empty by 'disconnect', so room bookkeeping happens here.
+  // The client keeps its roster entry and open strokes for a while in case it reconnects.
+  socket.on('disconnecting', (reason) => {
     logger.info(`Disconnected: ${socket.id} (${reason})`);
     Array.from(socket.rooms).forEach(roomId => {
-      if (roomId !== socket.id && rooms.has(roomId)) {
-        const room = rooms.get(roomId);
-        room.participants--;
-        if (room.participants <= 0) {
-          rooms.delete(roomId);
-        } else {
-          rooms.set(roomId, room);
-        }
-      }
+      const room = rooms.get(roomId);
+      if (!room) return;
+      const entry = markDisconnected(room, socket.data.clientId, socket.id);
+      if (!entry) return;
+      socket.to(roomId).emit('presenceUpdated', entry);
+      clearTimeout(room.departures.get(socket.data.clientId));
+      const timer = setTimeout(() => finishDeparture(room, socket.data.clientId), RECONNECT_GRACE_MS);
+      timer.unref();
+      room.departures.set(socket.data.clientId, timer);
     });
   });
 });
 
+// Loads req.room for room APIs; members may read, only editors and owners may change.
+// A room nobody is in is unloaded again once the request is answered.
+const requireRoomAccess = (access) => async (req, res, next) => {
+  try {
+    const room = await loadRoom(req.params.roomId);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    room.requests += 1;
+    res.on('close', () => {
+      room.requests -= 1;
+      releaseRoom(room);
+    });
+    const role = getRole(room, req.user.id);
+    if (!role) return res.status(403).json({ error: 'Not a member of this room' });
+    if (access === 'edit' && !canEdit(room, req.user.id)) {
+      return res.status(403).json({ error: 'Viewers cannot change this room' });
+    }
+    req.room = room;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.get('/api/rooms/:roomId/snapshots', requireRoomAccess('read'), async (req, res, next) => {
+  try {
+    const { room } = req;
+    res.json(room.snapshots.map(summarizeSnapshot).reverse());
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/rooms/:roomId/snapshots/:snapshotId', requireRoomAccess('read'), async (req, res, next) => {
+  try {
+    const { room } = req;
+    const snapshot = findSnapshot(room, req.params.snapshotId);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    res.json(snapshot);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/rooms/:roomId/snapshots', requireRoomAccess('edit'), async (req, res, next) => {
+  try {
+    const { room } = req;
+    const snapshot = createSnapshot(room, { name: req.body?.name });
+    await persistSnapshots(room);
+    logger.info(`Snapshot ${snapshot.id} created for room: ${room.id}`);
+    res.status(201).json(summarizeSnapshot(snapshot));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch('/api/rooms/:roomId/snapshots/:snapshotId', requireRoomAccess('edit'), async (req, res, next) => {
+  try {
+    const { room } = req;
+    const snapshot = findSnapshot(room, req.params.snapshotId);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    try {
+      renameSnapshot(snapshot, req.body?.name);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    await persistSnapshots(room);
+    res.json(summarizeSnapshot(snapshot));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Body: { pageId } restores a single page; without it the whole room is restored
+app.post('/api/rooms/:roomId/snapshots/:snapshotId/restore', requireRoomAccess('edit'), async (req, res, next) => {
+  try {
+    const { room } = req;
+    const snapshot = findSnapshot(room, req.params.snapshotId);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+
+    // The state being replaced is itself kept, so a restore can be undone
+    const backup = createSnapshot(room, { name: `Before restoring "${snapshot.name}"`, auto: true });
+    let change;
+    try {
+      change = restoreSnapshot(room, snapshot, req.body?.pageId);
+      room.pages = normalizePageOrder(room.pages.map(normalizePage));
+    } catch (error) {
+      room.snapshots = room.snapshots.filter(s => s !== backup);
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Sent as page operations like any other, restored pages first so no client is left without one
+    change.restored.forEach(({ id }) => {
+      broadcast(room.id, 'restorePage', { page: room.pages.find(page => page.id === id) });
+    });
+    change.removed.forEach(removedId => broadcast(room.id, 'removePage', { pageId: removedId }));
+    await Promise.all([persistRoom(room), persistSnapshots(room)]);
+    logger.info(`Snapshot ${snapshot.id} restored in room: ${room.id}`);
+    res.json({ pages: room.pages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/rooms/:roomId/recording', requireRoomAccess('read'), async (req, res, next) => {
+  try {
+    res.json(await recorder.load(req.params.roomId));
+  } catch (error) {
+    next(error);
+  }
+});
+
 app.use((err, req, res, next) => {
   logger.error(`Server error: ${err.stack}`);
   res.status(500).json({ error: 'Internal server error' });
@@ -338,13 +1102,17 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
-  logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+  // PORT=0 picks a free port, so the one actually bound is logged
+  logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${server.address().port}`);
 });
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received: closing server');
-  server.close(() => {
-    logger.info('Server terminated');
-    process.exit(0);
+  const delayedSaves = Array.from(rooms.values()).filter(room => room.delayedSave).map(persistRoom);
+  Promise.all([recorder.flushAll(), ...delayedSaves]).finally(() => {
+    server.close(() => {
+      logger.info('Server terminated');
+      process.exit(0);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { normalizeLayers, strokeLayerId } = require('./layers');
+const { sortPages, positionAfter } = require('./pageList');
+
+// Point-in-time copies of every page in a room. Automatic snapshots are taken
+// periodically and before destructive operations; named ones are kept until deleted.
+
+const MAX_AUTO_SNAPSHOTS = 20;
+const MAX_NAMED_SNAPSHOTS = 50;
+const MAX_NAME_LENGTH = 80;
+
+const copyPages = (pages) => JSON.parse(JSON.stringify(pages));
+
+const sanitizeName = (name) => String(name || '').trim().substring(0, MAX_NAME_LENGTH);
+
+const pruneSnapshots = (snapshots) => {
+  const auto = snapshots.filter(s => s.auto).slice(-MAX_AUTO_SNAPSHOTS);
+  const named = snapshots.filter(s => !s.auto).slice(-MAX_NAMED_SNAPSHOTS);
+  return snapshots.filter(s => auto.includes(s) || named.includes(s));
+};
+
+const createSnapshot = (room, { name, auto = false } = {}) => {
+  const snapshot = {
+    id: crypto.randomUUID(),
+    name: sanitizeName(name) || new Date().toISOString(),
+    auto,
+    createdAt: Date.now(),
+    pages: copyPages(room.pages)
+  };
+  room.snapshots = pruneSnapshots([...room.snapshots, snapshot]);
+  return snapshot;
+};
+
+// Periodic snapshots are skipped when nothing changed since the latest one
+const hasChangesSinceSnapshot = (room) => {
+  const latest = room.snapshots[room.snapshots.length - 1];
+  return !latest || JSON.stringify(latest.pages) !== JSON.stringify(room.pages);
+};
+
+const summarizeSnapshot = ({ pages, ...snapshot }) => ({
+  ...snapshot,
+  pageCount: pages.length
+});
+
+const findSnapshot = (room, snapshotId) => room.snapshots.find(s => s.id === snapshotId);
+
+const renameSnapshot = (snapshot, name) => {
+  const cleanName = sanitizeName(name);
+  if (!cleanName) throw new Error('Snapshot name is required');
+  snapshot.name = cleanName;
+  // Naming an automatic snapshot keeps it from being pruned
+  snapshot.auto = false;
+  return snapshot;
+};
+
+// Layers locked in the room now stay as they are: their settings and strokes are kept and
+// the snapshot's strokes on them are dropped. A locked layer the snapshot lacks is kept too.
+const keepLockedLayers = (current, page) => {
+  const locked = normalizeLayers(current.layers).filter(layer => layer.locked);
+  if (!locked.length) return page;
+  const isLocked = (layerId) => locked.some(layer => layer.id === layerId);
+  const layers = normalizeLayers(page.layers).map(layer => locked.find(l => l.id === layer.id) || layer);
+  return {
+    ...page,
+    layers: [...layers, ...locked.filter(layer => !layers.some(l => l.id === layer.id))],
+    strokes: [
+      ...(page.strokes || []).filter(stroke => !isLocked(strokeLayerId(stroke))),
+      ...current.strokes.filter(stroke => isLocked(strokeLayerId(stroke)))
+    ]
+  };
+};
+
+// Restores the whole room, or only `pageId` when given. A single page keeps its current place
+// in the list, and one that has been removed since is added again at the end. Returns the
+// restored pages and the IDs of pages a whole-room restore dropped.
+const restoreSnapshot = (room, snapshot, pageId) => {
+  const restoreAll = pageId === undefined || pageId === null;
+  const pages = copyPages(restoreAll ? snapshot.pages : snapshot.pages.filter(p => p.id === pageId));
+  if (!pages.length) throw new Error('Page not found in snapshot');
+
+  const restored = pages.map(page => {
+    const current = room.pages.find(p => p.id === page.id);
+    if (!current) {
+      return restoreAll ? page : { ...page, position: positionAfter(room.pages, room.pages[room.pages.length - 1].id) };
+    }
+    return keepLockedLayers(current, restoreAll ? page : { ...page, position: current.position });
+  });
+
+  const removed = restoreAll ?
+    room.pages.filter(p => !restored.some(page => page.id === p.id)).map(p => p.id) :
+    [];
+  room.pages = sortPages([
+    ...room.pages.filter(p => !removed.includes(p.id) && !restored.some(page => page.id === p.id)),
+    ...restored
+  ]);
+  return { restored, removed };
+};
+
+module.exports = {
+  createSnapshot,
+  hasChangesSinceSnapshot,
+  summarizeSnapshot,
+  findSnapshot,
+  renameSnapshot,
+  restoreSnapshot
+};
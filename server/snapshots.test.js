@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./pageList');
+const { createLayer } = require('./layers');
+const {
+  createSnapshot,
+  hasChangesSinceSnapshot,
+  summarizeSnapshot,
+  findSnapshot,
+  renameSnapshot,
+  restoreSnapshot
+} = require('./snapshots');
+
+const strokeIds = (page) => page.strokes.map(stroke => stroke.strokeId);
+
+test('a snapshot is a copy the board can change under', () => {
+  const room = { pages: [createPage({ id: 'p1', strokes: [{ strokeId: 'a' }] })], snapshots: [] };
+  assert.equal(hasChangesSinceSnapshot(room), true);
+  const snapshot = createSnapshot(room, { name: '  Lesson start  ' });
+  assert.equal(snapshot.name, 'Lesson start');
+  assert.equal(hasChangesSinceSnapshot(room), false);
+
+  room.pages[0].strokes.push({ strokeId: 'b' });
+  assert.equal(hasChangesSinceSnapshot(room), true);
+  assert.deepEqual(strokeIds(snapshot.pages[0]), ['a']);
+  assert.equal(findSnapshot(room, snapshot.id), snapshot);
+  assert.equal(summarizeSnapshot(snapshot).pageCount, 1);
+  assert.equal(summarizeSnapshot(snapshot).pages, undefined);
+});
+
+test('only the latest automatic snapshots are kept, and naming one keeps it', () => {
+  const room = { pages: [createPage({ id: 'p1' })], snapshots: [] };
+  const first = createSnapshot(room, { auto: true });
+  for (let i = 0; i < 20; i++) createSnapshot(room, { auto: true });
+  assert.equal(room.snapshots.length, 20);
+  assert.equal(findSnapshot(room, first.id), undefined);
+
+  renameSnapshot(room.snapshots[0], 'Keep me');
+  for (let i = 0; i < 20; i++) createSnapshot(room, { auto: true });
+  assert.equal(room.snapshots[0].name, 'Keep me');
+  assert.throws(() => renameSnapshot(room.snapshots[0], ' '), /name is required/);
+});
+
+test('restoring the room brings back its pages and reports the ones dropped', () => {
+  const room = { pages: [createPage({ id: 'p1', position: 'h', strokes: [{ strokeId: 'a' }] })], snapshots: [] };
+  const snapshot = createSnapshot(room);
+  room.pages[0].strokes = [];
+  room.pages.push(createPage({ id: 'p2', position: 'p' }));
+
+  const { restored, removed } = restoreSnapshot(room, snapshot);
+  assert.deepEqual(restored.map(page => page.id), ['p1']);
+  assert.deepEqual(removed, ['p2']);
+  assert.deepEqual(room.pages.map(page => page.id), ['p1']);
+  assert.deepEqual(strokeIds(room.pages[0]), ['a']);
+});
+
+test('a restored page keeps its place, and a removed one comes back at the end', () => {
+  const room = {
+    pages: [createPage({ id: 'p1', position: 'h' }), createPage({ id: 'p2', position: 'p' })],
+    snapshots: []
+  };
+  const snapshot = createSnapshot(room);
+  room.pages[0].position = 'w';
+  room.pages = room.pages.filter(page => page.id !== 'p2');
+  room.pages.push(createPage({ id: 'p3', position: 'z' }));
+
+  restoreSnapshot(room, snapshot, 'p1');
+  assert.equal(room.pages.find(page => page.id === 'p1').position, 'w');
+  const { removed } = restoreSnapshot(room, snapshot, 'p2');
+  assert.deepEqual(removed, []);
+  assert.deepEqual(room.pages.map(page => page.id), ['p1', 'p3', 'p2']);
+  assert.throws(() => restoreSnapshot(room, snapshot, 'gone'), /Page not found/);
+});
+
+test('layers locked since the snapshot keep their current strokes', () => {
+  const page = createPage({
+    id: 'p1',
+    layers: [createLayer(), createLayer({ id: 'answers' })],
+    strokes: [{ strokeId: 'old-ink' }, { strokeId: 'old-answer', layerId: 'answers' }]
+  });
+  const room = { pages: [page], snapshots: [] };
+  const snapshot = createSnapshot(room);
+  page.strokes = [{ strokeId: 'new-answer', layerId: 'answers' }];
+  page.layers[1].locked = true;
+  page.layers.push(createLayer({ id: 'teacher', locked: true }));
+
+  restoreSnapshot(room, snapshot);
+  assert.deepEqual(strokeIds(room.pages[0]), ['old-ink', 'new-answer']);
+  assert.deepEqual(room.pages[0].layers.map(layer => [layer.id, layer.locked]), [
+    ['base', false],
+    ['answers', true],
+    ['teacher', true]
+  ]);
+});
@@ -0,0 +1,372 @@
+// Per-page stroke logs. Strokes are assembled from the live `draw` events and
+// committed to their page on `endStroke`, so the log always replays in draw order.
+// Shapes arrive whole through `addShape` and share the log (and undo) with freehand strokes.
+// Text boxes are added the same way through `addText` and then edited in place with `updateText`.
+// Flood fills arrive through `addFill` as the outlines of the filled region, holes included.
+// Selections are pasted with `addStrokes` and moved, deleted and reordered by stroke ID.
+// Every stroke sits on one of its page's layers (see layers.js); locked layers are left alone.
+
+const {
+  normalizeLayers,
+  strokeLayerId,
+  isLayerWritable,
+  isStrokeLocked
+} = require('./layers');
+const { sanitizeBackground } = require('./pageBackgrounds');
+
+const MAX_STROKE_POINTS = 10000;
+const MAX_LINE_WIDTH = 100;
+// A pointer per finger or pen could each be drawing; more open strokes than this is a runaway client
+const MAX_ACTIVE_STROKES_PER_CLIENT = 10;
+
+const COMPOSITE_OPERATIONS = ['source-over', 'destination-out', 'multiply']; // multiply is the highlighter
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'line', 'arrow', 'polygon'];
+const FILLABLE_SHAPES = ['rectangle', 'ellipse', 'polygon'];
+const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+const MAX_POLYGON_POINTS = 100;
+const MAX_FILL_POINTS = 5000;
+const MAX_FILL_RINGS = 200;
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+const MAX_TEXT_LENGTH = 2000;
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 200;
+const MAX_COORDINATE = 1e7; // pages are unbounded; this only keeps coordinates sane
+const MAX_BATCH_SIZE = 1000;
+
+// Rooms stored before the stroke log carried a PNG in `imageData`; those bitmaps are dropped
+const normalizePage = (page) => ({
+  ...page,
+  layers: normalizeLayers(page.layers),
+  background: sanitizeBackground(page.background),
+  strokes: Array.isArray(page.strokes) ? page.strokes : []
+});
+
+const sanitizeStyle = (data) => ({
+  color: typeof data.color === 'string' ? data.color.substring(0, 32) : '#000000',
+  lineWidth: Math.min(Math.max(Number(data.lineWidth) || 1, 1), MAX_LINE_WIDTH),
+  compositeOperation: COMPOSITE_OPERATIONS.includes(data.compositeOperation) ?
+    data.compositeOperation :
+    'source-over'
+});
+
+// Stylus input is kept per point as `p` (pressure, 0 to 1) and `t` (tilt, degrees from upright)
+const sanitizeStylus = (pressure, tilt) => ({
+  ...(Number.isFinite(pressure) && { p: Math.min(Math.max(pressure, 0), 1) }),
+  ...(Number.isFinite(tilt) && { t: Math.min(Math.max(tilt, 0), 90) })
+});
+
+const hasStroke = (page, strokeId) => page.strokes.some(stroke => stroke.strokeId === strokeId);
+
+// Points for a stroke that is already on its page are dropped: it was committed without them,
+// e.g. when its client stayed away too long, and a second stroke with the same ID would split
+// the log from what clients show
+const countClientStrokes = (room, clientId) => {
+  let count = 0;
+  room.activeStrokes.forEach(stroke => {
+    if (stroke.clientId === clientId) count++;
+  });
+  return count;
+};
+
+// A stroke picked up mid-way starts from the previous point when the client sent a usable one
+const firstPoints = (data) => (
+  !data.isNewStroke && isCoordinate(data.prevX) && isCoordinate(data.prevY) ?
+    [{ x: data.prevX, y: data.prevY }] :
+    []
+);
+
+const appendStrokePoint = (room, clientId, data) => {
+  if (typeof data.strokeId !== 'string' || !data.strokeId) return null;
+
+  let stroke = room.activeStrokes.get(data.strokeId);
+  if (stroke && stroke.clientId !== clientId) return null;
+  if (!stroke) {
+    const page = room.pages.find(p => p.id === data.pageId);
+    if (!page || !isLayerWritable(page, strokeLayerId(data)) || hasStroke(page, data.strokeId)) return null;
+    if (countClientStrokes(room, clientId) >= MAX_ACTIVE_STROKES_PER_CLIENT) return null;
+    stroke = {
+      strokeId: data.strokeId,
+      senderId: data.senderId,
+      pageId: page.id,
+      clientId,
+      layerId: strokeLayerId(data),
+      ...sanitizeStyle(data),
+      points: firstPoints(data)
+    };
+    room.activeStrokes.set(data.strokeId, stroke);
+  }
+
+  if (stroke.points.length < MAX_STROKE_POINTS) {
+    stroke.points.push({ x: data.x, y: data.y, ...sanitizeStylus(data.pressure, data.tilt) });
+  }
+  return stroke;
+};
+
+const commitStroke = (room, strokeId) => {
+  const active = room.activeStrokes.get(strokeId);
+  if (!active) return null;
+  room.activeStrokes.delete(strokeId);
+
+  const { pageId, clientId, ...stroke } = active;
+  const page = room.pages.find(p => p.id === pageId);
+  if (!page || hasStroke(page, stroke.strokeId)) return null;
+
+  page.strokes.push(stroke);
+  return { stroke, pageId };
+};
+
+const isCoordinate = (value) => Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+
+const sanitizePoints = (points, min, max) => {
+  if (!Array.isArray(points) || points.length < min || points.length > max) return null;
+  if (!points.every(point => isCoordinate(point?.x) && isCoordinate(point?.y))) return null;
+  return points.map(({ x, y, p, t }) => ({ x, y, ...sanitizeStylus(p, t) }));
+};
+
+// Selected strokes are moved, scaled and rotated through a 2D affine matrix [a, b, c, d, e, f]
+// applied when they are drawn, so their points never need rewriting
+const sanitizeTransform = (transform) => {
+  if (transform === null || transform === undefined) return null;
+  if (!Array.isArray(transform) || transform.length !== 6 || !transform.every(isCoordinate)) return undefined;
+  const [a, b, c, d] = transform;
+  return Math.abs(a * d - b * c) > 1e-6 ? [...transform] : undefined;
+};
+
+// Only the fields present are sanitized and returned, so the same function serves adds and edits
+const TEXT_FIELDS = {
+  text: (value) => String(value ?? '').substring(0, MAX_TEXT_LENGTH),
+  color: (value) => (typeof value === 'string' ? value.substring(0, 32) : '#000000'),
+  fontSize: (value) => Math.min(Math.max(Math.round(Number(value)) || 24, MIN_FONT_SIZE), MAX_FONT_SIZE),
+  bold: (value) => value === true,
+  italic: (value) => value === true,
+  align: (value) => (TEXT_ALIGNMENTS.includes(value) ? value : 'left')
+};
+
+const TEXT_DEFAULTS = { text: '', color: '#000000', fontSize: 24, bold: false, italic: false, align: 'left' };
+
+const sanitizeTextFields = (data) => Object.fromEntries(
+  Object.entries(TEXT_FIELDS)
+    .filter(([field]) => data[field] !== undefined)
+    .map(([field, sanitize]) => [field, sanitize(data[field])])
+);
+
+// Polygons need at least three vertices; every other shape is defined by exactly two points
+const sanitizeGeometry = (data) => {
+  if (data.type === undefined) return sanitizePoints(data.points, 1, MAX_STROKE_POINTS);
+  if (data.type === 'text') return sanitizePoints(data.points, 1, 1);
+  if (data.type === 'polygon') return sanitizePoints(data.points, 3, MAX_POLYGON_POINTS);
+  if (data.type === 'fill') return sanitizePoints(data.points, 3, MAX_FILL_POINTS);
+  return SHAPE_TYPES.includes(data.type) ? sanitizePoints(data.points, 2, 2) : null;
+};
+
+// A fill's points are its outlines one after another; `rings` holds how many points each one has
+const sanitizeRings = (rings, pointCount) => {
+  if (!Array.isArray(rings) || !rings.length || rings.length > MAX_FILL_RINGS) return null;
+  if (!rings.every(size => Number.isInteger(size) && size >= 3)) return null;
+  return rings.reduce((sum, size) => sum + size, 0) === pointCount ? [...rings] : null;
+};
+
+// Any complete stroke, shape, text box or fill sent by a client; null when it is malformed
+const sanitizeStroke = (data) => {
+  if (!data || typeof data.strokeId !== 'string' || !data.strokeId || data.strokeId.length > 128) return null;
+  const points = sanitizeGeometry(data);
+  const transform = sanitizeTransform(data.transform);
+  if (!points || transform === undefined) return null;
+
+  let fields;
+  if (data.type === 'text') {
+    fields = sanitizeTextFields({ ...TEXT_DEFAULTS, ...data });
+  } else if (data.type === 'fill') {
+    const rings = sanitizeRings(data.rings, points.length);
+    if (!rings) return null;
+    // Painted under what the layer already shows, so its edges tuck under the lines around it
+    fields = { ...sanitizeStyle(data), compositeOperation: 'destination-over', rings };
+  } else if (data.type === undefined) {
+    fields = sanitizeStyle(data);
+  } else {
+    fields = {
+      ...sanitizeStyle(data),
+      compositeOperation: 'source-over',
+      fill: FILLABLE_SHAPES.includes(data.type) && typeof data.fill === 'string' ?
+        data.fill.substring(0, 32) :
+        null,
+      dash: DASH_STYLES.includes(data.dash) ? data.dash : 'solid'
+    };
+  }
+  return {
+    strokeId: data.strokeId,
+    layerId: strokeLayerId(data),
+    ...(data.type !== undefined && { type: data.type }),
+    ...fields,
+    ...(transform && { transform }),
+    points
+  };
+};
+
+// Adds complete strokes to the end of a page. Ones that are malformed, already on the page
+// or meant for a locked layer are skipped; returns null when nothing was added.
+const addStrokes = (room, { pageId, senderId, strokes }) => {
+  const page = room.pages.find(p => p.id === pageId);
+  if (!page || !Array.isArray(strokes)) return null;
+
+  const added = [];
+  strokes.slice(0, MAX_BATCH_SIZE).forEach(data => {
+    const stroke = sanitizeStroke(data);
+    if (!stroke || hasStroke(page, stroke.strokeId)) return;
+    if (!isLayerWritable(page, stroke.layerId)) return;
+    const entry = { strokeId: stroke.strokeId, senderId, ...stroke };
+    page.strokes.push(entry);
+    added.push(entry);
+  });
+  return added.length ? { pageId: page.id, strokes: added } : null;
+};
+
+const addSingle = (types) => (room, { pageId, senderId, stroke }) => {
+  if (!types.includes(stroke?.type)) return null;
+  const added = addStrokes(room, { pageId, senderId, strokes: [stroke] });
+  return added && { pageId: added.pageId, stroke: added.strokes[0] };
+};
+
+const commitShape = addSingle(SHAPE_TYPES);
+
+const commitText = addSingle(['text']);
+
+const commitFill = addSingle(['fill']);
+
+// Returns the applied changes and the values they replaced, or null if the text box is gone
+const updateText = (room, { pageId, strokeId, changes }) => {
+  const page = room.pages.find(p => p.id === pageId);
+  const stroke = page?.strokes.find(s => s.strokeId === strokeId && s.type === 'text');
+  if (!stroke || isStrokeLocked(page, stroke)) return null;
+
+  const applied = sanitizeTextFields(changes || {});
+  if (Object.keys(applied).length === 0) return null;
+  const before = Object.fromEntries(Object.keys(applied).map(field => [field, stroke[field]]));
+  Object.assign(stroke, applied);
+  return { pageId: page.id, updates: [{ strokeId, before, after: applied }] };
+};
+
+// Sets each listed stroke's transform; strokes no longer on the page or on a locked layer are skipped
+const transformStrokes = (room, { pageId, transforms }) => {
+  const page = room.pages.find(p => p.id === pageId);
+  if (!page || !Array.isArray(transforms)) return null;
+
+  const updates = [];
+  transforms.slice(0, MAX_BATCH_SIZE).forEach(({ strokeId, transform } = {}) => {
+    const stroke = page.strokes.find(s => s.strokeId === strokeId);
+    const sanitized = sanitizeTransform(transform);
+    if (!stroke || sanitized === undefined || isStrokeLocked(page, stroke)) return;
+    updates.push({ strokeId, before: { transform: stroke.transform ?? null }, after: { transform: sanitized } });
+    stroke.transform = sanitized;
+  });
+  return updates.length ? { pageId: page.id, updates } : null;
+};
+
+// The listed strokes that are on the page and not on a locked layer
+const unlockedStrokeIds = (page, strokeIds) => page.strokes
+  .filter(stroke => strokeIds.includes(stroke.strokeId) && !isStrokeLocked(page, stroke))
+  .map(stroke => stroke.strokeId);
+
+// Takes every stroke on one layer off the page and returns them
+const clearLayer = (page, layerId) => {
+  const cleared = page.strokes.filter(stroke => strokeLayerId(stroke) === layerId);
+  page.strokes = page.strokes.filter(stroke => strokeLayerId(stroke) !== layerId);
+  return cleared;
+};
+
+// Takes strokes off a page, remembering where each one was so it can be put back
+const removeStrokes = (page, strokeIds) => {
+  const removed = [];
+  page.strokes = page.strokes.filter((stroke, index) => {
+    if (!strokeIds.includes(stroke.strokeId)) return true;
+    removed.push({ stroke, index });
+    return false;
+  });
+  return removed;
+};
+
+// Puts removed strokes back at their old indices, lowest first, skipping any already there
+const restoreStrokes = (page, placements) => {
+  const missing = placements
+    .filter(({ stroke }) => !page.strokes.some(s => s.strokeId === stroke.strokeId))
+    .sort((a, b) => a.index - b.index);
+  return missing.map(({ stroke, index }) => {
+    const at = Math.min(index, page.strokes.length);
+    page.strokes.splice(at, 0, stroke);
+    return { stroke, index: at };
+  });
+};
+
+// Swaps strokes for others in one step, e.g. a freehand sketch for the shape it was recognized
+// as, and back. The replacements go where the first replaced stroke was. Returns the removed
+// strokes with their indices and the strokes put in, or null when either side is empty.
+const replaceStrokes = (page, { senderId, strokeIds, strokes }) => {
+  if (!Array.isArray(strokeIds) || !Array.isArray(strokes)) return null;
+  const replacements = strokes.slice(0, MAX_BATCH_SIZE)
+    .map(sanitizeStroke)
+    .filter(stroke => stroke && isLayerWritable(page, stroke.layerId))
+    .filter(stroke => !page.strokes.some(s => s.strokeId === stroke.strokeId && !strokeIds.includes(s.strokeId)))
+    .map(stroke => ({ strokeId: stroke.strokeId, senderId, ...stroke }));
+  const replacedIds = unlockedStrokeIds(page, strokeIds);
+  if (!replacedIds.length || !replacements.length) return null;
+
+  const removed = removeStrokes(page, replacedIds);
+  const index = removed[0].index;
+  page.strokes.splice(index, 0, ...replacements);
+  return { removed, strokes: replacements, index };
+};
+
+// Moves strokes to the top ('front') or bottom ('back') of the page, keeping their relative order
+const reorderStrokes = (page, strokeIds, to) => {
+  const moving = page.strokes.filter(stroke => strokeIds.includes(stroke.strokeId));
+  if (!moving.length || !['front', 'back'].includes(to)) return null;
+  const others = page.strokes.filter(stroke => !strokeIds.includes(stroke.strokeId));
+  page.strokes = to === 'front' ? [...others, ...moving] : [...moving, ...others];
+  return page.strokes.map(stroke => stroke.strokeId);
+};
+
+// Puts a page back in a previously recorded order; strokes added since keep their place at the end
+const applyStrokeOrder = (page, order) => {
+  const rank = new Map(order.map((strokeId, index) => [strokeId, index]));
+  page.strokes = [...page.strokes].sort((a, b) =>
+    (rank.get(a.strokeId) ?? Infinity) - (rank.get(b.strokeId) ?? Infinity)
+  );
+  return page.strokes.map(stroke => stroke.strokeId);
+};
+
+// Typed text on a page in reading order, for the AI prompt
+const getPageText = (page) => page.strokes
+  .filter(stroke => stroke.type === 'text' && stroke.text.trim())
+  .sort((a, b) => a.points[0].y - b.points[0].y || a.points[0].x - b.points[0].x)
+  .map(stroke => stroke.text.trim());
+
+// Strokes left open by a client that never came back are kept rather than discarded
+const commitClientStrokes = (room, clientId) => {
+  return Array.from(room.activeStrokes.values())
+    .filter(stroke => stroke.clientId === clientId)
+    .map(stroke => commitStroke(room, stroke.strokeId))
+    .filter(Boolean);
+};
+
+module.exports = {
+  normalizePage,
+  appendStrokePoint,
+  commitStroke,
+  commitClientStrokes,
+  isCoordinate,
+  sanitizeStylus,
+  commitShape,
+  commitText,
+  commitFill,
+  updateText,
+  getPageText,
+  addStrokes,
+  transformStrokes,
+  unlockedStrokeIds,
+  clearLayer,
+  removeStrokes,
+  restoreStrokes,
+  reorderStrokes,
+  replaceStrokes,
+  applyStrokeOrder
+};
@@ -0,0 +1,272 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./pageList');
+const {
+  normalizePage,
+  appendStrokePoint,
+  commitStroke,
+  commitClientStrokes,
+  commitShape,
+  commitText,
+  commitFill,
+  updateText,
+  getPageText,
+  addStrokes,
+  transformStrokes,
+  removeStrokes,
+  restoreStrokes,
+  reorderStrokes,
+  applyStrokeOrder,
+  unlockedStrokeIds,
+  clearLayer,
+  replaceStrokes
+} = require('./strokeLog');
+
+const point = (fields) => ({ strokeId: 's1', pageId: 'p1', color: '#ff0000', lineWidth: 3, x: 0, y: 0, ...fields });
+const strokeIds = (page) => page.strokes.map(stroke => stroke.strokeId);
+
+test('points are gathered and the stroke lands on its page when it ends', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  appendStrokePoint(room, 'client-1', point({ isNewStroke: true, x: 1, y: 1 }));
+  appendStrokePoint(room, 'client-1', point({ x: 2, y: 3 }));
+  assert.equal(room.pages[0].strokes.length, 0);
+
+  const { stroke, pageId } = commitStroke(room, 's1');
+  assert.equal(pageId, 'p1');
+  assert.deepEqual(stroke.points, [{ x: 1, y: 1 }, { x: 2, y: 3 }]);
+  assert.equal(stroke.compositeOperation, 'source-over');
+  assert.deepEqual(room.pages[0].strokes, [stroke]);
+  assert.equal(room.activeStrokes.size, 0);
+});
+
+test('a stroke picked up mid-way starts from the previous point', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  appendStrokePoint(room, 'client-1', point({ prevX: 5, prevY: 5, x: 6, y: 6 }));
+  assert.deepEqual(room.activeStrokes.get('s1').points, [{ x: 5, y: 5 }, { x: 6, y: 6 }]);
+
+  appendStrokePoint(room, 'client-1', point({ strokeId: 's2', prevX: 5, x: 6, y: 6 }));
+  assert.deepEqual(room.activeStrokes.get('s2').points, [{ x: 6, y: 6 }]);
+});
+
+test('a client can only have so many strokes in progress', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  for (let i = 0; i < 12; i++) appendStrokePoint(room, 'client-1', point({ strokeId: `s${i}`, isNewStroke: true }));
+  assert.equal(room.activeStrokes.size, 10);
+  assert.equal(appendStrokePoint(room, 'client-1', point({ strokeId: 's0', x: 1 })).points.length, 2);
+  assert.ok(appendStrokePoint(room, 'client-2', point({ strokeId: 'other', isNewStroke: true })));
+});
+
+test('style is clamped to what the log accepts', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  const stroke = appendStrokePoint(room, 'client-1', point({
+    isNewStroke: true,
+    color: 42,
+    lineWidth: 1000,
+    compositeOperation: 'xor'
+  }));
+  assert.equal(stroke.color, '#000000');
+  assert.equal(stroke.lineWidth, 100);
+  assert.equal(stroke.compositeOperation, 'source-over');
+});
+
+test('stylus pressure and tilt are kept per point within range', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  appendStrokePoint(room, 'client-1', point({ isNewStroke: true, pressure: 1.5, tilt: -10 }));
+  appendStrokePoint(room, 'client-1', point({ pressure: 'hard', tilt: 30 }));
+  assert.deepEqual(room.activeStrokes.get('s1').points, [{ x: 0, y: 0, p: 1, t: 0 }, { x: 0, y: 0, t: 30 }]);
+
+  const { strokes } = addStrokes(room, { pageId: 'p1', strokes: [{ strokeId: 'a', points: [{ x: 0, y: 0, p: 0.5, t: 120 }] }] });
+  assert.deepEqual(strokes[0].points, [{ x: 0, y: 0, p: 0.5, t: 90 }]);
+});
+
+test('another client cannot add points to a stroke in progress', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  appendStrokePoint(room, 'client-1', point({ isNewStroke: true }));
+  assert.equal(appendStrokePoint(room, 'client-2', point({ x: 9, y: 9 })), null);
+  assert.equal(room.activeStrokes.get('s1').points.length, 1);
+});
+
+test('points without a stroke ID or for a missing page are ignored', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  assert.equal(appendStrokePoint(room, 'client-1', point({ strokeId: '' })), null);
+  assert.equal(appendStrokePoint(room, 'client-1', point({ pageId: 'p2' })), null);
+  assert.equal(commitStroke(room, 'unknown'), null);
+});
+
+test('strokes left open by a client that never came back are committed', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  appendStrokePoint(room, 'client-1', point({ strokeId: 'a', isNewStroke: true }));
+  appendStrokePoint(room, 'client-2', point({ strokeId: 'b', isNewStroke: true }));
+  assert.deepEqual(commitClientStrokes(room, 'client-1').map(({ stroke }) => stroke.strokeId), ['a']);
+  assert.deepEqual([...room.activeStrokes.keys()], ['b']);
+});
+
+test('pages stored with a PNG instead of strokes start with an empty log', () => {
+  assert.deepEqual(normalizePage({ id: 1, imageData: 'data:image/png;base64,' }).strokes, []);
+});
+
+test('shapes are checked for their kind and number of points, and only closed ones keep a fill', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  const line = { strokeId: 'l', type: 'line', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], fill: '#00ff00', dash: 'wavy' };
+  const { stroke } = commitShape(room, { pageId: 'p1', senderId: 'c1', stroke: line });
+  assert.equal(stroke.fill, null);
+  assert.equal(stroke.dash, 'solid');
+  assert.equal(commitShape(room, { pageId: 'p1', senderId: 'c1', stroke: line }), null);
+
+  const box = { ...line, strokeId: 'r', type: 'rectangle', dash: 'dashed' };
+  assert.equal(commitShape(room, { pageId: 'p1', stroke: box }).stroke.fill, '#00ff00');
+  assert.equal(commitShape(room, { pageId: 'p1', stroke: { ...line, strokeId: 'x', type: 'star' } }), null);
+  assert.equal(commitShape(room, { pageId: 'p1', stroke: { ...box, strokeId: 'q', type: 'polygon' } }), null);
+  assert.deepEqual(strokeIds(room.pages[0]), ['l', 'r']);
+});
+
+test('a fill\'s rings have to account for all of its points', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  const points = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 4 }];
+  const fill = (rings) => commitFill(room, { pageId: 'p1', stroke: { strokeId: `f${rings}`, type: 'fill', points, rings } });
+  assert.equal(fill([3]), null);
+  assert.equal(fill([2, 2]), null);
+  assert.equal(fill([4]).stroke.compositeOperation, 'destination-over');
+});
+
+test('the highlighter keeps its multiply', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  const stroke = appendStrokePoint(room, 'client-1', point({ isNewStroke: true, compositeOperation: 'multiply' }));
+  assert.equal(stroke.compositeOperation, 'multiply');
+});
+
+test('text boxes get defaults and edits return what they replaced', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  const text = { strokeId: 't', type: 'text', text: 'Hi', points: [{ x: 3, y: 4 }] };
+  const { stroke } = commitText(room, { pageId: 'p1', senderId: 'c1', stroke: text });
+  assert.deepEqual(stroke, {
+    strokeId: 't',
+    senderId: 'c1',
+    layerId: 'base',
+    type: 'text',
+    text: 'Hi',
+    color: '#000000',
+    fontSize: 24,
+    bold: false,
+    italic: false,
+    align: 'left',
+    points: [{ x: 3, y: 4 }]
+  });
+
+  const change = updateText(room, { pageId: 'p1', strokeId: 't', changes: { text: 'Hello', fontSize: 1000, bogus: 1 } });
+  assert.deepEqual(change.updates, [{
+    strokeId: 't',
+    before: { text: 'Hi', fontSize: 24 },
+    after: { text: 'Hello', fontSize: 200 }
+  }]);
+  assert.equal(updateText(room, { pageId: 'p1', strokeId: 't', changes: {} }), null);
+  assert.equal(updateText(room, { pageId: 'p1', strokeId: 'missing', changes: { text: 'x' } }), null);
+});
+
+test('page text is read top to bottom, then left to right', () => {
+  const text = (strokeId, value, x, y) => ({ strokeId, type: 'text', text: value, points: [{ x, y }] });
+  const page = createPage({
+    strokes: [text('a', 'second', 50, 10), text('b', ' ', 0, 0), text('c', 'first', 0, 10), text('d', 'last', 0, 20)]
+  });
+  assert.deepEqual(getPageText(page), ['first', 'second', 'last']);
+});
+
+test('pasted strokes skip malformed ones and ones already on the page', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  const added = addStrokes(room, {
+    pageId: 'p1',
+    senderId: 'c1',
+    strokes: [
+      { strokeId: 'a', points: [{ x: 0, y: 0 }] },
+      { strokeId: 'a', points: [{ x: 5, y: 5 }] },
+      { strokeId: 'b', points: [{ x: 'far', y: 0 }] },
+      { strokeId: 'c', points: [{ x: 1e8, y: 0 }] },
+      { strokeId: 'd', points: [{ x: 0, y: 0 }], transform: [0, 0, 0, 0, 0, 0] },
+      { strokeId: 'e', points: [{ x: 0, y: 0 }], transform: [2, 0, 0, 2, 10, 10] }
+    ]
+  });
+  assert.deepEqual(added.strokes.map(stroke => stroke.strokeId), ['a', 'e']);
+  assert.equal(added.strokes[0].senderId, 'c1');
+  assert.deepEqual(added.strokes[1].transform, [2, 0, 0, 2, 10, 10]);
+  assert.equal(addStrokes(room, { pageId: 'p1', strokes: [{ strokeId: 'a', points: [{ x: 0, y: 0 }] }] }), null);
+});
+
+test('transforms must be invertible and can be cleared', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  addStrokes(room, { pageId: 'p1', strokes: [{ strokeId: 'a', points: [{ x: 0, y: 0 }] }] });
+  const moved = transformStrokes(room, { pageId: 'p1', transforms: [{ strokeId: 'a', transform: [1, 0, 0, 1, 5, 5] }] });
+  assert.deepEqual(moved.updates, [{ strokeId: 'a', before: { transform: null }, after: { transform: [1, 0, 0, 1, 5, 5] } }]);
+  assert.equal(transformStrokes(room, { pageId: 'p1', transforms: [{ strokeId: 'a', transform: [0, 0, 0, 0, 0, 0] }] }), null);
+  transformStrokes(room, { pageId: 'p1', transforms: [{ strokeId: 'a', transform: null }] });
+  assert.equal(room.pages[0].strokes[0].transform, null);
+});
+
+test('removed strokes go back where they were', () => {
+  const page = createPage({ strokes: ['a', 'b', 'c', 'd'].map(strokeId => ({ strokeId })) });
+  const removed = removeStrokes(page, ['b', 'd']);
+  assert.deepEqual(removed.map(({ index }) => index), [1, 3]);
+  assert.deepEqual(strokeIds(page), ['a', 'c']);
+
+  assert.deepEqual(restoreStrokes(page, removed).map(({ index }) => index), [1, 3]);
+  assert.deepEqual(strokeIds(page), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(restoreStrokes(page, removed), []);
+});
+
+test('reordering keeps relative order and can be put back', () => {
+  const page = createPage({ strokes: ['a', 'b', 'c', 'd'].map(strokeId => ({ strokeId })) });
+  const before = strokeIds(page);
+  assert.deepEqual(reorderStrokes(page, ['c', 'a'], 'front'), ['b', 'd', 'a', 'c']);
+  assert.deepEqual(reorderStrokes(page, ['d'], 'back'), ['d', 'b', 'a', 'c']);
+  assert.equal(reorderStrokes(page, ['a'], 'sideways'), null);
+  page.strokes.push({ strokeId: 'e' });
+  assert.deepEqual(applyStrokeOrder(page, before), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('nothing is drawn on, added to or moved on a locked layer', () => {
+  const page = createPage({ id: 'p1' });
+  page.layers = [{ id: 'base', locked: true }, { id: 'top', locked: false }];
+  const room = { pages: [page], activeStrokes: new Map() };
+  assert.equal(appendStrokePoint(room, 'client-1', point({ isNewStroke: true })), null);
+  assert.equal(appendStrokePoint(room, 'client-1', point({ isNewStroke: true, layerId: 'missing' })), null);
+
+  const added = addStrokes(room, {
+    pageId: 'p1',
+    strokes: [{ strokeId: 'a', points: [{ x: 0, y: 0 }] }, { strokeId: 'b', layerId: 'top', points: [{ x: 0, y: 0 }] }]
+  });
+  assert.deepEqual(added.strokes.map(stroke => stroke.strokeId), ['b']);
+
+  page.strokes.unshift({ strokeId: 'locked', points: [{ x: 0, y: 0 }] });
+  const moves = ['locked', 'b'].map(strokeId => ({ strokeId, transform: [1, 0, 0, 1, 5, 5] }));
+  assert.deepEqual(transformStrokes(room, { pageId: 'p1', transforms: moves }).updates.map(u => u.strokeId), ['b']);
+  assert.deepEqual(unlockedStrokeIds(page, ['locked', 'b']), ['b']);
+});
+
+test('clearing a layer leaves the other layers alone', () => {
+  const page = createPage({ strokes: [{ strokeId: 'a' }, { strokeId: 'b', layerId: 'top' }, { strokeId: 'c', layerId: 'base' }] });
+  assert.deepEqual(clearLayer(page, 'base').map(stroke => stroke.strokeId), ['a', 'c']);
+  assert.deepEqual(strokeIds(page), ['b']);
+});
+
+test('a replacement goes where the first replaced stroke was', () => {
+  const page = createPage({ strokes: [{ strokeId: 'a' }, { strokeId: 'b' }, { strokeId: 'c' }] });
+  const result = replaceStrokes(page, {
+    senderId: 'u1',
+    strokeIds: ['b', 'c'],
+    strokes: [{ strokeId: 'shape', type: 'rectangle', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }]
+  });
+  assert.equal(result.index, 1);
+  assert.deepEqual(result.removed.map(({ stroke }) => stroke.strokeId), ['b', 'c']);
+  assert.deepEqual(strokeIds(page), ['a', 'shape']);
+  assert.equal(replaceStrokes(page, { strokeIds: ['gone'], strokes: [{ strokeId: 'x', points: [{ x: 0, y: 0 }] }] }), null);
+});
+
+test('a stroke already on its page is never stored a second time', () => {
+  const room = { pages: [createPage({ id: 'p1' })], activeStrokes: new Map() };
+  appendStrokePoint(room, 'client-1', point({ isNewStroke: true }));
+  commitClientStrokes(room, 'client-1');
+
+  assert.equal(appendStrokePoint(room, 'client-1', point({ x: 5, y: 5 })), null);
+  assert.equal(room.activeStrokes.size, 0);
+  assert.equal(commitShape(room, { pageId: 'p1', stroke: { strokeId: 's1', type: 'line', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] } }), null);
+  assert.deepEqual(strokeIds(room.pages[0]), ['s1']);
+});
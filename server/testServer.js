@@ -0,0 +1,120 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+// Test helper: runs server.js in a child process with in-memory stores and a throwaway
+// working directory, so its log file and data never land in the repo. Everything started
+// here is stopped when the test `t` ends.
+
+const START_TIMEOUT_MS = 10000;
+const EVENT_TIMEOUT_MS = 5000;
+
+const waitForPort = (child) => new Promise((resolve, reject) => {
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    const match = output.match(/Server running .* on port (\d+)/);
+    if (match) {
+      clearTimeout(timer);
+      resolve(Number(match[1]));
+    }
+  });
+  child.once('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Server exited with code ${code}:\n${output}`));
+  });
+});
+
+// Resolves with the next `event` on `socket` whose payload `matches`, or fails after EVENT_TIMEOUT_MS
+const nextEvent = (socket, event, matches = () => true) => new Promise((resolve, reject) => {
+  const listener = (payload) => {
+    if (!matches(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  };
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    reject(new Error(`No ${event} event`));
+  }, EVENT_TIMEOUT_MS);
+  socket.on(event, listener);
+});
+
+const startServer = async (t, env = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'whiteboard-'));
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      PORT: '0',
+      ROOM_STORE: 'memory',
+      ACCOUNT_STORE: 'memory',
+      ROOM_DATA_DIR: dir,
+      AI_PROVIDER: 'mock',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stderr.resume();
+  const sockets = [];
+  // Sockets go first: the server waits for open connections before it exits
+  t.after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const url = `http://localhost:${await waitForPort(child)}`;
+  child.stdout.resume();
+
+  const post = (route, body, cookie = '') => fetch(`${url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify(body)
+  });
+
+  // Registers and logs in a new account; returns its user and session cookie
+  const signUp = async (name) => {
+    const account = { name, email: `${name.toLowerCase()}@example.com`, password: 'password123' };
+    await post('/api/auth/register', account);
+    const res = await post('/api/auth/login', account);
+    const { user } = await res.json();
+    return { user, cookie: res.headers.get('set-cookie').split(';')[0] };
+  };
+
+  // A connected socket for `account`; `auth` is the handshake auth (clientId, instanceId)
+  const connect = async (account, auth = {}) => {
+    const socket = io(url, {
+      transports: ['websocket'],
+      extraHeaders: { cookie: account.cookie },
+      auth,
+      forceNew: true,
+      reconnection: false
+    });
+    sockets.push(socket);
+    await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      socket.once('connect_error', reject);
+    });
+    return socket;
+  };
+
+  // Connects and joins `roomId`, resolving once the room status arrives
+  const join = async (account, roomId, auth) => {
+    const socket = await connect(account, auth);
+    const status = nextEvent(socket, 'roomStatus');
+    socket.emit('joinRoom', roomId);
+    return { socket, status: await status };
+  };
+
+  return { url, post, signUp, connect, join };
+};
+
+module.exports = { startServer, nextEvent };
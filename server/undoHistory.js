@@ -0,0 +1,168 @@
+const { removeStrokes, restoreStrokes, applyStrokeOrder, clearLayer } = require('./strokeLog');
+const { isStrokeLocked } = require('./layers');
+
+// Per-user undo/redo stacks. Entries reference pages by id so they survive pages
+// being added or removed, and only ever touch the strokes that user created or cleared.
+
+const MAX_HISTORY = 100;
+
+const getStacks = (room, userId) => {
+  if (!room.history.has(userId)) {
+    room.history.set(userId, { undo: [], redo: [] });
+  }
+  return room.history.get(userId);
+};
+
+const recordOperation = (room, userId, entry) => {
+  const stacks = getStacks(room, userId);
+  stacks.undo = [...stacks.undo, entry].slice(-MAX_HISTORY);
+  stacks.redo = [];
+};
+
+// Updates carry the fields they changed on each stroke, before and after. Updates recorded with
+// the same merge key (e.g. typing into one text box) collapse into one entry, so one undo reverts the run.
+const recordUpdate = (room, userId, { pageId, updates }, mergeKey = null) => {
+  const stacks = getStacks(room, userId);
+  const last = stacks.undo[stacks.undo.length - 1];
+  if (mergeKey && last?.type === 'update' && last.mergeKey === mergeKey && last.pageId === pageId) {
+    updates.forEach(update => {
+      const existing = last.updates.find(u => u.strokeId === update.strokeId);
+      if (!existing) {
+        last.updates.push(update);
+        return;
+      }
+      existing.before = { ...update.before, ...existing.before };
+      existing.after = { ...existing.after, ...update.after };
+    });
+    stacks.redo = [];
+    return;
+  }
+  recordOperation(room, userId, { type: 'update', pageId, updates, mergeKey });
+};
+
+const applyUpdates = (page, updates, side) => {
+  const updated = updates
+    .filter(update => page.strokes.some(s => s.strokeId === update.strokeId))
+    .map(update => {
+      Object.assign(page.strokes.find(s => s.strokeId === update.strokeId), update[side]);
+      return { strokeId: update.strokeId, changes: update[side] };
+    });
+  return updated.length ? { updated } : null;
+};
+
+const insertStrokes = (page, strokes, index) => {
+  const missing = strokes.filter(stroke => !page.strokes.some(s => s.strokeId === stroke.strokeId));
+  const at = Math.min(index, page.strokes.length);
+  page.strokes.splice(at, 0, ...missing);
+  return { restored: missing, index: at };
+};
+
+const removeEntryStrokes = (page, entry, strokeIds) => {
+  const removed = removeStrokes(page, strokeIds);
+  if (!removed.length) return null;
+  entry.placements = removed;
+  return { removed: removed.map(({ stroke }) => stroke.strokeId) };
+};
+
+// Replacements are undone by swapping the replaced strokes back in where the replacements are,
+// and redone the other way round. The change carries both the removed and the restored strokes.
+const swapEntryStrokes = (out, into) => (page, entry) => {
+  const removed = removeStrokes(page, entry[out].map(stroke => stroke.strokeId));
+  if (!removed.length) return null;
+  entry[out] = removed.map(({ stroke }) => stroke);
+  const { restored, index } = insertStrokes(page, entry[into], removed[0].index);
+  return {
+    removed: entry[out].map(stroke => stroke.strokeId),
+    restored,
+    indices: restored.map((_, i) => index + i)
+  };
+};
+
+const restoreEntryStrokes = (page, entry) => {
+  const restored = restoreStrokes(page, entry.placements);
+  if (!restored.length) return null;
+  return { restored: restored.map(({ stroke }) => stroke), indices: restored.map(({ index }) => index) };
+};
+
+// Each handler mutates the page and returns the change to broadcast,
+// or null when its target is gone (e.g. someone else cleared the page)
+const handlers = {
+  undo: {
+    stroke: (page, entry) => {
+      const index = page.strokes.findIndex(s => s.strokeId === entry.strokeId);
+      if (index === -1) return null;
+      [entry.stroke] = page.strokes.splice(index, 1);
+      entry.index = index;
+      return { removed: [entry.strokeId] };
+    },
+    clear: (page, entry) => insertStrokes(page, entry.strokes, 0),
+    update: (page, entry) => applyUpdates(page, entry.updates, 'before'),
+    add: (page, entry) => removeEntryStrokes(page, entry, entry.strokeIds),
+    delete: restoreEntryStrokes,
+    reorder: (page, entry) => ({ order: applyStrokeOrder(page, entry.before) }),
+    replace: swapEntryStrokes('replacements', 'replaced')
+  },
+  redo: {
+    stroke: (page, entry) => insertStrokes(page, [entry.stroke], entry.index),
+    clear: (page, entry) => {
+      entry.strokes = clearLayer(page, entry.layerId);
+      return { removed: entry.strokes.map(s => s.strokeId) };
+    },
+    update: (page, entry) => applyUpdates(page, entry.updates, 'after'),
+    add: restoreEntryStrokes,
+    delete: (page, entry) => removeEntryStrokes(page, entry, entry.placements.map(({ stroke }) => stroke.strokeId)),
+    reorder: (page, entry) => ({ order: applyStrokeOrder(page, entry.after) }),
+    replace: swapEntryStrokes('replaced', 'replacements')
+  }
+};
+
+// Every stroke an entry would add, remove or change
+const entryStrokes = (page, entry) => {
+  const strokeIds = [entry.strokeId, ...(entry.strokeIds || []), ...(entry.updates || []).map(u => u.strokeId)];
+  return [
+    entry.stroke,
+    ...(entry.strokes || []),
+    ...(entry.replaced || []),
+    ...(entry.replacements || []),
+    ...(entry.placements || []).map(({ stroke }) => stroke),
+    ...page.strokes.filter(stroke => strokeIds.includes(stroke.strokeId))
+  ].filter(Boolean);
+};
+
+// Entries touching a layer that has been locked since are dropped, like ones whose strokes are gone
+const step = (room, userId, direction) => {
+  const stacks = getStacks(room, userId);
+  const [from, to] = direction === 'undo' ? ['undo', 'redo'] : ['redo', 'undo'];
+
+  while (stacks[from].length) {
+    const entry = stacks[from].pop();
+    const page = room.pages.find(p => p.id === entry.pageId);
+    const locked = page && entryStrokes(page, entry).some(stroke => isStrokeLocked(page, stroke));
+    const change = page && !locked && handlers[direction][entry.type](page, entry);
+    if (change) {
+      stacks[to].push(entry);
+      return { pageId: page.id, ...change };
+    }
+  }
+  return null;
+};
+
+const undo = (room, userId) => step(room, userId, 'undo');
+
+const redo = (room, userId) => step(room, userId, 'redo');
+
+const getHistoryState = (room, userId) => {
+  const stacks = getStacks(room, userId);
+  return {
+    canUndo: stacks.undo.length > 0,
+    canRedo: stacks.redo.length > 0
+  };
+};
+
+module.exports = {
+  recordOperation,
+  recordUpdate,
+  undo,
+  redo,
+  getHistoryState
+};
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordOperation, recordUpdate, undo, redo, getHistoryState } = require('./undoHistory');
+
+const stroke = (strokeId) => ({ strokeId, color: '#000000', points: [{ x: 0, y: 0 }] });
+const strokeIds = (page) => page.strokes.map(s => s.strokeId);
+
+test('undo takes a user\'s stroke off the page and redo puts it back where it was', () => {
+  const page = { id: 'p1', strokes: [stroke('a'), stroke('b'), stroke('c')] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'b' });
+
+  assert.deepEqual(undo(room, 'u1'), { pageId: 'p1', removed: ['b'] });
+  assert.deepEqual(strokeIds(page), ['a', 'c']);
+  assert.deepEqual(getHistoryState(room, 'u1'), { canUndo: false, canRedo: true });
+
+  assert.equal(redo(room, 'u1').index, 1);
+  assert.deepEqual(strokeIds(page), ['a', 'b', 'c']);
+  assert.deepEqual(getHistoryState(room, 'u1'), { canUndo: true, canRedo: false });
+});
+
+test('each user only undoes their own operations', () => {
+  const page = { id: 'p1', strokes: [stroke('a'), stroke('b')] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'a' });
+  recordOperation(room, 'u2', { type: 'stroke', pageId: 'p1', strokeId: 'b' });
+
+  undo(room, 'u1');
+  assert.deepEqual(strokeIds(page), ['b']);
+  assert.deepEqual(getHistoryState(room, 'u2'), { canUndo: true, canRedo: false });
+});
+
+test('entries whose strokes or pages are gone are skipped', () => {
+  const page = { id: 'p1', strokes: [stroke('a')] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'a' });
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'cleared-by-someone-else' });
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'removed', strokeId: 'x' });
+
+  assert.deepEqual(undo(room, 'u1'), { pageId: 'p1', removed: ['a'] });
+  assert.equal(undo(room, 'u1'), null);
+});
+
+test('a new operation clears the redo stack', () => {
+  const room = { pages: [{ id: 'p1', strokes: [stroke('a'), stroke('b')] }], history: new Map() };
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'a' });
+  undo(room, 'u1');
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'b' });
+
+  assert.equal(getHistoryState(room, 'u1').canRedo, false);
+});
+
+test('a cleared layer comes back in one go and can be cleared again', () => {
+  const page = { id: 'p1', strokes: [stroke('drawn-since'), { strokeId: 'other', layerId: 'l2' }] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'clear', pageId: 'p1', layerId: 'base', strokes: [stroke('a'), stroke('b')] });
+
+  assert.equal(undo(room, 'u1').index, 0);
+  assert.deepEqual(strokeIds(page), ['a', 'b', 'drawn-since', 'other']);
+
+  assert.deepEqual(redo(room, 'u1').removed, ['a', 'b', 'drawn-since']);
+  assert.deepEqual(strokeIds(page), ['other']);
+});
+
+test('steps touching a layer locked since are skipped', () => {
+  const page = {
+    id: 'p1',
+    layers: [{ id: 'base', locked: false }, { id: 'top', locked: false }],
+    strokes: []
+  };
+  const room = { pages: [page], history: new Map() };
+  page.strokes.push(stroke('a'));
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'a' });
+  page.strokes.push({ strokeId: 'b', layerId: 'top' });
+  recordOperation(room, 'u1', { type: 'stroke', pageId: 'p1', strokeId: 'b' });
+  page.layers[1].locked = true;
+
+  assert.deepEqual(undo(room, 'u1').removed, ['a']);
+  assert.deepEqual(strokeIds(page), ['b']);
+  assert.equal(getHistoryState(room, 'u1').canUndo, false);
+});
+
+test('edits with the same merge key are undone in one step', () => {
+  const page = { id: 'p1', strokes: [{ strokeId: 't', type: 'text', text: 'He' }] };
+  const room = { pages: [page], history: new Map() };
+  [['He', 'Hel'], ['Hel', 'Hell'], ['Hell', 'Hello']].forEach(([before, after]) => {
+    page.strokes[0].text = after;
+    recordUpdate(room, 'u1', { pageId: 'p1', updates: [{ strokeId: 't', before: { text: before }, after: { text: after } }] }, 'text:t');
+  });
+
+  assert.deepEqual(undo(room, 'u1'), { pageId: 'p1', updated: [{ strokeId: 't', changes: { text: 'He' } }] });
+  assert.equal(page.strokes[0].text, 'He');
+  assert.equal(getHistoryState(room, 'u1').canUndo, false);
+
+  redo(room, 'u1');
+  assert.equal(page.strokes[0].text, 'Hello');
+});
+
+test('edits without a merge key are undone one at a time', () => {
+  const page = { id: 'p1', strokes: [{ strokeId: 'a' }] };
+  const room = { pages: [page], history: new Map() };
+  [[null, [1, 0, 0, 1, 5, 0]], [[1, 0, 0, 1, 5, 0], [1, 0, 0, 1, 9, 0]]].forEach(([before, after]) => {
+    page.strokes[0].transform = after;
+    recordUpdate(room, 'u1', { pageId: 'p1', updates: [{ strokeId: 'a', before: { transform: before }, after: { transform: after } }] });
+  });
+
+  undo(room, 'u1');
+  assert.deepEqual(page.strokes[0].transform, [1, 0, 0, 1, 5, 0]);
+  assert.equal(getHistoryState(room, 'u1').canUndo, true);
+});
+
+test('pasted strokes are taken away and deleted ones come back at their old indices', () => {
+  const page = { id: 'p1', strokes: [{ strokeId: 'a' }, { strokeId: 'c' }, { strokeId: 'pasted' }] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'delete', pageId: 'p1', placements: [{ stroke: { strokeId: 'b' }, index: 1 }] });
+  recordOperation(room, 'u1', { type: 'add', pageId: 'p1', strokeIds: ['pasted'] });
+
+  assert.deepEqual(undo(room, 'u1').removed, ['pasted']);
+  assert.deepEqual(undo(room, 'u1').indices, [1]);
+  assert.deepEqual(strokeIds(page), ['a', 'b', 'c']);
+
+  redo(room, 'u1');
+  redo(room, 'u1');
+  assert.deepEqual(strokeIds(page), ['a', 'c', 'pasted']);
+});
+
+test('a reorder is undone back to the order before it', () => {
+  const page = { id: 'p1', strokes: [{ strokeId: 'b' }, { strokeId: 'a' }] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'reorder', pageId: 'p1', before: ['a', 'b'], after: ['b', 'a'] });
+
+  assert.deepEqual(undo(room, 'u1'), { pageId: 'p1', order: ['a', 'b'] });
+  assert.deepEqual(redo(room, 'u1').order, ['b', 'a']);
+});
+
+test('undoing a replacement swaps the original strokes back in', () => {
+  const page = { id: 'p1', strokes: [stroke('a'), stroke('shape'), stroke('c')] };
+  const room = { pages: [page], history: new Map() };
+  recordOperation(room, 'u1', { type: 'replace', pageId: 'p1', replaced: [stroke('sketch')], replacements: [stroke('shape')] });
+
+  const change = undo(room, 'u1');
+  assert.deepEqual(change.removed, ['shape']);
+  assert.deepEqual(change.indices, [1]);
+  assert.deepEqual(strokeIds(page), ['a', 'sketch', 'c']);
+
+  redo(room, 'u1');
+  assert.deepEqual(strokeIds(page), ['a', 'shape', 'c']);
+});